@@ -0,0 +1,16 @@
+// ESLint 8 config for `npm run lint` (the script relies on eslintrc's --ext flag)
+module.exports = {
+  root: true,
+  env: {
+    browser: true,
+    es2022: true
+  },
+  parserOptions: {
+    ecmaVersion: 'latest',
+    sourceType: 'module'
+  },
+  extends: 'eslint:recommended',
+  rules: {
+    'no-unused-vars': ['warn', { args: 'none' }]
+  }
+};
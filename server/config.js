@@ -0,0 +1,67 @@
+/**
+ * Proxy Server Configuration - read from process.env
+ * Provider keys live only here, never in the browser bundle
+ */
+
+const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+const number = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+export const SERVER_CONFIG = {
+  port: number(process.env.PORT, 8787),
+  host: process.env.HOST || '0.0.0.0',
+  basePath: process.env.API_BASE_PATH || '/api',
+  defaultProvider: process.env.LLM_PROVIDER || 'openai',
+
+  // Keys per provider; local providers (ollama, lmstudio) need none
+  apiKeys: {
+    openai: process.env.OPENAI_API_KEY || '',
+    claude: process.env.ANTHROPIC_API_KEY || '',
+    custom: process.env.LLM_API_KEY || ''
+  },
+
+  // Upstream overrides, e.g. OLLAMA_BASE_URL=http://gpu-box:11434/v1
+  baseUrls: {
+    openai: process.env.OPENAI_BASE_URL,
+    claude: process.env.ANTHROPIC_BASE_URL,
+    ollama: process.env.OLLAMA_BASE_URL,
+    lmstudio: process.env.LMSTUDIO_BASE_URL,
+    custom: process.env.LLM_BASE_URL
+  },
+
+  // Providers the proxy will talk to; defaults to those with a key configured
+  allowedProviders: list(process.env.ALLOWED_PROVIDERS),
+
+  // Models clients may ask for besides each provider's default; anything else is refused,
+  // so visitors cannot switch the server's key to a pricier model
+  allowedModels: list(process.env.ALLOWED_MODELS),
+
+  // Browser origins allowed to call the proxy cross-origin (e.g. the GitHub Pages site)
+  allowedOrigins: list(process.env.ALLOWED_ORIGINS),
+
+  // Speech-to-text relay for the whisper voice input backend; STT_URL may point at a
+  // keyless local server (e.g. `npm run stt:standin`), otherwise OpenAI is used when keyed
+  transcription: {
+    url: process.env.STT_URL || (process.env.STT_API_KEY || process.env.OPENAI_API_KEY
+      ? `${process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'}/audio/transcriptions`
+      : ''),
+    apiKey: process.env.STT_API_KEY || process.env.OPENAI_API_KEY || ''
+  },
+
+  // Abuse limits
+  maxBodyBytes: number(process.env.MAX_BODY_BYTES, 64 * 1024),
+  maxAudioBytes: number(process.env.MAX_AUDIO_BYTES, 4 * 1024 * 1024),
+  maxTokens: number(process.env.MAX_TOKENS, 1000),
+  rateLimit: {
+    windowMs: number(process.env.RATE_LIMIT_WINDOW_MS, 60 * 1000),
+    max: number(process.env.RATE_LIMIT_MAX, 20)
+  },
+  upstreamTimeout: number(process.env.UPSTREAM_TIMEOUT_MS, 60 * 1000),
+
+  // Use X-Forwarded-For for the client IP when running behind a reverse proxy
+  trustProxy: process.env.TRUST_PROXY === '1' || process.env.TRUST_PROXY === 'true'
+};
+
+export default SERVER_CONFIG;
@@ -0,0 +1,428 @@
+/**
+ * LLM Proxy Server - Keeps provider API keys out of the browser
+ *
+ * POST {basePath}/chat   body: { provider?, messages, systemPrompt, model, temperature,
+ *                                maxTokens, responseFormat, tools, toolChoice, stream }
+ *     Builds the provider request with the server-side key and relays the provider's
+ *     response (JSON or SSE stream) unchanged, so the browser parses it as usual.
+ * POST {basePath}/transcribe   multipart audio upload relayed to a Whisper-compatible
+ *     /audio/transcriptions endpoint with the server-side key
+ * GET  {basePath}/health  -> { status, providers, defaultProvider, transcription }
+ *
+ * Errors from the proxy itself use the { error: { message, type } } shape the providers'
+ * parseError already understands. Run with `npm run server`.
+ */
+
+import http from 'node:http';
+import { Readable } from 'node:stream';
+import { pathToFileURL } from 'node:url';
+import { API_CONFIG } from '../src/config/constants.js';
+import {
+  openaiProvider,
+  ollamaProvider,
+  lmStudioProvider,
+  createOpenAICompatibleProvider
+} from '../src/services/providers/openai.js';
+import { claudeProvider } from '../src/services/providers/claude.js';
+import { SERVER_CONFIG } from './config.js';
+import { RateLimiter } from './rateLimiter.js';
+
+const MAX_MESSAGES = 100;
+const MAX_TOOLS = 32;
+const MESSAGE_ROLES = ['user', 'assistant', 'tool'];
+
+class HttpError extends Error {
+  constructor(status, message, type = 'invalid_request') {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.type = type;
+  }
+}
+
+/**
+ * Providers the proxy knows how to reach
+ */
+function createProviders() {
+  return [
+    openaiProvider,
+    claudeProvider,
+    ollamaProvider,
+    lmStudioProvider,
+    createOpenAICompatibleProvider({
+      name: 'custom',
+      label: 'OpenAI-compatible',
+      baseUrl: API_CONFIG.custom.baseUrl,
+      model: process.env.LLM_MODEL || API_CONFIG.custom.model
+    })
+  ].reduce((map, provider) => map.set(provider.name, provider), new Map());
+}
+
+/**
+ * Client IP, honouring X-Forwarded-For only when configured to
+ */
+function getClientIp(req, trustProxy) {
+  if (trustProxy) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) return forwarded.split(',')[0].trim();
+  }
+  return req.socket.remoteAddress || 'unknown';
+}
+
+/**
+ * Read a request body, refusing anything over the size limit
+ */
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const declared = Number(req.headers['content-length']);
+    if (declared > maxBytes) {
+      reject(new HttpError(413, `Request body exceeds ${maxBytes} bytes`, 'request_too_large'));
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        // Discard the rest instead of buffering it, so the 413 can still be sent
+        req.removeAllListeners('data');
+        req.resume();
+        reject(new HttpError(413, `Request body exceeds ${maxBytes} bytes`, 'request_too_large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, data, headers = {}) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+export class ProxyServer {
+  constructor(config = {}) {
+    this.config = {
+      ...SERVER_CONFIG,
+      ...config
+    };
+
+    this.providers = createProviders();
+    this.rateLimiter = new RateLimiter(this.config.rateLimit);
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+  }
+
+  /**
+   * Providers that have a key (or need none) and are allowed by config
+   */
+  getAvailableProviders() {
+    return Array.from(this.providers.values())
+      .filter(provider => {
+        if (this.config.allowedProviders.length > 0) {
+          return this.config.allowedProviders.includes(provider.name);
+        }
+        return Boolean(this.config.apiKeys[provider.name]);
+      })
+      .filter(provider => !provider.requiresApiKey || this.config.apiKeys[provider.name])
+      .map(provider => provider.name);
+  }
+
+  /**
+   * Route a request
+   */
+  async handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const route = pathname.startsWith(this.config.basePath)
+      ? pathname.slice(this.config.basePath.length)
+      : null;
+
+    this.applyCors(req, res);
+
+    try {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+
+      if (route === '/health' && req.method === 'GET') {
+        sendJson(res, 200, {
+          status: 'ok',
+          providers: this.getAvailableProviders(),
+          defaultProvider: this.config.defaultProvider,
+          transcription: Boolean(this.config.transcription.url)
+        });
+        return;
+      }
+
+      if (route === '/chat' || route === '/transcribe') {
+        if (req.method !== 'POST') {
+          throw new HttpError(405, 'Use POST');
+        }
+        await (route === '/chat' ? this.handleChat(req, res) : this.handleTranscribe(req, res));
+        return;
+      }
+
+      throw new HttpError(404, 'Not found', 'not_found');
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        sendJson(res, 400, { error: { message: 'Request body is not valid JSON', type: 'invalid_request' } });
+        return;
+      }
+      if (error instanceof HttpError) {
+        sendJson(res, error.status, { error: { message: error.message, type: error.type } }, error.headers);
+        return;
+      }
+
+      console.error('[ProxyServer] Unexpected error:', error);
+      sendJson(res, 500, { error: { message: 'Internal proxy error', type: 'server_error' } });
+    }
+  }
+
+  /**
+   * Allow configured browser origins to call the proxy
+   */
+  applyCors(req, res) {
+    const origin = req.headers.origin;
+    if (!origin) return;
+
+    const allowed = this.config.allowedOrigins;
+    if (allowed.includes('*') || allowed.includes(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+      res.setHeader('Access-Control-Max-Age', '600');
+    }
+  }
+
+  /**
+   * Count the request against the client's rate limit, throwing 429 when over it
+   */
+  checkRateLimit(req, res) {
+    const ip = getClientIp(req, this.config.trustProxy);
+    const limit = this.rateLimiter.hit(ip);
+    res.setHeader('X-RateLimit-Limit', String(this.config.rateLimit.max));
+    res.setHeader('X-RateLimit-Remaining', String(limit.remaining));
+    if (!limit.allowed) {
+      const error = new HttpError(429, 'Too many requests, please slow down', 'rate_limit');
+      error.headers = { 'Retry-After': String(limit.retryAfter) };
+      throw error;
+    }
+    return ip;
+  }
+
+  /**
+   * POST /chat - validate, build the provider request and relay the response
+   */
+  async handleChat(req, res) {
+    const ip = this.checkRateLimit(req, res);
+    const body = JSON.parse((await readBody(req, this.config.maxBodyBytes)).toString('utf8') || '{}');
+    const { provider, params } = this.validateChatRequest(body);
+
+    const context = {
+      apiKey: this.config.apiKeys[provider.name] || null,
+      baseUrl: this.config.baseUrls[provider.name] || provider.defaults.baseUrl
+    };
+    const { url, headers, body: upstreamBody } = provider.buildRequest(params, context);
+
+    await this.relay(res, {
+      url,
+      headers,
+      body: JSON.stringify(upstreamBody),
+      label: provider.label,
+      stream: params.stream,
+      log: `${ip} -> ${provider.name}`
+    });
+  }
+
+  /**
+   * POST /transcribe - forward a multipart audio upload to a Whisper-compatible endpoint
+   */
+  async handleTranscribe(req, res) {
+    const ip = this.checkRateLimit(req, res);
+    const { url, apiKey } = this.config.transcription;
+    if (!url) {
+      throw new HttpError(404, 'Transcription is not configured on this server', 'not_found');
+    }
+
+    const contentType = req.headers['content-type'] || '';
+    if (!contentType.startsWith('multipart/form-data')) {
+      throw new HttpError(400, 'Expected multipart/form-data');
+    }
+
+    const body = await readBody(req, this.config.maxAudioBytes);
+    await this.relay(res, {
+      url,
+      headers: {
+        'Content-Type': contentType,
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body,
+      label: 'Transcription',
+      log: `${ip} -> transcribe (${Math.round(body.length / 1024)} KB)`
+    });
+  }
+
+  /**
+   * Send a request upstream and pipe the response back unchanged
+   */
+  async relay(res, { url, headers, body, label, stream = false, log }) {
+    // Stop the upstream request when the browser goes away
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.config.upstreamTimeout);
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    let upstream;
+    try {
+      upstream = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: controller.signal
+      });
+    } catch (error) {
+      clearTimeout(timeout);
+      if (controller.signal.aborted && res.destroyed) return;
+      console.error(`[ProxyServer] ${label} unreachable:`, error.message);
+      throw new HttpError(502, `${label} is unreachable`, 'upstream_error');
+    }
+
+    console.log(`[ProxyServer] ${log} ${upstream.status}${stream ? ' (stream)' : ''}`);
+
+    const responseHeaders = {
+      'Content-Type': upstream.headers.get('content-type') || 'application/json'
+    };
+    if (stream) {
+      responseHeaders['Cache-Control'] = 'no-cache';
+      responseHeaders['X-Accel-Buffering'] = 'no';
+    }
+    const retryAfter = upstream.headers.get('retry-after');
+    if (retryAfter) {
+      responseHeaders['Retry-After'] = retryAfter;
+    }
+
+    res.writeHead(upstream.status, responseHeaders);
+    // Streams may run long; the timeout only guards the wait for response headers
+    clearTimeout(timeout);
+    if (!upstream.body) {
+      res.end();
+      return;
+    }
+
+    Readable.fromWeb(upstream.body)
+      .on('error', error => {
+        if (!controller.signal.aborted) {
+          console.warn(`[ProxyServer] Stream from ${label} failed:`, error.message);
+        }
+        res.destroy();
+      })
+      .pipe(res);
+  }
+
+  /**
+   * Check the request body and build provider params from known fields only
+   */
+  validateChatRequest(body) {
+    const providerName = body.provider || this.config.defaultProvider;
+    const provider = this.providers.get(providerName);
+    if (!provider || !this.getAvailableProviders().includes(providerName)) {
+      throw new HttpError(400, `Provider '${providerName}' is not available on this server`);
+    }
+
+    const { messages } = body;
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new HttpError(400, 'messages must be a non-empty array');
+    }
+    if (messages.length > MAX_MESSAGES) {
+      throw new HttpError(400, `At most ${MAX_MESSAGES} messages are allowed`);
+    }
+    if (messages.some(msg => !msg || !MESSAGE_ROLES.includes(msg.role))) {
+      throw new HttpError(400, `Message roles must be one of: ${MESSAGE_ROLES.join(', ')}`);
+    }
+
+    const tools = Array.isArray(body.tools) ? body.tools : [];
+    if (tools.length > MAX_TOOLS) {
+      throw new HttpError(400, `At most ${MAX_TOOLS} tools are allowed`);
+    }
+
+    const model = typeof body.model === 'string' && body.model ? body.model : provider.defaults.model;
+    if (model !== provider.defaults.model && !this.config.allowedModels.includes(model)) {
+      throw new HttpError(400, `Model '${model}' is not allowed on this server`);
+    }
+
+    const temperature = Number(body.temperature);
+    const maxTokens = Number(body.maxTokens);
+
+    return {
+      provider,
+      params: {
+        messages,
+        systemPrompt: typeof body.systemPrompt === 'string' ? body.systemPrompt : '',
+        model,
+        temperature: Number.isFinite(temperature)
+          ? Math.min(2, Math.max(0, temperature))
+          : provider.defaults.temperature ?? 0.7,
+        maxTokens: Number.isFinite(maxTokens) && maxTokens > 0
+          ? Math.min(maxTokens, this.config.maxTokens)
+          : Math.min(provider.defaults.maxTokens || 150, this.config.maxTokens),
+        responseFormat: body.responseFormat === 'json' ? 'json' : 'text',
+        tools,
+        toolChoice: body.toolChoice === 'none' ? 'none' : 'auto',
+        stream: body.stream === true
+      }
+    };
+  }
+
+  /**
+   * Start listening
+   */
+  listen(port = this.config.port, host = this.config.host) {
+    return new Promise(resolve => {
+      this.server.listen(port, host, () => {
+        const { port: actualPort } = this.server.address();
+        console.log(`[ProxyServer] Listening on http://${host}:${actualPort}${this.config.basePath}`);
+        console.log(`[ProxyServer] Providers: ${this.getAvailableProviders().join(', ') || 'none - set OPENAI_API_KEY or ANTHROPIC_API_KEY'}`);
+        resolve(actualPort);
+      });
+    });
+  }
+
+  /**
+   * Stop listening and release timers
+   */
+  close() {
+    this.rateLimiter.dispose();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+// Started directly: `node server/index.js`
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const proxy = new ProxyServer();
+  proxy.listen();
+
+  const shutdown = () => {
+    console.log('[ProxyServer] Shutting down...');
+    proxy.close().then(() => process.exit(0));
+    proxy.server.closeAllConnections?.();
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+export default ProxyServer;
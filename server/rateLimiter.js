@@ -0,0 +1,56 @@
+/**
+ * Rate Limiter - Fixed window request counter per client IP
+ */
+
+export class RateLimiter {
+  constructor(config = {}) {
+    this.config = {
+      windowMs: config.windowMs || 60 * 1000,
+      max: config.max || 20,
+      ...config
+    };
+
+    this.clients = new Map(); // ip -> { count, resetAt }
+
+    // Forget idle clients so the map doesn't grow without bound
+    this.cleanupTimer = setInterval(() => this.cleanup(), this.config.windowMs);
+    this.cleanupTimer.unref?.();
+  }
+
+  /**
+   * Count a request; returns { allowed, remaining, retryAfter } with retryAfter in seconds
+   */
+  hit(ip, now = Date.now()) {
+    let entry = this.clients.get(ip);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + this.config.windowMs };
+      this.clients.set(ip, entry);
+    }
+
+    entry.count++;
+    return {
+      allowed: entry.count <= this.config.max,
+      remaining: Math.max(0, this.config.max - entry.count),
+      retryAfter: Math.ceil((entry.resetAt - now) / 1000)
+    };
+  }
+
+  /**
+   * Drop expired windows
+   */
+  cleanup(now = Date.now()) {
+    this.clients.forEach((entry, ip) => {
+      if (entry.resetAt <= now) this.clients.delete(ip);
+    });
+  }
+
+  /**
+   * Stop the cleanup timer
+   */
+  dispose() {
+    clearInterval(this.cleanupTimer);
+    this.clients.clear();
+  }
+}
+
+export default RateLimiter;
@@ -0,0 +1,92 @@
+/**
+ * Whisper Stand-in - Local fake of the /audio/transcriptions endpoint
+ * Lets the whisper voice input backend be tried without a key or a real model:
+ * it checks the upload the way the real API would and answers with a fixed transcript.
+ *
+ *   npm run stt:standin                      listens on http://localhost:8788/v1
+ *   STANDIN_TEXT="tell me a joke" npm run stt:standin
+ *
+ * Point the app at it with VITE_STT_BACKEND=whisper and
+ * VITE_STT_URL=http://localhost:8788/v1/audio/transcriptions (or STT_URL for the proxy).
+ */
+
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+const MAX_UPLOAD_BYTES = 25 * 1024 * 1024; // the OpenAI limit
+
+/**
+ * Send a JSON response with permissive CORS for local testing
+ */
+function sendJson(res, status, data) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(data));
+}
+
+export function createWhisperStandIn({ text = process.env.STANDIN_TEXT || 'Hello robot, tell me a joke' } = {}) {
+  return http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+      });
+      res.end();
+      return;
+    }
+
+    if (req.method !== 'POST' || !req.url.endsWith('/audio/transcriptions')) {
+      sendJson(res, 404, { error: { message: 'Not found' } });
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_UPLOAD_BYTES) {
+        sendJson(res, 413, { error: { message: 'File too large' } });
+        return;
+      }
+      chunks.push(chunk);
+    }
+
+    let form;
+    try {
+      form = await new Request('http://localhost', {
+        method: 'POST',
+        headers: { 'Content-Type': req.headers['content-type'] || '' },
+        body: Buffer.concat(chunks)
+      }).formData();
+    } catch (error) {
+      sendJson(res, 400, { error: { message: 'Expected multipart/form-data' } });
+      return;
+    }
+
+    const file = form.get('file');
+    if (!file || typeof file === 'string' || file.size === 0) {
+      sendJson(res, 400, { error: { message: "Missing 'file' field" } });
+      return;
+    }
+    if (!form.get('model')) {
+      sendJson(res, 400, { error: { message: "Missing 'model' field" } });
+      return;
+    }
+
+    console.log(`[WhisperStandIn] ${file.name} ${file.type || 'unknown type'} ${Math.round(file.size / 1024)} KB, language ${form.get('language') || 'auto'}`);
+    sendJson(res, 200, { text });
+  });
+}
+
+// Started directly: `node server/whisperStandIn.js`
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 8788;
+  createWhisperStandIn().listen(port, () => {
+    console.log(`[WhisperStandIn] Listening on http://localhost:${port}/v1/audio/transcriptions`);
+  });
+}
+
+export default createWhisperStandIn;
@@ -0,0 +1,119 @@
+/**
+ * Animation Manifest - Maps our semantic animation states to a model's own clip names
+ * so any rigged GLTF/GLB character can be dropped in without renaming its clips.
+ *
+ * Manifest format (JSON):
+ *   {
+ *     "states": {
+ *       "idle": "Idle_Breathing",                        clip name
+ *       "talking": ["Talk_A", "Talk_B"],                 random variant per play
+ *       "greeting": { "clips": ["Wave"], "speed": 1.2, "loop": false }
+ *     }
+ *   }
+ * States left out are matched by their own name, ignoring case.
+ *
+ * Where it comes from, first match wins:
+ *   PuppetModel config.animationManifest (object or URL)
+ *   extras.animationManifest on the glTF scene (set by the artist in Blender)
+ *   a sidecar file next to the model: robot.glb -> robot.animations.json
+ */
+
+/**
+ * Sidecar manifest URL for a model URL
+ */
+export function getManifestUrl(modelUrl = '') {
+  return modelUrl.replace(/\.(gltf|glb|vrm)(\?.*)?$/i, '.animations.json$2');
+}
+
+/**
+ * Normalize state entries to { clips: [names], speed, loop }
+ */
+export function normalizeManifest(manifest) {
+  const states = {};
+  Object.entries(manifest?.states || {}).forEach(([state, entry]) => {
+    if (typeof entry === 'string' || Array.isArray(entry)) {
+      entry = { clips: entry };
+    }
+    if (!entry || typeof entry !== 'object') return;
+
+    const clips = [].concat(entry.clips || entry.clip || []).filter(name => typeof name === 'string');
+    states[state] = {
+      clips,
+      speed: Number(entry.speed) > 0 ? Number(entry.speed) : 1,
+      loop: typeof entry.loop === 'boolean' ? entry.loop : undefined
+    };
+  });
+  return { states };
+}
+
+/**
+ * Fetch a manifest; resolves null when there is none
+ */
+export async function fetchManifest(url) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    // Dev servers answer unknown paths with index.html
+    const manifest = JSON.parse(await response.text());
+    return normalizeManifest(manifest);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find the manifest for a loaded model
+ */
+export async function loadAnimationManifest({ source, modelUrl, scene } = {}) {
+  if (source && typeof source === 'object') {
+    return normalizeManifest(source);
+  }
+  if (typeof source === 'string') {
+    const manifest = await fetchManifest(source);
+    if (!manifest) {
+      console.warn('[AnimationManifest] Could not load manifest:', source);
+    }
+    return manifest;
+  }
+
+  const embedded = scene?.userData?.animationManifest;
+  if (embedded) {
+    return normalizeManifest(embedded);
+  }
+
+  return modelUrl ? fetchManifest(getManifestUrl(modelUrl)) : null;
+}
+
+/**
+ * Bind states to clips
+ * Returns { bindings: { state: { clips: [AnimationClip], speed, loop } }, missing: [state] }
+ */
+export function resolveAnimations(clips = [], states = [], manifest = null) {
+  const byName = new Map(clips.map(clip => [clip.name, clip]));
+  const byLowerName = new Map(clips.map(clip => [clip.name.toLowerCase(), clip]));
+  const find = (name) => byName.get(name) || byLowerName.get(name.toLowerCase()) || null;
+
+  const mapped = manifest?.states || {};
+  const names = Array.from(new Set([...states, ...Object.keys(mapped)]));
+  const bindings = {};
+  const missing = [];
+
+  names.forEach(state => {
+    const entry = mapped[state] || { clips: [state], speed: 1, loop: undefined };
+    const found = entry.clips.map(find).filter(Boolean);
+
+    if (mapped[state]) {
+      entry.clips.filter(name => !find(name)).forEach(name => {
+        console.warn(`[AnimationManifest] '${state}' maps to unknown clip: ${name}`);
+      });
+    }
+
+    if (found.length === 0) {
+      missing.push(state);
+      return;
+    }
+    bindings[state] = { clips: found, speed: entry.speed, loop: entry.loop };
+  });
+
+  return { bindings, missing: missing.filter(state => states.includes(state)) };
+}
@@ -0,0 +1,306 @@
+/**
+ * Animation State Machine - Decides which clip the puppet plays and blends between them
+ *   looping states (idle, talking, listening) play until another state replaces them
+ *   one-shots (greeting, happy, confused) play once, then hand over to the queue,
+ *   or to the last looping state requested meanwhile, or back to restState
+ *   a one-shot is only interrupted by a state of equal or higher priority; anything
+ *   lower waits for it to finish
+ * Every change crossfades over ANIMATION_CONFIG.transitionDuration.
+ *
+ * Bindings (see animationManifest.js) give each state its clips, picked at random
+ * when there are several, plus optional speed and loop overrides.
+ *
+ * Play options:
+ *   force       interrupt regardless of priority
+ *   loop        override the state's loop setting
+ *   duration    ms to play before ending like a one-shot (useful for looping clips)
+ *   onComplete  called with (finished) when the state ends; false if it was cut short
+ *
+ * Events: animationStart (name), animationEnd (name), animationQueued { name, position },
+ *         animationStop (nothing is playing any more)
+ */
+
+import * as THREE from 'three';
+import { ANIMATION_CONFIG } from '../config/constants.js';
+
+const DEFAULT_STATE = { loop: true, priority: 1 };
+
+export class AnimationStateMachine {
+  constructor(mixer, bindings = {}, config = {}) {
+    this.config = {
+      restState: config.restState || ANIMATION_CONFIG.restState,
+      transitionDuration: config.transitionDuration ?? ANIMATION_CONFIG.transitionDuration, // ms
+      ...config,
+      states: { ...ANIMATION_CONFIG.states, ...config.states }
+    };
+
+    this.mixer = mixer;
+    this.bindings = bindings;
+    this.current = null; // { name, action, oneShot, priority, duration, elapsed, onComplete }
+    this.queued = []; // one-shots waiting for the current one-shot to finish
+    this.next = null; // looping state to settle into once the queue is empty
+    this.listeners = {};
+
+    this.onFinished = (event) => this.handleFinished(event);
+    this.mixer.addEventListener('finished', this.onFinished);
+  }
+
+  /**
+   * Whether a clip exists for a state
+   */
+  has(name) {
+    return Boolean(this.bindings[name]?.clips.length);
+  }
+
+  /**
+   * Rules for a state (states without rules loop at normal priority);
+   * the model's binding can override looping
+   */
+  getSettings(name) {
+    const settings = { ...DEFAULT_STATE, ...this.config.states[name] };
+    if (typeof this.bindings[name]?.loop === 'boolean') {
+      settings.loop = this.bindings[name].loop;
+    }
+    return settings;
+  }
+
+  /**
+   * Name of the playing state, or null
+   */
+  getState() {
+    return this.current?.name || null;
+  }
+
+  /**
+   * Play a state now, or queue it behind a higher-priority one-shot
+   * Returns 'playing', 'queued' or false (no such clip)
+   */
+  play(name, options = {}) {
+    if (!this.has(name)) {
+      return false;
+    }
+
+    const entry = this.createEntry(name, options);
+    const current = this.current;
+
+    // Asking for the looping state that is already playing changes nothing
+    if (current && current.name === name && !current.oneShot && !entry.oneShot) {
+      return 'playing';
+    }
+
+    if (!options.force && current?.oneShot && entry.priority < current.priority) {
+      return this.defer(entry);
+    }
+
+    this.switchTo(entry, false);
+    return 'playing';
+  }
+
+  /**
+   * Play a state after everything already queued
+   */
+  queue(name, options = {}) {
+    if (!this.has(name)) {
+      return false;
+    }
+
+    const entry = this.createEntry(name, options);
+    if (!this.current || (!this.current.oneShot && this.queued.length === 0)) {
+      this.switchTo(entry, false);
+      return 'playing';
+    }
+    return this.defer(entry);
+  }
+
+  /**
+   * Forget queued states
+   */
+  clearQueue() {
+    this.queued = [];
+    this.next = null;
+  }
+
+  /**
+   * Fade out the current state and stop; nothing follows
+   */
+  stop() {
+    this.clearQueue();
+    if (!this.current) return false;
+
+    const ended = this.current;
+    this.current = null;
+    ended.action.fadeOut(this.config.transitionDuration / 1000);
+    this.end(ended, false);
+    this.emit('animationStop');
+    return true;
+  }
+
+  /**
+   * Advance the mixer and end timed states
+   */
+  update(deltaTime) {
+    this.mixer.update(deltaTime);
+
+    const current = this.current;
+    if (current?.duration) {
+      current.elapsed += deltaTime * 1000;
+      if (current.elapsed >= current.duration) {
+        this.finish();
+      }
+    }
+  }
+
+  createEntry(name, { loop, duration = 0, priority, onComplete = null } = {}) {
+    const settings = this.getSettings(name);
+    const looping = loop ?? settings.loop;
+    return {
+      name,
+      looping,
+      oneShot: !looping || duration > 0,
+      priority: priority ?? settings.priority,
+      duration,
+      elapsed: 0,
+      onComplete,
+      action: null
+    };
+  }
+
+  defer(entry) {
+    if (entry.oneShot) {
+      this.queued.push(entry);
+    } else {
+      // Only the latest looping request matters
+      this.next = entry;
+    }
+
+    const position = entry.oneShot ? this.queued.length : this.queued.length + 1;
+    this.emit('animationQueued', { name: entry.name, position });
+    return 'queued';
+  }
+
+  /**
+   * End the current state and crossfade into another
+   */
+  switchTo(entry, finished) {
+    const previous = this.current;
+    this.current = null;
+    if (previous) {
+      this.end(previous, finished);
+    }
+    this.start(entry, previous?.action);
+  }
+
+  start(entry, previousAction = null) {
+    const fade = this.config.transitionDuration / 1000;
+    const binding = this.bindings[entry.name];
+    const action = this.mixer.clipAction(this.pickClip(binding, previousAction));
+
+    action.reset();
+    action.setLoop(entry.looping ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+    // Hold the last frame so the crossfade out of a one-shot starts from its end pose
+    action.clampWhenFinished = true;
+    action.setEffectiveTimeScale(binding.speed || 1);
+    action.setEffectiveWeight(1);
+    action.play();
+
+    if (previousAction && previousAction !== action) {
+      previousAction.crossFadeTo(action, fade, false);
+    } else if (!previousAction) {
+      action.fadeIn(fade);
+    }
+
+    entry.action = action;
+    this.current = entry;
+    this.emit('animationStart', entry.name);
+  }
+
+  /**
+   * Random variant, avoiding the one that just played
+   */
+  pickClip({ clips }, previousAction) {
+    const candidates = clips.length > 1
+      ? clips.filter(clip => clip !== previousAction?.getClip())
+      : clips;
+    return candidates[Math.floor(Math.random() * candidates.length)];
+  }
+
+  handleFinished(event) {
+    // Timed states end on their own clock
+    if (this.current && event.action === this.current.action && !this.current.duration) {
+      this.finish();
+    }
+  }
+
+  /**
+   * The current state completed: move on to the queue, the pending loop or the rest state
+   */
+  finish() {
+    const following = this.queued.shift() || this.next || this.createEntry(this.config.restState);
+    if (following === this.next) {
+      this.next = null;
+    }
+
+    if (this.has(following.name)) {
+      this.switchTo(following, true);
+      return;
+    }
+
+    const ended = this.current;
+    this.current = null;
+    ended.action.fadeOut(this.config.transitionDuration / 1000);
+    this.end(ended, true);
+    this.emit('animationStop');
+  }
+
+  end(entry, finished) {
+    if (entry.onComplete) {
+      try {
+        entry.onComplete(finished);
+      } catch (error) {
+        console.error('[AnimationStateMachine] Error in onComplete:', error);
+      }
+    }
+    this.emit('animationEnd', entry.name);
+  }
+
+  /**
+   * Event emitter methods
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`[AnimationStateMachine] Error in event listener for '${event}':`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Cleanup
+   */
+  dispose() {
+    this.clearQueue();
+    this.current = null;
+    this.mixer.removeEventListener('finished', this.onFinished);
+    this.mixer.stopAllAction();
+    this.listeners = {};
+  }
+}
+
+export default AnimationStateMachine;
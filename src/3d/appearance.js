@@ -0,0 +1,227 @@
+/**
+ * Appearance - Runtime restyling of a puppet: colours, material style and accessories
+ * The descriptor is plain JSON, kept in the Puppet schema's metadata and saved per persona:
+ *   {
+ *     colors: { body, head, eyes },   '#rrggbb', or null for the model's own colour
+ *     material: 'matte' | 'metallic' | 'toon' | null (the model's own materials)
+ *     accessories: [{ type: 'hat', anchor: 'headTop' }]
+ *   }
+ *
+ * Accessories hang from anchor nodes named "anchor_<name>" (e.g. anchor_headTop). The
+ * placeholder robot has headTop, eyes and headSide; loaded models need their own anchor
+ * nodes, and accessories whose anchor is missing are left off.
+ */
+
+import * as THREE from 'three';
+import { APPEARANCE_CONFIG } from '../config/constants.js';
+
+const STORAGE_KEY = 'arbot_appearance';
+const ANCHOR_PREFIX = 'anchor_';
+const HEX_COLOR = /^#([0-9a-f]{3}){1,2}$/i;
+
+const MATERIAL_STYLES = {
+  matte: (params) => new THREE.MeshLambertMaterial(params),
+  metallic: (params) => new THREE.MeshStandardMaterial({ ...params, metalness: 0.8, roughness: 0.3 }),
+  toon: (params) => new THREE.MeshToonMaterial(params)
+};
+
+// Accessories are built from primitives, sized for the placeholder robot's 0.4 m head
+const ACCESSORY_BUILDERS = {
+  hat(group) {
+    const material = new THREE.MeshPhongMaterial({ color: 0x333344 });
+    const brim = new THREE.Mesh(new THREE.CylinderGeometry(0.28, 0.28, 0.02, 32), material);
+    const crown = new THREE.Mesh(new THREE.CylinderGeometry(0.17, 0.18, 0.22, 32), material);
+    crown.position.y = 0.12;
+    const band = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.185, 0.185, 0.04, 32),
+      new THREE.MeshPhongMaterial({ color: 0xcc3333 })
+    );
+    band.position.y = 0.03;
+    group.add(brim, crown, band);
+  },
+  glasses(group) {
+    const frame = new THREE.MeshPhongMaterial({ color: 0x111111 });
+    const lensMaterial = new THREE.MeshPhongMaterial({ color: 0x88ccff, transparent: true, opacity: 0.35 });
+    [-0.12, 0.12].forEach(x => {
+      const rim = new THREE.Mesh(new THREE.TorusGeometry(0.085, 0.012, 8, 32), frame);
+      rim.position.x = x;
+      const lens = new THREE.Mesh(new THREE.CircleGeometry(0.085, 32), lensMaterial);
+      lens.position.x = x;
+      group.add(rim, lens);
+    });
+    const bridge = new THREE.Mesh(new THREE.BoxGeometry(0.07, 0.015, 0.015), frame);
+    group.add(bridge);
+  },
+  antenna(group) {
+    const stick = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.012, 0.012, 0.25, 8),
+      new THREE.MeshPhongMaterial({ color: 0x999999 })
+    );
+    stick.position.y = 0.125;
+    const tip = new THREE.Mesh(
+      new THREE.SphereGeometry(0.035, 16, 16),
+      new THREE.MeshPhongMaterial({ color: 0xff3333, emissive: 0x440000 })
+    );
+    tip.position.y = 0.26;
+    group.add(stick, tip);
+    // Leans outwards from the side of the head
+    group.rotation.z = -Math.PI / 8;
+  }
+};
+
+/**
+ * '#rrggbb' for a hex colour string, null for anything else
+ */
+function toHexColor(value) {
+  if (typeof value !== 'string' || !HEX_COLOR.test(value)) return null;
+  return `#${new THREE.Color(value).getHexString()}`;
+}
+
+/**
+ * A complete, valid descriptor from partial or untrusted input (e.g. localStorage)
+ */
+export function normalizeAppearance(appearance = {}) {
+  const colors = {};
+  APPEARANCE_CONFIG.regions.forEach(region => {
+    colors[region] = toHexColor(appearance?.colors?.[region]);
+  });
+
+  const material = APPEARANCE_CONFIG.materials.includes(appearance?.material) ? appearance.material : null;
+
+  const accessories = [];
+  (Array.isArray(appearance?.accessories) ? appearance.accessories : []).forEach(entry => {
+    // Entries may be just the type: ['hat', { type: 'glasses', anchor: 'eyes' }]
+    const { type, anchor } = typeof entry === 'string' ? { type: entry } : entry || {};
+    if (!ACCESSORY_BUILDERS[type] || accessories.some(accessory => accessory.type === type)) return;
+    accessories.push({ type, anchor: typeof anchor === 'string' && anchor ? anchor : APPEARANCE_CONFIG.accessories[type] });
+  });
+
+  return { colors, material, accessories };
+}
+
+/**
+ * Build an accessory; every mesh in it is tagged so it is never recoloured as part of the robot
+ */
+export function createAccessory(type) {
+  const builder = ACCESSORY_BUILDERS[type];
+  if (!builder) return null;
+
+  const group = new THREE.Group();
+  group.name = `accessory_${type}`;
+  builder(group);
+  group.traverse(object => {
+    object.userData.accessory = type;
+  });
+  return group;
+}
+
+/**
+ * Anchor node an accessory attaches to, or null when the model has none by that name
+ */
+export function findAnchor(root, name) {
+  return root.getObjectByName(`${ANCHOR_PREFIX}${name}`) || null;
+}
+
+/**
+ * Free an accessory's geometry and materials once it is taken off
+ */
+export function disposeAccessory(accessory) {
+  accessory.removeFromParent();
+  accessory.traverse(object => {
+    if (!object.isMesh) return;
+    object.geometry.dispose();
+    releaseStyledMaterial(object);
+    [object.material].flat().forEach(material => material.dispose());
+  });
+}
+
+/**
+ * Restyle every mesh under root from its original material
+ * regionOf(mesh) names the colour region of a mesh (or null to keep its colour);
+ * baseColors are region colours used when the descriptor leaves one unset
+ */
+export function applyAppearance(root, appearance, { regionOf = () => null, baseColors = {} } = {}) {
+  root.traverse(object => {
+    if (!object.isMesh) return;
+    const region = regionOf(object);
+    const color = region ? appearance.colors[region] || baseColors[region] || null : null;
+    restyleMesh(object, appearance.material, color);
+  });
+}
+
+function restyleMesh(mesh, style, color) {
+  if (!mesh.userData.originalMaterial) {
+    mesh.userData.originalMaterial = mesh.material;
+  }
+  const original = mesh.userData.originalMaterial;
+  releaseStyledMaterial(mesh);
+
+  if (!style && !color) {
+    mesh.material = original;
+    return;
+  }
+  mesh.material = Array.isArray(original)
+    ? original.map(material => restyleMaterial(material, style, color))
+    : restyleMaterial(original, style, color);
+  mesh.userData.styled = true;
+}
+
+/**
+ * Dispose the material a previous restyle created and put the original back
+ */
+function releaseStyledMaterial(mesh) {
+  if (!mesh.userData.styled) return;
+  [mesh.material].flat().forEach(material => material.dispose());
+  mesh.material = mesh.userData.originalMaterial;
+  mesh.userData.styled = false;
+}
+
+function restyleMaterial(original, style, color) {
+  if (!style) {
+    const material = original.clone();
+    material.color?.set(color);
+    return material;
+  }
+
+  // Keep what makes the model look like itself: texture, transparency, sidedness
+  return MATERIAL_STYLES[style]({
+    color: color || original.color?.clone() || 0xffffff,
+    map: original.map || null,
+    transparent: original.transparent,
+    opacity: original.opacity,
+    side: original.side,
+    alphaTest: original.alphaTest,
+    vertexColors: original.vertexColors
+  });
+}
+
+/**
+ * The appearance saved for a persona in a previous visit, or null
+ */
+export function loadSavedAppearance(personaId) {
+  if (!personaId) return null;
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return saved[personaId] ? normalizeAppearance(saved[personaId]) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Remember a persona's appearance for the next visit; null forgets it
+ */
+export function saveAppearance(personaId, appearance) {
+  if (!personaId) return;
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    if (appearance) {
+      saved[personaId] = appearance;
+    } else {
+      delete saved[personaId];
+    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  } catch (error) {
+    console.warn('[Appearance] Could not save appearance:', error.message);
+  }
+}
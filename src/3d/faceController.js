@@ -0,0 +1,420 @@
+/**
+ * Face Controller - Facial expressions, blinking and eye direction
+ * Expressions come from, in order of preference:
+ *   VRM 1.0 expressions (VRMC_vrm) or VRM 0.x blend shape groups in the loaded file
+ *   morph targets with well-known names (VRoid Fcl_*, ARKit, plain "happy"/"blink")
+ *   the placeholder robot, whose eyes are scaled and pupils moved instead
+ * Eyes turn with eye bones when the model has them (VRM humanoid or bones named
+ * like "LeftEye"), otherwise with lookUp/Down/Left/Right expressions.
+ *
+ * Expression weights (0-1) ease towards their targets, so emotions blend in and out
+ * on top of whatever the body animation is doing. Blinking runs by itself.
+ *
+ * Names follow VRM 1.0 presets:
+ *   happy angry sad relaxed surprised neutral
+ *   blink blinkLeft blinkRight lookUp lookDown lookLeft lookRight
+ *   aa ih ou ee oh
+ */
+
+import * as THREE from 'three';
+
+export const EXPRESSION_PRESETS = [
+  'happy', 'angry', 'sad', 'relaxed', 'surprised', 'neutral',
+  'blink', 'blinkLeft', 'blinkRight', 'lookUp', 'lookDown', 'lookLeft', 'lookRight',
+  'aa', 'ih', 'ou', 'ee', 'oh'
+];
+
+// VRM 0.x preset names -> VRM 1.0 names
+const VRM0_PRESETS = {
+  joy: 'happy', angry: 'angry', sorrow: 'sad', fun: 'relaxed', surprised: 'surprised', neutral: 'neutral',
+  blink: 'blink', blink_l: 'blinkLeft', blink_r: 'blinkRight',
+  lookup: 'lookUp', lookdown: 'lookDown', lookleft: 'lookLeft', lookright: 'lookRight',
+  a: 'aa', i: 'ih', u: 'ou', e: 'ee', o: 'oh'
+};
+
+// Morph target names used for each expression by models without VRM data
+const EXPRESSION_MORPH_NAMES = {
+  happy: ['happy', 'Happy', 'Joy', 'Fcl_ALL_Joy', 'mouthSmile'],
+  angry: ['angry', 'Angry', 'Fcl_ALL_Angry'],
+  sad: ['sad', 'Sad', 'Sorrow', 'Fcl_ALL_Sorrow'],
+  relaxed: ['relaxed', 'Relaxed', 'Fun', 'Fcl_ALL_Fun'],
+  surprised: ['surprised', 'Surprised', 'Fcl_ALL_Surprised'],
+  blink: ['blink', 'Blink', 'Fcl_EYE_Close', 'eyesClosed'],
+  blinkLeft: ['blinkLeft', 'Blink_L', 'Fcl_EYE_Close_L', 'eyeBlinkLeft', 'eyeBlink_L'],
+  blinkRight: ['blinkRight', 'Blink_R', 'Fcl_EYE_Close_R', 'eyeBlinkRight', 'eyeBlink_R'],
+  lookUp: ['lookUp', 'LookUp'],
+  lookDown: ['lookDown', 'LookDown'],
+  lookLeft: ['lookLeft', 'LookLeft'],
+  lookRight: ['lookRight', 'LookRight']
+};
+
+const LEFT_EYE_BONE = /(^|[^a-z])(left_?eye|eye_?l|eye\.l)$/i;
+const RIGHT_EYE_BONE = /(^|[^a-z])(right_?eye|eye_?r|eye\.r)$/i;
+
+export class FaceController {
+  constructor(config = {}) {
+    this.config = {
+      blinkInterval: config.blinkInterval || [2000, 6000], // ms between blinks (random in range)
+      blinkDuration: config.blinkDuration || 160, // ms for a whole blink
+      smoothing: config.smoothing || 8, // higher = faster expression changes
+      maxEyeYaw: config.maxEyeYaw || 0.35, // radians
+      maxEyePitch: config.maxEyePitch || 0.25,
+      ...config
+    };
+
+    this.expressions = {}; // name -> { binds: [{ mesh, index, weight }], isBinary, overrideBlink }
+    this.targets = {}; // name -> target weight
+    this.weights = {}; // name -> current weight
+    this.touched = new Map(); // mesh -> morph indices we drive
+    this.eyes = null; // { left, right, leftRest, rightRest } bones
+    this.placeholder = null; // { eyes, pupils } parts of the placeholder robot
+    this.source = 'none';
+
+    this.autoBlink = true;
+    this.blinkTimer = this.nextBlinkDelay();
+    this.blinkElapsed = -1;
+    this.look = { yaw: 0, pitch: 0 };
+  }
+
+  /**
+   * Find the face of a loaded glTF/VRM model
+   */
+  bind(model, gltf = null) {
+    this.reset();
+
+    const extensions = gltf?.parser?.json?.extensions || {};
+    if (extensions.VRMC_vrm) {
+      this.bindVrm1(extensions.VRMC_vrm, gltf.parser, model);
+    } else if (extensions.VRM) {
+      this.bindVrm0(extensions.VRM, gltf.parser, model);
+    }
+
+    if (Object.keys(this.expressions).length === 0) {
+      this.bindMorphNames(model);
+    }
+    if (!this.eyes) {
+      this.bindEyeBones(model);
+    }
+
+    console.log(`[FaceController] ${this.source}: ${Object.keys(this.expressions).join(', ') || 'no expressions'}${this.eyes ? ', eye bones' : ''}`);
+    return this.list();
+  }
+
+  /**
+   * Use the placeholder robot's eyes and pupils
+   */
+  bindPlaceholder(model) {
+    this.reset();
+    const part = (name) => model.getObjectByName(name);
+    const rest = (object) => ({ object, position: object.position.clone(), scale: object.scale.clone() });
+
+    this.placeholder = {
+      eyes: ['leftEye', 'rightEye'].map(part).filter(Boolean).map(rest),
+      pupils: ['leftPupil', 'rightPupil'].map(part).filter(Boolean).map(rest)
+    };
+    ['happy', 'surprised', 'sad', 'blink', 'blinkLeft', 'blinkRight'].forEach(name => {
+      this.expressions[name] = { binds: [], isBinary: false, overrideBlink: 'none' };
+    });
+    this.source = 'placeholder';
+    return this.list();
+  }
+
+  reset() {
+    this.clearMorphs();
+    this.expressions = {};
+    this.targets = {};
+    this.weights = {};
+    this.touched = new Map();
+    this.eyes = null;
+    this.placeholder = null;
+    this.source = 'none';
+  }
+
+  /**
+   * Objects for glTF node / mesh indices, via the loader's associations
+   */
+  collectObjects(parser, model) {
+    const nodes = new Map();
+    const meshes = new Map();
+    model.traverse(object => {
+      const association = parser.associations?.get(object);
+      if (!association) return;
+      if (association.nodes !== undefined) nodes.set(association.nodes, object);
+      if (association.meshes !== undefined && object.isMesh) {
+        if (!meshes.has(association.meshes)) meshes.set(association.meshes, []);
+        meshes.get(association.meshes).push(object);
+      }
+    });
+    return { nodes, meshes };
+  }
+
+  addBind(name, mesh, index, weight, options = {}) {
+    if (!mesh?.morphTargetInfluences || index >= mesh.morphTargetInfluences.length) return;
+    if (!this.expressions[name]) {
+      this.expressions[name] = { binds: [], isBinary: Boolean(options.isBinary), overrideBlink: options.overrideBlink || 'none' };
+    }
+    this.expressions[name].binds.push({ mesh, index, weight });
+    if (!this.touched.has(mesh)) this.touched.set(mesh, new Set());
+    this.touched.get(mesh).add(index);
+  }
+
+  /**
+   * VRM 1.0: expressions.preset / custom with morphTargetBinds on nodes
+   */
+  bindVrm1(vrm, parser, model) {
+    const { nodes } = this.collectObjects(parser, model);
+    const expressions = { ...vrm.expressions?.preset, ...vrm.expressions?.custom };
+
+    Object.entries(expressions).forEach(([name, expression]) => {
+      (expression.morphTargetBinds || []).forEach(({ node, index, weight = 1 }) => {
+        const object = nodes.get(node);
+        if (!object) return;
+        // A node with several primitives is a group of meshes
+        const targets = object.isMesh ? [object] : object.children.filter(child => child.isMesh);
+        targets.forEach(mesh => this.addBind(name, mesh, index, weight, expression));
+      });
+    });
+
+    this.bindVrmEyes(vrm.humanoid?.humanBones?.leftEye?.node, vrm.humanoid?.humanBones?.rightEye?.node, nodes);
+    this.source = 'VRM 1.0';
+  }
+
+  /**
+   * VRM 0.x: blendShapeMaster groups with binds on meshes (weights 0-100)
+   */
+  bindVrm0(vrm, parser, model) {
+    const { nodes, meshes } = this.collectObjects(parser, model);
+
+    (vrm.blendShapeMaster?.blendShapeGroups || []).forEach(group => {
+      const preset = (group.presetName || '').toLowerCase();
+      const name = VRM0_PRESETS[preset] || group.name;
+      (group.binds || []).forEach(({ mesh, index, weight = 100 }) => {
+        (meshes.get(mesh) || []).forEach(target => this.addBind(name, target, index, weight / 100, group));
+      });
+    });
+
+    const bones = vrm.humanoid?.humanBones || [];
+    const boneNode = (bone) => bones.find(entry => entry.bone === bone)?.node;
+    this.bindVrmEyes(boneNode('leftEye'), boneNode('rightEye'), nodes);
+    this.source = 'VRM 0.x';
+  }
+
+  bindVrmEyes(leftIndex, rightIndex, nodes) {
+    const left = nodes.get(leftIndex);
+    const right = nodes.get(rightIndex);
+    if (left && right) {
+      this.eyes = { left, right, leftRest: left.quaternion.clone(), rightRest: right.quaternion.clone() };
+    }
+  }
+
+  /**
+   * Plain glTF: look for well-known morph target names
+   */
+  bindMorphNames(model) {
+    model.traverse(object => {
+      const dictionary = object.morphTargetDictionary;
+      if (!object.isMesh || !dictionary) return;
+
+      Object.entries(EXPRESSION_MORPH_NAMES).forEach(([name, candidates]) => {
+        const morph = candidates.find(candidate => candidate in dictionary);
+        if (morph) this.addBind(name, object, dictionary[morph], 1);
+      });
+    });
+    if (Object.keys(this.expressions).length > 0) {
+      this.source = 'morph targets';
+    }
+  }
+
+  bindEyeBones(model) {
+    let left = null;
+    let right = null;
+    model.traverse(object => {
+      if (!object.isBone) return;
+      if (!left && LEFT_EYE_BONE.test(object.name)) left = object;
+      if (!right && RIGHT_EYE_BONE.test(object.name)) right = object;
+    });
+    if (left && right) {
+      this.eyes = { left, right, leftRest: left.quaternion.clone(), rightRest: right.quaternion.clone() };
+    }
+  }
+
+  /**
+   * Names of the expressions this face supports
+   */
+  list() {
+    return Object.keys(this.expressions);
+  }
+
+  has(name) {
+    return name in this.expressions;
+  }
+
+  /**
+   * Ease an expression towards a weight (0-1); immediate skips the easing
+   */
+  setExpression(name, weight = 1, { immediate = false } = {}) {
+    if (!this.has(name)) return false;
+
+    const value = THREE.MathUtils.clamp(weight, 0, 1);
+    this.targets[name] = value;
+    if (immediate) {
+      this.weights[name] = value;
+    }
+    return true;
+  }
+
+  /**
+   * Ease every emotional expression back to neutral (blinks and visemes are left alone)
+   */
+  clearExpressions() {
+    ['happy', 'angry', 'sad', 'relaxed', 'surprised'].forEach(name => {
+      if (this.targets[name]) this.targets[name] = 0;
+    });
+  }
+
+  getExpression(name) {
+    return this.weights[name] || 0;
+  }
+
+  /**
+   * Blink once now
+   */
+  blink() {
+    this.blinkElapsed = 0;
+  }
+
+  setAutoBlink(enabled) {
+    this.autoBlink = enabled;
+  }
+
+  nextBlinkDelay() {
+    const [min, max] = this.config.blinkInterval;
+    return min + Math.random() * (max - min);
+  }
+
+  /**
+   * Point the eyes: yaw (+ = the model's left) and pitch (+ = up) in radians, clamped
+   */
+  setLookDirection(yaw = 0, pitch = 0) {
+    this.look.yaw = THREE.MathUtils.clamp(yaw, -this.config.maxEyeYaw, this.config.maxEyeYaw);
+    this.look.pitch = THREE.MathUtils.clamp(pitch, -this.config.maxEyePitch, this.config.maxEyePitch);
+  }
+
+  /**
+   * Advance blinking and easing, then pose the face
+   */
+  update(deltaTime) {
+    const ms = deltaTime * 1000;
+
+    // Blink: close and open again over blinkDuration
+    let blink = 0;
+    if (this.blinkElapsed >= 0) {
+      this.blinkElapsed += ms;
+      const progress = this.blinkElapsed / this.config.blinkDuration;
+      blink = progress < 1 ? Math.sin(progress * Math.PI) : 0;
+      if (progress >= 1) this.blinkElapsed = -1;
+    } else if (this.autoBlink) {
+      this.blinkTimer -= ms;
+      if (this.blinkTimer <= 0) {
+        this.blinkTimer = this.nextBlinkDelay();
+        this.blinkElapsed = 0;
+      }
+    }
+
+    const k = Math.min(1, deltaTime * this.config.smoothing);
+    Object.keys(this.expressions).forEach(name => {
+      const target = this.targets[name] || 0;
+      const current = this.weights[name] || 0;
+      this.weights[name] = current + (target - current) * k;
+    });
+
+    // Expressions that close the eyes themselves hold blinking back
+    const blocking = Object.entries(this.expressions)
+      .filter(([, expression]) => expression.overrideBlink !== 'none')
+      .reduce((max, [name]) => Math.max(max, this.weights[name] || 0), 0);
+    const blinkWeight = Math.max(this.weights.blink || 0, blink * (1 - blocking));
+
+    if (this.placeholder) {
+      this.applyPlaceholder(blinkWeight);
+    } else {
+      this.applyMorphs(blinkWeight);
+      this.applyEyes();
+    }
+  }
+
+  applyMorphs(blinkWeight) {
+    this.clearMorphs();
+
+    Object.entries(this.expressions).forEach(([name, expression]) => {
+      let weight = name === 'blink' ? blinkWeight : this.weights[name] || 0;
+      if (expression.isBinary) weight = weight > 0.5 ? 1 : 0;
+      if (weight <= 0.001) return;
+
+      expression.binds.forEach(({ mesh, index, weight: bindWeight }) => {
+        mesh.morphTargetInfluences[index] = Math.min(1, mesh.morphTargetInfluences[index] + weight * bindWeight);
+      });
+    });
+
+    // No eye bones: look with expressions
+    if (!this.eyes) {
+      const { yaw, pitch } = this.look;
+      const drive = (name, amount) => {
+        this.expressions[name]?.binds.forEach(({ mesh, index, weight }) => {
+          mesh.morphTargetInfluences[index] = Math.min(1, mesh.morphTargetInfluences[index] + amount * weight);
+        });
+      };
+      drive(yaw > 0 ? 'lookLeft' : 'lookRight', Math.abs(yaw) / this.config.maxEyeYaw);
+      drive(pitch > 0 ? 'lookUp' : 'lookDown', Math.abs(pitch) / this.config.maxEyePitch);
+    }
+  }
+
+  clearMorphs() {
+    this.touched?.forEach((indices, mesh) => {
+      indices.forEach(index => {
+        mesh.morphTargetInfluences[index] = 0;
+      });
+    });
+  }
+
+  applyEyes() {
+    if (!this.eyes) return;
+
+    const euler = new THREE.Euler(-this.look.pitch, this.look.yaw, 0, 'YXZ');
+    const offset = new THREE.Quaternion().setFromEuler(euler);
+    this.eyes.left.quaternion.copy(this.eyes.leftRest).multiply(offset);
+    this.eyes.right.quaternion.copy(this.eyes.rightRest).multiply(offset);
+  }
+
+  applyPlaceholder(blinkWeight) {
+    const { eyes, pupils } = this.placeholder;
+    const w = (name) => this.weights[name] || 0;
+
+    // Happy squints, sad droops a little, surprised widens
+    const openness = 1 - 0.45 * w('happy') - 0.25 * w('sad') + 0.3 * w('surprised');
+    const closed = [
+      Math.max(blinkWeight, w('blinkLeft')),
+      Math.max(blinkWeight, w('blinkRight'))
+    ];
+
+    eyes.forEach(({ object, scale }, side) => {
+      const size = 1 + 0.15 * w('surprised');
+      object.scale.set(scale.x * size, scale.y * Math.max(0.08, openness * (1 - closed[side])), scale.z * size);
+    });
+
+    const shift = new THREE.Vector2(this.look.yaw / this.config.maxEyeYaw, this.look.pitch / this.config.maxEyePitch)
+      .multiplyScalar(0.035);
+    pupils.forEach(({ object, position, scale }, side) => {
+      object.position.set(position.x + shift.x, position.y + shift.y, position.z);
+      object.scale.set(scale.x, scale.y * Math.max(0.05, openness * (1 - closed[side])), scale.z);
+    });
+  }
+
+  /**
+   * Cleanup
+   */
+  dispose() {
+    this.reset();
+  }
+}
+
+export default FaceController;
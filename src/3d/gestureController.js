@@ -0,0 +1,408 @@
+/**
+ * Gesture Controller - Touch and mouse manipulation of the puppet on the AR canvas
+ *   one finger / mouse drag on the puppet   move it along the ground
+ *   pinch / mouse wheel                     scale within PUPPET_LIMITS.scale
+ *   two-finger twist / shift + mouse drag   turn it around its vertical axis
+ *   double-tap anywhere                     back to the starting transform
+ *   tap on a part                           poke: a reaction from GESTURE_CONFIG.reactions
+ *
+ * With several puppets (setPuppets) gestures act on the one last touched, or the one
+ * set with setTarget() for gestures that start off any puppet (pinch, wheel).
+ *
+ * Events: transformStart (puppetModel), transformEnd ({ position, rotation, scale }),
+ *         poke ({ part, reaction, point, puppetModel }), reset
+ */
+
+import * as THREE from 'three';
+import { GESTURE_CONFIG, PUPPET_LIMITS } from '../config/constants.js';
+
+// Rays flatter than this (sin of the angle to the ground) drag on a camera-facing plane instead
+const MIN_GROUND_RAY_SLOPE = 0.15;
+const MOUSE_ROTATE_SPEED = 0.01; // radians per px
+const WHEEL_SETTLE_MS = 300;
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+export class GestureController {
+  constructor(canvas, camera, puppetModel, config = {}) {
+    this.config = {
+      ...GESTURE_CONFIG,
+      positionLimits: PUPPET_LIMITS.position,
+      scaleLimits: PUPPET_LIMITS.scale,
+      ...config
+    };
+
+    this.canvas = canvas;
+    this.camera = camera;
+    this.puppetModel = puppetModel; // the puppet gestures act on
+    this.puppets = puppetModel ? [puppetModel] : [];
+
+    this.pointers = new Map(); // pointerId -> { x, y }
+    this.gesture = null; // press, drag, rotate or pinch in progress
+    this.lastTap = null; // { x, y, time }
+    this.pokeTimer = null;
+    this.wheelTimer = null;
+    this.transforming = false;
+    this.attached = false;
+
+    this.raycaster = new THREE.Raycaster();
+    this.listeners = {};
+
+    this.handlers = {
+      pointerdown: (event) => this.onPointerDown(event),
+      pointermove: (event) => this.onPointerMove(event),
+      pointerup: (event) => this.onPointerUp(event, true),
+      pointercancel: (event) => this.onPointerUp(event, false),
+      wheel: (event) => this.onWheel(event)
+    };
+  }
+
+  /**
+   * Start listening on the canvas
+   */
+  attach() {
+    if (this.attached || !this.canvas) return;
+
+    Object.entries(this.handlers).forEach(([type, handler]) => {
+      this.canvas.addEventListener(type, handler, { passive: type !== 'wheel' });
+    });
+    // The browser must not scroll or zoom the page under our gestures
+    this.canvas.style.touchAction = 'none';
+    this.attached = true;
+  }
+
+  detach() {
+    if (!this.attached) return;
+
+    Object.entries(this.handlers).forEach(([type, handler]) => {
+      this.canvas.removeEventListener(type, handler);
+    });
+    this.attached = false;
+  }
+
+  /**
+   * Puppets that can be grabbed
+   */
+  setPuppets(puppets) {
+    this.puppets = [...puppets];
+    if (!this.puppets.includes(this.puppetModel)) {
+      this.puppetModel = this.puppets[0] || null;
+    }
+  }
+
+  /**
+   * Puppet for gestures that do not start on one
+   */
+  setTarget(puppetModel) {
+    if (this.transforming || !this.puppets.includes(puppetModel)) return;
+    this.puppetModel = puppetModel;
+  }
+
+  get model() {
+    return this.puppetModel?.model || null;
+  }
+
+  /**
+   * Screen point to normalized device coordinates of the canvas
+   */
+  toDeviceCoordinates(x, y) {
+    const rect = this.canvas.getBoundingClientRect();
+    return new THREE.Vector2(
+      ((x - rect.left) / rect.width) * 2 - 1,
+      -((y - rect.top) / rect.height) * 2 + 1
+    );
+  }
+
+  /**
+   * Puppet intersection under a screen point with the puppet hit ({ ...intersection, puppet }), or null
+   */
+  raycast(x, y) {
+    const models = this.puppets.map(puppet => puppet.model).filter(Boolean);
+    if (models.length === 0) return null;
+
+    this.raycaster.setFromCamera(this.toDeviceCoordinates(x, y), this.camera);
+    const hit = this.raycaster.intersectObjects(models, true)[0];
+    if (!hit) return null;
+
+    let root = hit.object;
+    while (root.parent && !models.includes(root)) {
+      root = root.parent;
+    }
+    return { ...hit, puppet: this.puppets.find(puppet => puppet.model === root) };
+  }
+
+  onPointerDown(event) {
+    this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+    if (this.pointers.size === 1) {
+      const hit = this.raycast(event.clientX, event.clientY);
+      if (hit && !this.transforming) {
+        this.puppetModel = hit.puppet;
+      }
+      this.gesture = {
+        type: 'press',
+        hit,
+        startX: event.clientX,
+        startY: event.clientY,
+        startTime: Date.now(),
+        rotate: event.shiftKey
+      };
+      this.canvas.setPointerCapture?.(event.pointerId);
+    } else if (this.pointers.size === 2 && this.model) {
+      this.beginPinch();
+    }
+  }
+
+  onPointerMove(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer || !this.gesture) return;
+
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+    const gesture = this.gesture;
+
+    if (gesture.type === 'press') {
+      const moved = Math.hypot(event.clientX - gesture.startX, event.clientY - gesture.startY);
+      if (moved <= this.config.tapSlop) return;
+
+      // Dragging the background is left alone
+      if (!gesture.hit) {
+        this.gesture = null;
+        return;
+      }
+      if (gesture.rotate) {
+        this.beginRotate(gesture);
+      } else {
+        this.beginDrag(gesture);
+      }
+    }
+
+    if (this.gesture?.type === 'drag') {
+      this.drag(event.clientX, event.clientY);
+    } else if (this.gesture?.type === 'rotate') {
+      const rotation = this.model.rotation;
+      const y = this.gesture.startRotationY + (event.clientX - this.gesture.startX) * MOUSE_ROTATE_SPEED;
+      this.puppetModel.updateRotation(rotation.x, y, rotation.z);
+    } else if (this.gesture?.type === 'pinch') {
+      this.pinch();
+    }
+  }
+
+  onPointerUp(event, completed) {
+    if (!this.pointers.delete(event.pointerId)) return;
+    const gesture = this.gesture;
+    if (!gesture) return;
+
+    if (gesture.type === 'press') {
+      this.gesture = null;
+      if (completed && Date.now() - gesture.startTime <= this.config.tapDuration) {
+        this.handleTap(event.clientX, event.clientY, gesture.hit);
+      }
+      return;
+    }
+
+    // A pinch ends as soon as one finger lifts; the other does not start a drag
+    if (gesture.type === 'pinch' || this.pointers.size === 0) {
+      this.gesture = null;
+      this.endTransform();
+    }
+  }
+
+  onWheel(event) {
+    if (!this.model) return;
+    event.preventDefault();
+
+    this.beginTransform();
+    const step = event.deltaY > 0 ? -this.config.wheelScaleStep : this.config.wheelScaleStep;
+    this.puppetModel.updateScale(clamp(this.model.scale.x * (1 + step), this.config.scaleLimits));
+
+    clearTimeout(this.wheelTimer);
+    this.wheelTimer = setTimeout(() => this.endTransform(), WHEEL_SETTLE_MS);
+  }
+
+  beginDrag(gesture) {
+    this.beginTransform();
+    this.raycaster.setFromCamera(this.toDeviceCoordinates(gesture.startX, gesture.startY), this.camera);
+
+    // Drag on the ground under the puppet, unless the camera looks along it
+    const position = this.model.position;
+    const ground = new THREE.Plane(new THREE.Vector3(0, 1, 0), -position.y);
+    const plane = Math.abs(this.raycaster.ray.direction.y) >= MIN_GROUND_RAY_SLOPE
+      ? ground
+      : new THREE.Plane().setFromNormalAndCoplanarPoint(this.camera.getWorldDirection(new THREE.Vector3()), position);
+
+    const startPoint = this.raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+    this.gesture = startPoint
+      ? { type: 'drag', plane, startPoint, startPosition: position.clone() }
+      : null;
+    if (!this.gesture) this.endTransform();
+  }
+
+  drag(x, y) {
+    const { plane, startPoint, startPosition } = this.gesture;
+    this.raycaster.setFromCamera(this.toDeviceCoordinates(x, y), this.camera);
+    const point = this.raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+    if (!point) return;
+
+    // The puppet stays on its ground height whichever plane is used
+    const limits = this.config.positionLimits;
+    this.puppetModel.updatePosition(
+      clamp(startPosition.x + point.x - startPoint.x, limits.x),
+      startPosition.y,
+      clamp(startPosition.z + point.z - startPoint.z, limits.z)
+    );
+  }
+
+  beginRotate(gesture) {
+    this.beginTransform();
+    this.gesture = { type: 'rotate', startX: gesture.startX, startRotationY: this.model.rotation.y };
+  }
+
+  /**
+   * Distance and angle between the two active pointers
+   */
+  measurePointers() {
+    const [a, b] = Array.from(this.pointers.values());
+    return {
+      distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+      angle: Math.atan2(b.y - a.y, b.x - a.x)
+    };
+  }
+
+  beginPinch() {
+    clearTimeout(this.pokeTimer);
+    this.beginTransform();
+    const { distance, angle } = this.measurePointers();
+    this.gesture = {
+      type: 'pinch',
+      startDistance: distance,
+      startAngle: angle,
+      startScale: this.model.scale.x,
+      startRotationY: this.model.rotation.y
+    };
+  }
+
+  pinch() {
+    const { distance, angle } = this.measurePointers();
+    const gesture = this.gesture;
+    const rotation = this.model.rotation;
+
+    this.puppetModel.updateScale(clamp(gesture.startScale * distance / gesture.startDistance, this.config.scaleLimits));
+    // Twisting clockwise on screen turns the puppet clockwise seen from above
+    this.puppetModel.updateRotation(rotation.x, gesture.startRotationY - (angle - gesture.startAngle), rotation.z);
+  }
+
+  handleTap(x, y, hit) {
+    const now = Date.now();
+    const last = this.lastTap;
+
+    if (last && now - last.time <= this.config.doubleTapWindow
+      && Math.hypot(x - last.x, y - last.y) <= this.config.tapSlop * 4) {
+      clearTimeout(this.pokeTimer);
+      this.lastTap = null;
+      this.reset();
+      return;
+    }
+
+    this.lastTap = { x, y, time: now };
+    if (hit) {
+      // Wait out the double-tap window so a double-tap does not poke first
+      clearTimeout(this.pokeTimer);
+      this.pokeTimer = setTimeout(() => this.poke(hit), this.config.doubleTapWindow);
+    }
+  }
+
+  /**
+   * Name of the poked part and the reaction for it; the hit object and its parents
+   * are checked in turn (an eye belongs to the head)
+   */
+  resolvePart(object, root) {
+    const keys = Object.keys(this.config.reactions);
+    for (let node = object; node && node !== root?.parent; node = node.parent) {
+      const name = (node.name || '').toLowerCase();
+      const key = keys.find(candidate => name.includes(candidate));
+      if (key) {
+        return { part: node.name, reaction: this.config.reactions[key] };
+      }
+    }
+    return { part: object.name || 'body', reaction: this.config.defaultReaction };
+  }
+
+  poke(hit) {
+    const { part, reaction } = this.resolvePart(hit.object, hit.puppet.model);
+    console.log(`[GestureController] Poked ${part}`);
+    this.emit('poke', { part, reaction, point: hit.point, puppetModel: hit.puppet });
+  }
+
+  /**
+   * Back to where the puppet started
+   */
+  reset() {
+    const puppet = this.puppetModel;
+    if (!puppet) return;
+
+    this.emit('reset');
+    puppet.resetTransform().then((finished) => {
+      // A gesture that cut the reset short reports its own transform
+      if (finished && puppet === this.puppetModel) {
+        this.emit('transformEnd', puppet.getTransform());
+      }
+    });
+  }
+
+  beginTransform() {
+    // Gestures take over from any running move (e.g. a reset or a scene tool)
+    this.puppetModel.stopTransition();
+    if (this.transforming) return;
+    this.transforming = true;
+    this.emit('transformStart', this.puppetModel);
+  }
+
+  endTransform() {
+    if (!this.transforming) return;
+    this.transforming = false;
+    this.emit('transformEnd', this.puppetModel.getTransform());
+  }
+
+  /**
+   * Event emitter methods
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`[GestureController] Error in event listener for '${event}':`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Cleanup
+   */
+  dispose() {
+    this.detach();
+    clearTimeout(this.pokeTimer);
+    clearTimeout(this.wheelTimer);
+    this.pointers.clear();
+    this.gesture = null;
+    this.listeners = {};
+  }
+}
+
+export default GestureController;
@@ -0,0 +1,237 @@
+/**
+ * Lip Sync - Mouth movement for the speaking robot
+ * Two sources feed it and are combined when both are available:
+ *   audio  the HTMLAudioElement being played (http TTS) is analysed with a Web Audio
+ *          AnalyserNode; loudness decides how far the mouth opens
+ *   text   word boundary events (speechSynthesis, or estimated by the http backend)
+ *          become a timed viseme sequence that shapes the mouth
+ * Voices that report neither still get a procedural mouth flap while speaking.
+ *
+ * Visemes follow the Oculus / Ready Player Me set:
+ *   sil PP FF TH DD kk CH SS nn RR aa E I O U
+ * update(deltaTime) returns { open: 0-1, weights: { viseme: 0-1 } }
+ */
+
+export const VISEMES = ['sil', 'PP', 'FF', 'TH', 'DD', 'kk', 'CH', 'SS', 'nn', 'RR', 'aa', 'E', 'I', 'O', 'U'];
+
+// How far the jaw opens for each viseme
+const VISEME_OPENNESS = {
+  sil: 0, PP: 0, FF: 0.15, TH: 0.2, DD: 0.3, kk: 0.35, CH: 0.3, SS: 0.2,
+  nn: 0.25, RR: 0.35, aa: 1, E: 0.6, I: 0.45, O: 0.8, U: 0.5
+};
+
+const DIGRAPH_VISEMES = { th: 'TH', ch: 'CH', sh: 'CH' };
+
+const LETTER_VISEMES = {
+  a: 'aa', e: 'E', i: 'I', o: 'O', u: 'U', y: 'I', w: 'U',
+  b: 'PP', m: 'PP', p: 'PP',
+  f: 'FF', v: 'FF',
+  d: 'DD', t: 'DD', l: 'DD',
+  c: 'kk', g: 'kk', h: 'kk', k: 'kk', q: 'kk', x: 'kk',
+  j: 'CH',
+  s: 'SS', z: 'SS',
+  n: 'nn',
+  r: 'RR'
+};
+
+// CJK characters are one syllable each; cycle through open vowel shapes
+const SYLLABLE_VISEMES = ['aa', 'E', 'O', 'I', 'U'];
+const CJK_PATTERN = /[぀-ヿ㐀-鿿가-힯]/;
+
+/**
+ * Viseme sequence for a word: [{ viseme, weight }] where weight is relative duration
+ */
+export function textToVisemes(word = '') {
+  const sequence = [];
+  const text = word.toLowerCase();
+
+  for (let i = 0; i < text.length; i++) {
+    const pair = text.slice(i, i + 2);
+    if (DIGRAPH_VISEMES[pair]) {
+      sequence.push({ viseme: DIGRAPH_VISEMES[pair], weight: 1 });
+      i++;
+    } else if (LETTER_VISEMES[text[i]]) {
+      const viseme = LETTER_VISEMES[text[i]];
+      // Vowels are held longer than consonants
+      sequence.push({ viseme, weight: VISEME_OPENNESS[viseme] >= 0.45 ? 1.5 : 1 });
+    } else if (CJK_PATTERN.test(text[i])) {
+      sequence.push({ viseme: SYLLABLE_VISEMES[text.codePointAt(i) % SYLLABLE_VISEMES.length], weight: 3 });
+    }
+  }
+
+  return sequence;
+}
+
+export class LipSync {
+  constructor(config = {}) {
+    this.config = {
+      charDuration: config.charDuration || 0.065, // seconds per letter at rate 1
+      smoothing: config.smoothing || 18, // higher = snappier mouth
+      gain: config.gain || 5, // speech RMS is small; scale it up to 0-1
+      idleTimeout: config.idleTimeout || 0.35, // s without cues before the procedural flap
+      ...config
+    };
+
+    this.context = null;
+    this.analyser = null;
+    this.source = null;
+    this.samples = null;
+    this.sources = new WeakMap(); // an audio element can only be wrapped once
+
+    this.speaking = false;
+    this.rate = 1;
+    this.time = 0;
+    this.lastCueTime = 0;
+    this.timeline = [];
+    this.open = 0;
+    this.weights = Object.fromEntries(VISEMES.map(viseme => [viseme, 0]));
+  }
+
+  /**
+   * Speech started
+   */
+  start({ rate = 1 } = {}) {
+    this.speaking = true;
+    this.rate = rate || 1;
+    this.timeline = [];
+    this.lastCueTime = this.time;
+  }
+
+  /**
+   * Speech ended or was interrupted - the mouth closes
+   */
+  stop() {
+    this.speaking = false;
+    this.timeline = [];
+    this.source?.disconnect();
+    this.source = null;
+  }
+
+  /**
+   * Analyse a playing audio element; it keeps sounding through the audio graph
+   */
+  attachAudio(audio) {
+    if (!audio) return false;
+
+    try {
+      if (!this.context) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return false;
+        this.context = new AudioContextClass();
+        this.analyser = this.context.createAnalyser();
+        this.analyser.fftSize = 512;
+        this.samples = new Float32Array(this.analyser.fftSize);
+        this.analyser.connect(this.context.destination);
+      }
+
+      // Routing audio into a context that is not running would silence it
+      if (this.context.state !== 'running') {
+        this.context.resume().catch(() => {});
+        return false;
+      }
+
+      // The previous chunk has finished playing
+      if (this.source) {
+        this.source.disconnect();
+      }
+
+      let source = this.sources.get(audio);
+      if (!source) {
+        source = this.context.createMediaElementSource(audio);
+        this.sources.set(audio, source);
+      }
+      source.connect(this.analyser);
+      this.source = source;
+      this.lastCueTime = this.time;
+      return true;
+    } catch (error) {
+      console.warn('[LipSync] Audio analysis unavailable:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * A word is being spoken now: schedule its visemes
+   */
+  addWord({ word = '' } = {}) {
+    const sequence = textToVisemes(word);
+    if (sequence.length === 0) return;
+
+    const unit = this.config.charDuration / this.rate;
+    let start = this.time;
+    // A new word replaces whatever was left of the previous one
+    this.timeline = sequence.map(({ viseme, weight }) => {
+      const entry = { viseme, start, end: start + unit * weight };
+      start = entry.end;
+      return entry;
+    });
+    this.timeline.push({ viseme: 'sil', start, end: start + unit });
+    this.lastCueTime = this.time;
+  }
+
+  /**
+   * Current loudness of the analysed audio (0-1), or null without audio
+   */
+  measureLevel() {
+    if (!this.source || !this.analyser) return null;
+
+    this.analyser.getFloatTimeDomainData(this.samples);
+    let sum = 0;
+    for (let i = 0; i < this.samples.length; i++) {
+      sum += this.samples[i] * this.samples[i];
+    }
+    return Math.min(1, Math.sqrt(sum / this.samples.length) * this.config.gain);
+  }
+
+  /**
+   * Advance and return the mouth pose
+   */
+  update(deltaTime) {
+    this.time += deltaTime;
+
+    const targets = Object.fromEntries(VISEMES.map(viseme => [viseme, 0]));
+    let open = 0;
+
+    if (this.speaking) {
+      this.timeline = this.timeline.filter(entry => entry.end > this.time);
+      const cue = this.timeline.find(entry => entry.start <= this.time);
+      const level = this.measureLevel();
+
+      if (cue) {
+        targets[cue.viseme] = 1;
+        open = VISEME_OPENNESS[cue.viseme];
+        if (level !== null) {
+          open *= 0.4 + 0.6 * level;
+        }
+      } else if (level !== null) {
+        targets.aa = level;
+        open = level;
+      } else if (this.time - this.lastCueTime > this.config.idleTimeout) {
+        // No cues at all: two overlapping waves look less mechanical than one
+        const wave = Math.sin(this.time * 31) * 0.5 + Math.sin(this.time * 17) * 0.5;
+        open = Math.max(0, 0.3 + 0.35 * wave);
+        targets.aa = open;
+      }
+    }
+
+    const k = Math.min(1, deltaTime * this.config.smoothing);
+    this.open += (open - this.open) * k;
+    VISEMES.forEach(viseme => {
+      this.weights[viseme] += (targets[viseme] - this.weights[viseme]) * k;
+    });
+
+    return { open: this.open, weights: this.weights };
+  }
+
+  /**
+   * Cleanup
+   */
+  dispose() {
+    this.stop();
+    this.context?.close().catch(() => {});
+    this.context = null;
+    this.analyser = null;
+  }
+}
+
+export default LipSync;
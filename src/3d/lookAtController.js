@@ -0,0 +1,198 @@
+/**
+ * Look-At Controller - Turns the puppet's head and eyes towards what it is paying attention to
+ * Targets, most important first:
+ *   explicit     a world point set with setTarget() (e.g. another puppet)
+ *   eye contact  the camera while the puppet is speaking
+ *   glance       a screen point (the chat panel while the user types)
+ *   pointer      where the user last pointed, for pointerTimeout ms
+ *   camera       otherwise
+ *
+ * Angles are yaw (+ = the puppet's left) and pitch (+ = up) in the model's own frame,
+ * clamped to maxYaw/maxPitch and eased with exponential damping. The eyes move faster
+ * and make up whatever the head has not turned yet. The head rotation is applied on
+ * top of the animated pose each frame and taken off again before the next mixer update.
+ */
+
+import * as THREE from 'three';
+
+const HEAD_BONE = /(^|[^a-z])head$/i;
+
+/**
+ * Head node of a loaded model: VRM humanoid head, else a bone named like "Head"
+ */
+export function findHead(model, gltf = null) {
+  const extensions = gltf?.parser?.json?.extensions || {};
+  const headIndex = extensions.VRMC_vrm?.humanoid?.humanBones?.head?.node
+    ?? extensions.VRM?.humanoid?.humanBones?.find(entry => entry.bone === 'head')?.node;
+
+  let head = null;
+  model.traverse(object => {
+    if (head) return;
+    if (headIndex !== undefined && gltf.parser.associations?.get(object)?.nodes === headIndex) {
+      head = object;
+    } else if (headIndex === undefined && object.isBone && HEAD_BONE.test(object.name)) {
+      head = object;
+    }
+  });
+  return head;
+}
+
+export class LookAtController {
+  constructor(config = {}) {
+    this.config = {
+      maxYaw: config.maxYaw || 0.7, // radians the head turns at most
+      maxPitch: config.maxPitch || 0.35,
+      damping: config.damping || 5, // higher = the head follows faster
+      eyeDamping: config.eyeDamping || 18,
+      pointerTimeout: config.pointerTimeout || 3000, // ms a pointer position holds attention
+      ...config
+    };
+
+    this.camera = null;
+    this.target = null; // explicit world point
+    this.eyeContact = false;
+    this.glance = null; // { x, y } normalized device coordinates
+    this.pointer = null; // { x, y, time }
+    this.enabled = true;
+
+    this.head = { yaw: 0, pitch: 0 };
+    this.eyes = { yaw: 0, pitch: 0 };
+    this.applied = null; // { object, base } while the head offset is applied
+
+    this.raycaster = new THREE.Raycaster();
+    this.plane = new THREE.Plane();
+  }
+
+  setCamera(camera) {
+    this.camera = camera;
+  }
+
+  /**
+   * Look at a world point; null returns to the automatic targets
+   */
+  setTarget(point) {
+    this.target = point ? point.clone() : null;
+  }
+
+  setEyeContact(enabled) {
+    this.eyeContact = enabled;
+  }
+
+  /**
+   * Look towards a screen point (normalized device coordinates); null stops glancing
+   */
+  setGlance(point) {
+    this.glance = point ? { x: point.x, y: point.y } : null;
+  }
+
+  /**
+   * The user pointed at a screen point (normalized device coordinates)
+   */
+  setPointer(x, y, now = Date.now()) {
+    this.pointer = { x, y, time: now };
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+  }
+
+  /**
+   * World point the puppet should look at, or null to look straight ahead
+   */
+  getTargetPoint(headPosition, now = Date.now()) {
+    if (this.target) return this.target;
+    if (!this.camera) return null;
+
+    const cameraPosition = this.camera.getWorldPosition(new THREE.Vector3());
+    if (this.eyeContact) return cameraPosition;
+
+    const screen = this.glance
+      || (this.pointer && now - this.pointer.time < this.config.pointerTimeout ? this.pointer : null);
+    if (!screen) return cameraPosition;
+
+    // Where the screen ray crosses the plane facing the camera at the puppet's depth
+    this.raycaster.setFromCamera(new THREE.Vector2(screen.x, screen.y), this.camera);
+    const normal = this.camera.getWorldDirection(new THREE.Vector3());
+    this.plane.setFromNormalAndCoplanarPoint(normal, headPosition);
+    return this.raycaster.ray.intersectPlane(this.plane, new THREE.Vector3()) || cameraPosition;
+  }
+
+  /**
+   * Take the head offset back off so the mixer starts from the animated pose
+   */
+  restore() {
+    if (this.applied) {
+      this.applied.object.quaternion.copy(this.applied.base);
+      this.applied = null;
+    }
+  }
+
+  /**
+   * Ease towards the target and turn the head; returns the eye angles left to cover
+   * Without a head node only the eyes follow
+   */
+  update(deltaTime, model, head = null) {
+    let yaw = 0;
+    let pitch = 0;
+
+    if (this.enabled && model) {
+      model.updateMatrixWorld(true);
+      const headPosition = (head || model).getWorldPosition(new THREE.Vector3());
+      const point = this.getTargetPoint(headPosition);
+
+      if (point) {
+        // Direction in the model's frame, where +Z is forward
+        const modelRotation = model.getWorldQuaternion(new THREE.Quaternion());
+        const direction = point.clone().sub(headPosition).applyQuaternion(modelRotation.invert());
+        yaw = Math.atan2(direction.x, direction.z);
+        pitch = Math.atan2(direction.y, Math.hypot(direction.x, direction.z));
+      }
+    }
+
+    const maxYaw = head ? this.config.maxYaw : 0;
+    const maxPitch = head ? this.config.maxPitch : 0;
+    const clampedYaw = THREE.MathUtils.clamp(yaw, -maxYaw, maxYaw);
+    const clampedPitch = THREE.MathUtils.clamp(pitch, -maxPitch, maxPitch);
+    const k = 1 - Math.exp(-this.config.damping * deltaTime);
+    this.head.yaw += (clampedYaw - this.head.yaw) * k;
+    this.head.pitch += (clampedPitch - this.head.pitch) * k;
+
+    const eyeK = 1 - Math.exp(-this.config.eyeDamping * deltaTime);
+    this.eyes.yaw += ((yaw - this.head.yaw) - this.eyes.yaw) * eyeK;
+    this.eyes.pitch += ((pitch - this.head.pitch) - this.eyes.pitch) * eyeK;
+
+    if (model && head) {
+      this.applyHead(model, head);
+    }
+    return { yaw: this.eyes.yaw, pitch: this.eyes.pitch };
+  }
+
+  /**
+   * Rotate the head by the current angles, expressed in the model's frame
+   */
+  applyHead(model, head) {
+    this.applied = { object: head, base: head.quaternion.clone() };
+
+    const offset = new THREE.Quaternion().setFromEuler(
+      new THREE.Euler(-this.head.pitch, this.head.yaw, 0, 'YXZ')
+    );
+    const modelRotation = model.getWorldQuaternion(new THREE.Quaternion());
+    const parentRotation = head.parent.getWorldQuaternion(new THREE.Quaternion());
+
+    // world offset = model * offset * model^-1, applied to the head's world rotation
+    const worldOffset = modelRotation.clone().multiply(offset).multiply(modelRotation.clone().invert());
+    const headWorld = parentRotation.clone().multiply(head.quaternion);
+    head.quaternion.copy(parentRotation.invert().multiply(worldOffset.multiply(headWorld)));
+  }
+
+  /**
+   * Cleanup
+   */
+  dispose() {
+    this.restore();
+    this.camera = null;
+    this.target = null;
+  }
+}
+
+export default LookAtController;
@@ -0,0 +1,169 @@
+/**
+ * Model Loader - glTF / GLB / VRM loading with compressed formats, progress and timeouts
+ *   DRACO    compressed geometry (KHR_draco_mesh_compression), decoder served from ASSET_PATHS.decoders
+ *   Meshopt  compressed geometry (EXT_meshopt_compression), decoder bundled with the app
+ *   KTX2     Basis textures (KHR_texture_basisu), transcoder served from ASSET_PATHS.decoders;
+ *            needs the renderer to pick a texture format the GPU supports
+ *
+ * Failures reject with a ModelLoadError whose type says why:
+ *   not_found     404, or the server answered with a web page (dev servers do for missing files)
+ *   http          any other HTTP error status
+ *   network       the request never got an answer
+ *   timeout       no data for stallTimeout ms, or the whole load took longer than timeout
+ *   decoder       a compression decoder is missing or failed
+ *   unsupported   the model needs a glTF extension three.js does not know
+ *   parse         the file is not a valid model
+ */
+
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+import { ASSET_PATHS, MODEL_LOAD_CONFIG } from '../config/constants.js';
+
+export const MODEL_ERROR_TYPES = {
+  NOT_FOUND: 'not_found',
+  HTTP: 'http',
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  DECODER: 'decoder',
+  UNSUPPORTED: 'unsupported',
+  PARSE: 'parse'
+};
+
+const HTML_RESPONSE_PATTERN = /Unexpected token '?<|<!DOCTYPE|<html/i;
+const DECODER_PATTERN = /DRACO|KTX2|Meshopt|transcoder|basis|wasm/i;
+const UNSUPPORTED_PATTERN = /Unknown extension|Unsupported asset/i;
+const NETWORK_PATTERN = /Failed to fetch|NetworkError|Load failed|network/i;
+
+/**
+ * Typed model loading error
+ */
+export class ModelLoadError extends Error {
+  constructor(message, { type = MODEL_ERROR_TYPES.PARSE, url = '', status = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ModelLoadError';
+    this.type = type;
+    this.url = url;
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Turn whatever GLTFLoader rejected with into a ModelLoadError
+ */
+export function classifyLoadError(error, url) {
+  if (error instanceof ModelLoadError) return error;
+
+  const message = error?.message || String(error);
+  const status = error?.response?.status ?? null;
+  let type = MODEL_ERROR_TYPES.PARSE;
+
+  if (status && error.response.url?.includes(ASSET_PATHS.decoders)) {
+    type = MODEL_ERROR_TYPES.DECODER;
+  } else if (status === 404 || status === 410) {
+    type = MODEL_ERROR_TYPES.NOT_FOUND;
+  } else if (status) {
+    type = MODEL_ERROR_TYPES.HTTP;
+  } else if (error instanceof SyntaxError && HTML_RESPONSE_PATTERN.test(message)) {
+    type = MODEL_ERROR_TYPES.NOT_FOUND;
+  } else if (UNSUPPORTED_PATTERN.test(message)) {
+    type = MODEL_ERROR_TYPES.UNSUPPORTED;
+  } else if (DECODER_PATTERN.test(message)) {
+    type = MODEL_ERROR_TYPES.DECODER;
+  } else if (error instanceof TypeError && NETWORK_PATTERN.test(message)) {
+    type = MODEL_ERROR_TYPES.NETWORK;
+  }
+
+  return new ModelLoadError(message, { type, url, status, cause: error });
+}
+
+/**
+ * Progress event to { loaded, total, fraction }; total and fraction are null
+ * when the server sent no Content-Length
+ */
+export function describeProgress(event) {
+  const loaded = event?.loaded || 0;
+  const total = event?.lengthComputable && event.total > 0 ? event.total : null;
+  return {
+    loaded,
+    total,
+    fraction: total ? Math.min(1, loaded / total) : null
+  };
+}
+
+// One loader (and one set of decoder workers) shared by every puppet
+let sharedLoader = null;
+let ktx2Ready = false;
+
+/**
+ * GLTFLoader with the DRACO, Meshopt and, once a renderer is known, KTX2 decoders
+ */
+export function getModelLoader(renderer = null) {
+  if (!sharedLoader) {
+    const dracoLoader = new DRACOLoader().setDecoderPath(`${ASSET_PATHS.decoders}/draco/`);
+    sharedLoader = new GLTFLoader()
+      .setDRACOLoader(dracoLoader)
+      .setMeshoptDecoder(MeshoptDecoder);
+  }
+
+  if (renderer && !ktx2Ready) {
+    const ktx2Loader = new KTX2Loader()
+      .setTranscoderPath(`${ASSET_PATHS.decoders}/basis/`)
+      .detectSupport(renderer);
+    sharedLoader.setKTX2Loader(ktx2Loader);
+    ktx2Ready = true;
+  }
+
+  return sharedLoader;
+}
+
+/**
+ * Load a model; resolves with the gltf, rejects with a ModelLoadError
+ * onProgress receives describeProgress() results
+ */
+export function loadModel(url, {
+  renderer = null,
+  timeout = MODEL_LOAD_CONFIG.timeout,
+  stallTimeout = MODEL_LOAD_CONFIG.stallTimeout,
+  onProgress = () => {}
+} = {}) {
+  const loader = getModelLoader(renderer);
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let stallTimer = null;
+    let totalTimer = null;
+
+    // FileLoader cannot abort a request in this three.js version; a model arriving late is ignored
+    const finish = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(stallTimer);
+      clearTimeout(totalTimer);
+      callback(value);
+    };
+    const fail = (error) => finish(reject, classifyLoadError(error, url));
+    const timedOut = (message) => fail(new ModelLoadError(message, { type: MODEL_ERROR_TYPES.TIMEOUT, url }));
+
+    const watchStall = () => {
+      clearTimeout(stallTimer);
+      stallTimer = setTimeout(() => timedOut(`No data received for ${stallTimeout} ms`), stallTimeout);
+    };
+    totalTimer = setTimeout(() => timedOut(`Loading took longer than ${timeout} ms`), timeout);
+    watchStall();
+
+    loader.load(
+      url,
+      (gltf) => finish(resolve, gltf),
+      (event) => {
+        watchStall();
+        onProgress(describeProgress(event));
+      },
+      fail
+    );
+  });
+}
+
+export default loadModel;
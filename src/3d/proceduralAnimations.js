@@ -0,0 +1,138 @@
+/**
+ * Procedural Animations - Keyframed AnimationClips for the placeholder robot
+ * Built from the named parts of PuppetModel.createSimpleModel() so every state in
+ * ANIMATION_CONFIG.animationStates plays without an animation asset:
+ *   rig            whole upper body (bounces)
+ *   body           torso (breathes)
+ *   head           head with eyes and mouth attached (nods, tilts, shakes)
+ *   leftShoulder   pivot the left arm swings from
+ *   rightShoulder  pivot the right arm swings from
+ *
+ * Tracks hold absolute values, so offsets are applied to each part's rest pose.
+ * The mouth's scale is left alone - lip sync owns it.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Position track: offsets [[dx, dy, dz], ...] from the rest position
+ */
+function positionTrack(part, times, offsets) {
+  const rest = part.position;
+  const values = offsets.flatMap(([dx, dy, dz]) => [rest.x + dx, rest.y + dy, rest.z + dz]);
+  return new THREE.VectorKeyframeTrack(`${part.name}.position`, times, values);
+}
+
+/**
+ * Rotation track: Euler offsets [[rx, ry, rz], ...] (radians) from the rest rotation
+ */
+function rotationTrack(part, times, offsets) {
+  const rest = part.rotation;
+  const euler = new THREE.Euler();
+  const quaternion = new THREE.Quaternion();
+  const values = offsets.flatMap(([rx, ry, rz]) => {
+    euler.set(rest.x + rx, rest.y + ry, rest.z + rz, rest.order);
+    return quaternion.setFromEuler(euler).toArray();
+  });
+  return new THREE.QuaternionKeyframeTrack(`${part.name}.quaternion`, times, values);
+}
+
+/**
+ * Scale track: factors [[sx, sy, sz], ...] relative to the rest scale
+ */
+function scaleTrack(part, times, factors) {
+  const rest = part.scale;
+  const values = factors.flatMap(([sx, sy, sz]) => [rest.x * sx, rest.y * sy, rest.z * sz]);
+  return new THREE.VectorKeyframeTrack(`${part.name}.scale`, times, values);
+}
+
+/**
+ * Clip builders by state; each gets the model's parts and returns [duration, tracks]
+ */
+const CLIP_BUILDERS = {
+  // Slow breathing with a gentle head bob
+  idle: ({ body, head, leftShoulder, rightShoulder }) => {
+    const times = [0, 1.2, 2.4];
+    return [2.4, [
+      scaleTrack(body, times, [[1, 1, 1], [1.02, 1.04, 1.02], [1, 1, 1]]),
+      positionTrack(head, times, [[0, 0, 0], [0, 0.02, 0], [0, 0, 0]]),
+      rotationTrack(leftShoulder, times, [[0, 0, 0], [0, 0, 0.05], [0, 0, 0]]),
+      rotationTrack(rightShoulder, times, [[0, 0, 0], [0, 0, -0.05], [0, 0, 0]])
+    ]];
+  },
+
+  // Raise the right arm and wave three times
+  greeting: ({ head, rightShoulder }) => {
+    const waveTimes = [0, 0.3, 0.5, 0.7, 0.9, 1.1, 1.3, 1.7];
+    const raised = 0.5;
+    return [1.7, [
+      rotationTrack(rightShoulder, waveTimes, [
+        [0, 0, 0], [0, 0, raised], [0, 0, raised - 0.45], [0, 0, raised],
+        [0, 0, raised - 0.45], [0, 0, raised], [0, 0, raised - 0.2], [0, 0, 0]
+      ]),
+      rotationTrack(head, [0, 0.4, 1.3, 1.7], [[0, 0, 0], [0, 0, -0.12], [0, 0, -0.12], [0, 0, 0]])
+    ]];
+  },
+
+  // Nodding head with small arm gestures
+  talking: ({ head, leftShoulder, rightShoulder }) => {
+    const times = [0, 0.3, 0.6, 0.9, 1.2];
+    return [1.2, [
+      rotationTrack(head, times, [[0, 0, 0], [0.1, 0.04, 0], [0, 0, 0], [0.07, -0.04, 0], [0, 0, 0]]),
+      rotationTrack(leftShoulder, times, [[0, 0, 0], [0, 0, 0.12], [0, 0, 0], [0, 0, 0.08], [0, 0, 0]]),
+      rotationTrack(rightShoulder, times, [[0, 0, 0], [0, 0, -0.08], [0, 0, 0], [0, 0, -0.12], [0, 0, 0]])
+    ]];
+  },
+
+  // Head tilted to one side, leaning in
+  listening: ({ rig, head }) => {
+    const times = [0, 0.5, 1.5, 2];
+    return [2, [
+      rotationTrack(head, times, [[0, 0, 0], [0.08, 0, 0.22], [0.08, 0, 0.18], [0.08, 0, 0.22]]),
+      rotationTrack(rig, times, [[0, 0, 0], [0.06, 0, 0], [0.05, 0, 0], [0.06, 0, 0]])
+    ]];
+  },
+
+  // Two bounces with both arms up
+  happy: ({ rig, body, leftShoulder, rightShoulder }) => {
+    const times = [0, 0.2, 0.4, 0.6, 0.8, 1];
+    return [1, [
+      positionTrack(rig, times, [[0, 0, 0], [0, 0.18, 0], [0, 0, 0], [0, 0.12, 0], [0, 0, 0], [0, 0, 0]]),
+      scaleTrack(body, times, [[1, 1, 1], [0.97, 1.05, 0.97], [1.06, 0.92, 1.06], [0.98, 1.04, 0.98], [1.04, 0.95, 1.04], [1, 1, 1]]),
+      rotationTrack(leftShoulder, times, [[0, 0, 0], [0, 0, -0.7], [0, 0, -0.5], [0, 0, -0.7], [0, 0, -0.3], [0, 0, 0]]),
+      rotationTrack(rightShoulder, times, [[0, 0, 0], [0, 0, 0.7], [0, 0, 0.5], [0, 0, 0.7], [0, 0, 0.3], [0, 0, 0]])
+    ]];
+  },
+
+  // Head shake with a one-sided shrug
+  confused: ({ head, leftShoulder }) => {
+    const times = [0, 0.25, 0.5, 0.75, 1, 1.5];
+    return [1.5, [
+      rotationTrack(head, times, [[0, 0, 0], [0, 0.35, 0.1], [0, -0.35, 0.1], [0, 0.3, 0.1], [0, -0.2, 0.1], [0, 0, 0]]),
+      rotationTrack(leftShoulder, [0, 0.3, 1.2, 1.5], [[0, 0, 0], [0, 0, -0.35], [0, 0, -0.35], [0, 0, 0]])
+    ]];
+  }
+};
+
+/**
+ * Build clips for the placeholder robot; states whose parts are missing are skipped
+ */
+export function createProceduralClips(model, states = Object.keys(CLIP_BUILDERS)) {
+  const partNames = ['rig', 'body', 'head', 'leftShoulder', 'rightShoulder'];
+  const parts = Object.fromEntries(partNames.map(name => [name, model.getObjectByName(name)]));
+
+  return states
+    .filter(state => CLIP_BUILDERS[state])
+    .map(state => {
+      try {
+        const [duration, tracks] = CLIP_BUILDERS[state](parts);
+        return new THREE.AnimationClip(state, duration, tracks);
+      } catch (error) {
+        console.warn(`[ProceduralAnimations] Could not build '${state}':`, error.message);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+export default createProceduralClips;
@@ -4,23 +4,86 @@
  */
 
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { Puppet } from '../schema/puppet.js';
+import { ANIMATION_CONFIG, APPEARANCE_CONFIG, ASSET_PATHS } from '../config/constants.js';
+import { loadModel } from './modelLoader.js';
+import {
+  applyAppearance,
+  createAccessory,
+  disposeAccessory,
+  findAnchor,
+  normalizeAppearance
+} from './appearance.js';
+import LipSync from './lipSync.js';
+import FaceController from './faceController.js';
+import LookAtController, { findHead } from './lookAtController.js';
+import { createProceduralClips } from './proceduralAnimations.js';
+import AnimationStateMachine from './animationStateMachine.js';
+import { getManifestUrl, loadAnimationManifest, resolveAnimations } from './animationManifest.js';
+
+// Morph target names used by common avatar formats for each viseme
+const VISEME_MORPH_NAMES = {
+  sil: ['viseme_sil'],
+  PP: ['viseme_PP'],
+  FF: ['viseme_FF'],
+  TH: ['viseme_TH'],
+  DD: ['viseme_DD'],
+  kk: ['viseme_kk'],
+  CH: ['viseme_CH'],
+  SS: ['viseme_SS'],
+  nn: ['viseme_nn'],
+  RR: ['viseme_RR'],
+  aa: ['viseme_aa', 'aa', 'A'], // VRM uses aa/ih/ou/ee/oh
+  E: ['viseme_E', 'ee', 'E'],
+  I: ['viseme_I', 'ih', 'I'],
+  O: ['viseme_O', 'oh', 'O'],
+  U: ['viseme_U', 'ou', 'U']
+};
+// VRM mouth expressions and the lip sync viseme that drives each
+const VRM_VISEME_EXPRESSIONS = { aa: 'aa', ih: 'I', ou: 'U', ee: 'E', oh: 'O' };
+// Models without visemes often still have a single jaw/mouth-open target
+const MOUTH_OPEN_MORPH_NAMES = ['jawOpen', 'mouthOpen', 'MouthOpen', 'Mouth_Open'];
+// Accessory anchors on the placeholder robot's head, relative to the head centre
+const PLACEHOLDER_ANCHORS = {
+  headTop: [0, 0.25, 0],
+  eyes: [0, 0.15, 0.27],
+  headSide: [0.2, 0.1, 0]
+};
+// Meshes recoloured as eyes, and face details that keep their own colour
+const EYE_MESH = /eye|iris/i;
+const FACE_DETAIL_MESH = /pupil|mouth|teeth|tongue|brow|lash/i;
 
 export class PuppetModel {
   constructor(config = {}) {
     this.config = {
-      modelUrl: config.modelUrl || '/models/puppet.gltf',
+      modelUrl: config.modelUrl || ASSET_PATHS.defaultPuppetModel,
+      renderer: null, // lets KTX2 textures pick a GPU format
       position: config.position || { x: 0, y: 0, z: -2 },
       scale: config.scale || 1,
+      bodyColor: config.bodyColor || '#00ff00',
       ...config
     };
     
     this.scene = null;
     this.model = null;
     this.mixer = null;
-    this.animations = {};
-    this.currentAnimation = null;
+    this.clips = []; // every AnimationClip the model came with
+    this.animationManifest = null;
+    this.animations = {}; // state -> binding { clips, speed, loop } or null
+    this.animator = null;
+    this.emotion = 'neutral';
+    this.isSpeaking = false;
+    this.transition = null;
+    this.isPlaceholder = false;
+    this.loadError = null; // ModelLoadError when the model fell back to the placeholder
+    this.lipSync = new LipSync(config.lipSync);
+    this.mouth = null; // mesh scaled by lip sync (placeholder robot)
+    this.mouthTargets = []; // morph targets driven by lip sync (loaded models)
+    this.face = new FaceController(config.face);
+    this.lookAt = new LookAtController(config.lookAt);
+    this.headNode = null; // turned by the look-at controller
+    this.appearance = normalizeAppearance(config.appearance);
+    this.accessories = []; // accessory groups attached to anchors
     this.schema = new Puppet(this.config);
     this.listeners = {};
   }
@@ -35,6 +98,16 @@ export class PuppetModel {
 
       // Load 3D model
       await this.loadModel();
+      this.applyAppearance();
+
+      // Map animation states to the model's clips
+      if (!this.isPlaceholder) {
+        this.animationManifest = await loadAnimationManifest({
+          source: this.config.animationManifest,
+          modelUrl: this.config.modelUrl,
+          scene: this.model
+        });
+      }
 
       // Setup animations
       this.setupAnimations();
@@ -64,33 +137,30 @@ export class PuppetModel {
   }
 
   /**
-   * Load 3D model using GLTFLoader or create a simple placeholder
+   * Load the 3D model, or create a simple placeholder when it cannot be loaded
+   * Emits loadProgress ({ loaded, total, fraction }; total and fraction are null when the
+   * size is unknown) and loadFallback (ModelLoadError)
    */
   async loadModel() {
-    return new Promise((resolve, reject) => {
-      const loader = new GLTFLoader();
-      
-      // 首先尝试加载GLTF文件
-      loader.load(
-        this.config.modelUrl,
-        (gltf) => {
-          this.model = gltf.scene;
-          this.setupLoadedModel(gltf);
-          resolve(this.model);
-        },
-        (progress) => {
-          const percentComplete = (progress.loaded / progress.total) * 100;
-          console.log('[PuppetModel] Loading progress:', percentComplete + '%');
-          this.emit('loadProgress', percentComplete);
-        },
-        (error) => {
-          console.warn('[PuppetModel] GLTF模型加载失败，使用简单3D模型代替:', error.message);
-          // 加载失败，使用简单的Three.js几何体
-          this.createSimpleModel();
-          resolve(this.model);
-        }
-      );
-    });
+    this.loadError = null;
+
+    try {
+      const gltf = await loadModel(this.config.modelUrl, {
+        renderer: this.config.renderer,
+        timeout: this.config.loadTimeout,
+        stallTimeout: this.config.loadStallTimeout,
+        onProgress: (progress) => this.emit('loadProgress', progress)
+      });
+      this.model = gltf.scene;
+      this.setupLoadedModel(gltf);
+    } catch (error) {
+      console.warn(`[PuppetModel] GLTF模型加载失败 (${error.type})，使用简单3D模型代替:`, error.message);
+      this.loadError = error;
+      this.emit('loadFallback', error);
+      // 加载失败，使用简单的Three.js几何体
+      this.createSimpleModel();
+    }
+    return this.model;
   }
 
   /**
@@ -105,11 +175,26 @@ export class PuppetModel {
     );
     this.updateScale(this.config.scale);
 
-    // Setup animation mixer
-    if (gltf.animations.length > 0) {
+    // VRM 0.x avatars face -Z; turn them towards the camera like other glTF models
+    if (gltf.parser?.json?.extensions?.VRM) {
+      const facing = new THREE.Group();
+      facing.name = 'vrm0Facing';
+      facing.rotation.y = Math.PI;
+      facing.add(...this.model.children);
+      this.model.add(facing);
+    }
+
+    // Setup animation mixer; gltf.scene does not carry the clips itself
+    this.clips = gltf.animations || [];
+    this.model.animations = this.clips;
+    if (this.clips.length > 0) {
       this.mixer = new THREE.AnimationMixer(this.model);
     }
 
+    this.collectMouthTargets();
+    this.face.bind(this.model, gltf);
+    this.headNode = findHead(this.model, gltf);
+
     // Add to scene
     this.scene.add(this.model);
 
@@ -121,69 +206,109 @@ export class PuppetModel {
    */
   createSimpleModel() {
     // 创建一个简单的机器人外形（立方体头部 + 圆柱体身体）
+    // 部件挂在 rig 下，五官挂在头上，手臂挂在肩膀支点上，方便程序化动画驱动
     const group = new THREE.Group();
+    const rig = new THREE.Group();
+    rig.name = 'rig';
+    group.add(rig);
 
     // 身体（圆柱体）
     const bodyGeometry = new THREE.CylinderGeometry(0.3, 0.3, 0.8, 32);
-    const bodyMaterial = new THREE.MeshPhongMaterial({ color: 0x00FF00 });
+    const bodyMaterial = new THREE.MeshPhongMaterial({ color: this.config.bodyColor });
     const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+    body.name = 'body';
     body.position.y = 0;
-    group.add(body);
+    rig.add(body);
 
     // 头部（立方体）- 改为绿色
     const headGeometry = new THREE.BoxGeometry(0.4, 0.5, 0.4);
-    const headMaterial = new THREE.MeshPhongMaterial({ color: 0x00FF00 });
+    const headMaterial = new THREE.MeshPhongMaterial({ color: this.config.bodyColor });
     const head = new THREE.Mesh(headGeometry, headMaterial);
+    head.name = 'head';
     head.position.y = 0.7;
-    group.add(head);
+    rig.add(head);
 
-    // 左眼
+    // 左眼（以下五官坐标相对头部中心）
     const eyeGeometry = new THREE.SphereGeometry(0.08, 16, 16);
     const eyeMaterial = new THREE.MeshPhongMaterial({ color: 0xFFFFFF });
     const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-    leftEye.position.set(-0.12, 0.85, 0.15);
-    group.add(leftEye);
+    leftEye.name = 'leftEye';
+    leftEye.position.set(-0.12, 0.15, 0.15);
+    head.add(leftEye);
 
     // 右眼
     const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-    rightEye.position.set(0.12, 0.85, 0.15);
-    group.add(rightEye);
+    rightEye.name = 'rightEye';
+    rightEye.position.set(0.12, 0.15, 0.15);
+    head.add(rightEye);
 
     // 左眼瞳孔
     const pupilGeometry = new THREE.SphereGeometry(0.04, 16, 16);
     const pupilMaterial = new THREE.MeshPhongMaterial({ color: 0x000000 });
     const leftPupil = new THREE.Mesh(pupilGeometry, pupilMaterial);
-    leftPupil.position.set(-0.12, 0.85, 0.22);
-    group.add(leftPupil);
+    leftPupil.name = 'leftPupil';
+    leftPupil.position.set(-0.12, 0.15, 0.22);
+    head.add(leftPupil);
 
     // 右眼瞳孔
     const rightPupil = new THREE.Mesh(pupilGeometry, pupilMaterial);
-    rightPupil.position.set(0.12, 0.85, 0.22);
-    group.add(rightPupil);
+    rightPupil.name = 'rightPupil';
+    rightPupil.position.set(0.12, 0.15, 0.22);
+    head.add(rightPupil);
 
     // 嘴巴（简单的线条）
     const mouthGeometry = new THREE.BoxGeometry(0.2, 0.05, 0.02);
     const mouthMaterial = new THREE.MeshPhongMaterial({ color: 0x000000 });
     const mouth = new THREE.Mesh(mouthGeometry, mouthMaterial);
-    mouth.position.set(0, 0.6, 0.2);
-    group.add(mouth);
+    mouth.name = 'mouth';
+    mouth.position.set(0, -0.1, 0.2);
+    head.add(mouth);
+    this.mouth = mouth;
+
+    // 配饰挂点（帽子、眼镜、天线）
+    Object.entries(PLACEHOLDER_ANCHORS).forEach(([name, position]) => {
+      const anchor = new THREE.Group();
+      anchor.name = `anchor_${name}`;
+      anchor.position.set(...position);
+      head.add(anchor);
+    });
 
-    // 左手臂
+    // 左手臂 - 绕靠近身体的一端（肩膀）转动
     const armGeometry = new THREE.CylinderGeometry(0.1, 0.1, 0.6, 16);
-    const armMaterial = new THREE.MeshPhongMaterial({ color: 0x00FF00 });
+    const armMaterial = new THREE.MeshPhongMaterial({ color: this.config.bodyColor });
+    const leftShoulder = new THREE.Group();
+    leftShoulder.name = 'leftShoulder';
+    leftShoulder.position.set(-0.3, 0.04, 0);
+    rig.add(leftShoulder);
+
     const leftArm = new THREE.Mesh(armGeometry, armMaterial);
-    leftArm.position.set(-0.45, 0.3, 0);
+    leftArm.name = 'leftArm';
+    leftArm.position.set(-0.15, 0.26, 0);
     leftArm.rotation.z = Math.PI / 6;
-    group.add(leftArm);
+    leftShoulder.add(leftArm);
 
     // 右手臂
+    const rightShoulder = new THREE.Group();
+    rightShoulder.name = 'rightShoulder';
+    rightShoulder.position.set(0.3, 0.04, 0);
+    rig.add(rightShoulder);
+
     const rightArm = new THREE.Mesh(armGeometry, armMaterial);
-    rightArm.position.set(0.45, 0.3, 0);
+    rightArm.name = 'rightArm';
+    rightArm.position.set(0.15, 0.26, 0);
     rightArm.rotation.z = -Math.PI / 6;
-    group.add(rightArm);
+    rightShoulder.add(rightArm);
+
+    // 没有动画资源时用程序生成的关键帧动画
+    this.clips = createProceduralClips(group, ANIMATION_CONFIG.animationStates);
+    group.animations = this.clips;
+    this.mixer = new THREE.AnimationMixer(group);
+    this.face.bindPlaceholder(group);
+    this.headNode = head;
 
     // 应用初始位置和缩放
     this.model = group;
+    this.isPlaceholder = true;
     this.updatePosition(
       this.config.position.x,
       this.config.position.y,
@@ -203,81 +328,279 @@ export class PuppetModel {
    * Setup available animations from loaded model
    */
   setupAnimations() {
+    // Clips come from the asset, or are generated for the placeholder robot
+    const { bindings, missing } = resolveAnimations(
+      this.clips,
+      ANIMATION_CONFIG.animationStates,
+      this.animationManifest
+    );
+    ANIMATION_CONFIG.animationStates.forEach(name => {
+      this.animations[name] = bindings[name] || null;
+    });
+
+    if (missing.length > 0) {
+      console.warn(
+        `[PuppetModel] No clips for animation states: ${missing.join(', ')}. ` +
+        `Map them in ${getManifestUrl(this.config.modelUrl)}. ` +
+        `Clips in the model: ${this.clips.map(clip => clip.name).join(', ') || 'none'}`
+      );
+      this.emit('animationsMissing', missing);
+    }
+
+    // A model without clips still reports its missing states above, but has nothing to play
     if (!this.mixer) {
       console.warn('[PuppetModel] No animations found in model');
       return;
     }
 
-    // This would typically be set up based on the actual model's animations
-    // For now, we create placeholder animation tracks
-    const animationNames = [
-      'idle', 'greeting', 'talking', 'listening', 'happy', 'confused'
-    ];
-
-    animationNames.forEach(name => {
-      this.animations[name] = null;
+    this.animator = new AnimationStateMachine(this.mixer, bindings);
+    this.animator.on('animationStart', (name) => {
+      this.schema.setAnimationState(name, true);
+      console.log('[PuppetModel] Playing animation:', name);
+      this.emit('animationStart', name);
+    });
+    this.animator.on('animationEnd', (name) => {
+      this.schema.setAnimationState(name, false);
+      this.emit('animationEnd', name);
     });
+    this.animator.on('animationQueued', (data) => this.emit('animationQueued', data));
+    this.animator.on('animationStop', () => this.emit('animationStop'));
 
     console.log('[PuppetModel] Animations setup:', Object.keys(this.animations));
   }
 
   /**
    * Play animation by name
+   * Options go to the state machine: force, loop, duration (ms), onComplete(finished)
+   * Resolves true if the animation started or was queued behind a one-shot
    */
   async playAnimation(animationName, options = {}) {
-    const {
-      loop = THREE.LoopRepeat,
-      duration = 1000,
-      onComplete = null
-    } = options;
-
     if (!this.model) {
       console.warn('[PuppetModel] Cannot play animation: model not ready');
-      return Promise.resolve(false);
+      return false;
     }
 
-    if (!this.mixer) {
-      console.warn('[PuppetModel] No animation mixer available (simple model)');
-      return Promise.resolve(false);
+    if (!this.animator) {
+      console.warn('[PuppetModel] No animation mixer available');
+      return false;
     }
 
-    try {
-      // Stop current animation
-      if (this.currentAnimation) {
-        this.currentAnimation.stop();
-      }
+    const result = this.animator.play(animationName, options);
+    if (!result) {
+      console.warn(`[PuppetModel] Animation not found: ${animationName}`);
+    }
+    return Boolean(result);
+  }
+
+  /**
+   * Play an animation after the ones already queued
+   */
+  queueAnimation(animationName, options = {}) {
+    return Boolean(this.animator?.queue(animationName, options));
+  }
+
+  /**
+   * Name of the animation state playing now, or null
+   */
+  getAnimationState() {
+    return this.animator?.getState() || null;
+  }
 
-      // Get animation from model
-      const clip = THREE.AnimationClip.findByName(this.model.animations, animationName);
-      
-      if (!clip) {
-        console.warn(`[PuppetModel] Animation not found: ${animationName}`);
-        // Create placeholder animation
-        this.currentAnimation = null;
-        return false;
+  /**
+   * Queue gesture steps one after another, then settle into a final animation
+   * Starting a new sequence replaces whatever the previous one still had queued
+   */
+  playGestureSequence(gestures = [], finalAnimation = 'idle') {
+    if (!this.animator) return false;
+
+    this.animator.clearQueue();
+    gestures.forEach((step, index) => {
+      // Looping clips need a duration to end; one-shots play through unless given one
+      const looping = this.animator.getSettings(step.animation).loop;
+      const duration = step.duration || (looping ? ANIMATION_CONFIG.defaultDuration : 0);
+      if (index === 0) {
+        this.animator.play(step.animation, { duration, force: true });
+      } else {
+        this.animator.queue(step.animation, { duration });
       }
+    });
+    this.animator.queue(finalAnimation);
+    return true;
+  }
 
-      // Create and play action
-      const action = this.mixer.clipAction(clip);
-      action.loop = loop;
-      action.reset();
-      action.play();
+  /**
+   * Set the puppet's current emotion
+   */
+  setEmotion(emotion) {
+    if (!ANIMATION_CONFIG.emotions.includes(emotion) || emotion === this.emotion) {
+      return false;
+    }
 
-      this.currentAnimation = action;
-      this.schema.setAnimationState(animationName, true);
+    this.emotion = emotion;
+    this.schema.metadata.emotion = emotion;
 
-      // Schedule completion callback
-      if (onComplete) {
-        setTimeout(onComplete, duration);
+    this.face.clearExpressions();
+    const expression = ANIMATION_CONFIG.emotionExpressions[emotion];
+    if (expression) {
+      this.face.setExpression(...expression);
+    }
+    this.emit('emotionChange', emotion);
+    return true;
+  }
+
+  /**
+   * Show a facial expression (VRM preset names: happy, sad, surprised, blink, ...)
+   * weight 0-1; the face eases towards it on top of the body animation
+   */
+  setExpression(name, weight = 1) {
+    return this.face.setExpression(name, weight);
+  }
+
+  clearExpressions() {
+    this.face.clearExpressions();
+  }
+
+  /**
+   * Blink now (the face also blinks by itself)
+   */
+  blink() {
+    this.face.blink();
+  }
+
+  /**
+   * Turn the eyes: yaw (+ = the puppet's left) and pitch (+ = up) in radians
+   */
+  setEyeDirection(yaw, pitch) {
+    this.face.setLookDirection(yaw, pitch);
+  }
+
+  /**
+   * Camera the puppet looks at by default
+   */
+  setLookCamera(camera) {
+    this.lookAt.setCamera(camera);
+  }
+
+  /**
+   * Follow the user's pointer (normalized device coordinates) for a while
+   */
+  lookAtPointer(x, y) {
+    this.lookAt.setPointer(x, y);
+  }
+
+  /**
+   * Glance at a screen point (normalized device coordinates), e.g. the chat panel; null to stop
+   */
+  glanceAt(point) {
+    this.lookAt.setGlance(point);
+  }
+
+  /**
+   * Look at a world point until cleared with null
+   */
+  lookAtPoint(point) {
+    this.lookAt.setTarget(point);
+  }
+
+  /**
+   * World position of the head (of the model when it has none), or null before loading
+   */
+  getHeadPosition() {
+    const node = this.headNode || this.model;
+    return node ? node.getWorldPosition(new THREE.Vector3()) : null;
+  }
+
+  /**
+   * Mark the puppet as speaking while its reply is read aloud
+   */
+  setSpeaking(speaking) {
+    if (this.isSpeaking === speaking) return;
+
+    this.isSpeaking = speaking;
+    this.schema.metadata.speaking = speaking;
+    // Eye contact while talking
+    this.lookAt.setEyeContact(speaking);
+    if (speaking) {
+      this.lipSync.start();
+    } else {
+      this.lipSync.stop();
+    }
+    this.emit('speakingChange', speaking);
+  }
+
+  /**
+   * Find viseme / mouth-open morph targets on a loaded model
+   */
+  collectMouthTargets() {
+    this.mouthTargets = [];
+
+    this.model.traverse(object => {
+      const dictionary = object.morphTargetDictionary;
+      if (!object.isMesh || !dictionary || !object.morphTargetInfluences) return;
+
+      const visemes = {};
+      Object.entries(VISEME_MORPH_NAMES).forEach(([viseme, names]) => {
+        const name = names.find(candidate => candidate in dictionary);
+        if (name) visemes[viseme] = dictionary[name];
+      });
+      const openName = MOUTH_OPEN_MORPH_NAMES.find(candidate => candidate in dictionary);
+
+      if (Object.keys(visemes).length > 0 || openName) {
+        this.mouthTargets.push({
+          mesh: object,
+          visemes,
+          open: openName ? dictionary[openName] : null
+        });
       }
+    });
 
-      console.log('[PuppetModel] Playing animation:', animationName);
-      this.emit('animationStart', animationName);
+    // Rigid models may still have a separate mouth part to scale
+    if (this.mouthTargets.length === 0) {
+      this.mouth = this.model.getObjectByName('mouth') || null;
+    }
+    console.log(`[PuppetModel] Lip sync: ${this.mouthTargets.length} morph mesh(es)${this.mouth ? ', mouth mesh' : ''}`);
+  }
 
-      return true;
-    } catch (error) {
-      console.error('[PuppetModel] Error playing animation:', error);
-      return false;
+  /**
+   * Analyse a speech audio element for lip sync
+   */
+  attachSpeechAudio(audio) {
+    return this.lipSync.attachAudio(audio);
+  }
+
+  /**
+   * Shape the mouth for a word that is being spoken (speech boundary event)
+   */
+  speakWord(boundary) {
+    this.lipSync.addWord(boundary);
+  }
+
+  /**
+   * Apply the lip sync pose to the mouth mesh or morph targets
+   */
+  updateLipSync(deltaTime) {
+    const { open, weights } = this.lipSync.update(deltaTime);
+
+    if (this.mouth) {
+      // Open vertically; rounded vowels narrow the mouth, "ee" widens it
+      const rounded = weights.O + weights.U;
+      this.mouth.scale.set(1 - rounded * 0.35 + weights.E * 0.15, 1 + open * 3, 1);
+    }
+
+    this.mouthTargets.forEach(({ mesh, visemes, open: openIndex }) => {
+      Object.entries(visemes).forEach(([viseme, index]) => {
+        mesh.morphTargetInfluences[index] = weights[viseme];
+      });
+      if (openIndex !== null) {
+        mesh.morphTargetInfluences[openIndex] = open;
+      }
+    });
+
+    // VRM avatars speak through their aa/ih/ou/ee/oh expressions
+    if (this.mouthTargets.length === 0 && this.face.has('aa')) {
+      Object.entries(VRM_VISEME_EXPRESSIONS).forEach(([expression, viseme]) => {
+        this.face.setExpression(expression, weights[viseme], { immediate: true });
+      });
     }
   }
 
@@ -285,13 +608,7 @@ export class PuppetModel {
    * Stop current animation
    */
   stopAnimation() {
-    if (this.currentAnimation) {
-      this.currentAnimation.stop();
-      this.currentAnimation = null;
-      this.emit('animationStop');
-      return true;
-    }
-    return false;
+    return this.animator?.stop() || false;
   }
 
   /**
@@ -320,15 +637,242 @@ export class PuppetModel {
     if (!this.model) return;
     this.model.rotation.order = 'YXZ';
     this.model.rotation.set(x, y, z);
+    this.schema.rotation = { x, y, z };
+  }
+
+  /**
+   * Recolour the placeholder robot's body, head and arms (the persona colour)
+   * Loaded models keep their own materials; colours set in the appearance win
+   */
+  setBodyColor(color) {
+    this.config.bodyColor = color;
+    this.schema.metadata.bodyColor = color;
+    if (!this.model || !this.isPlaceholder) return false;
+
+    this.applyAppearance();
+    return true;
+  }
+
+  /**
+   * Restyle the puppet from an appearance descriptor (see appearance.js); null resets it
+   * Returns the normalized descriptor
+   */
+  setAppearance(appearance) {
+    this.appearance = normalizeAppearance(appearance);
+    this.applyAppearance();
+    this.emit('appearanceChange', this.getAppearance());
+    return this.getAppearance();
+  }
+
+  getAppearance() {
+    const { colors, material, accessories } = this.appearance;
+    return { colors: { ...colors }, material, accessories: accessories.map(accessory => ({ ...accessory })) };
+  }
+
+  /**
+   * Colour each region shows now, for colour pickers
+   */
+  getAppearanceColors() {
+    const base = this.getBaseColors();
+    const colors = {};
+    APPEARANCE_CONFIG.regions.forEach(region => {
+      colors[region] = this.appearance.colors[region] || base[region] || this.findRegionColor(region);
+    });
+    return colors;
+  }
+
+  /**
+   * Put the current appearance on the model: accessories first, so they get the material style too
+   */
+  applyAppearance() {
+    this.schema.metadata.appearance = this.getAppearance();
+    if (!this.model) return;
+
+    this.accessories.forEach(disposeAccessory);
+    this.accessories = [];
+    this.appearance.accessories.forEach(({ type, anchor }) => {
+      const node = findAnchor(this.model, anchor);
+      if (!node) {
+        console.warn(`[PuppetModel] No anchor "${anchor}" for the ${type}; add a node named anchor_${anchor} to the model`);
+        return;
+      }
+      const accessory = createAccessory(type);
+      node.add(accessory);
+      this.accessories.push(accessory);
+    });
+
+    applyAppearance(this.model, this.appearance, {
+      regionOf: (mesh) => this.getAppearanceRegion(mesh),
+      baseColors: this.getBaseColors()
+    });
+  }
+
+  /**
+   * Colour region a mesh belongs to, or null for accessories and face details
+   */
+  getAppearanceRegion(mesh) {
+    if (mesh.userData.accessory || FACE_DETAIL_MESH.test(mesh.name)) return null;
+    if (EYE_MESH.test(mesh.name)) return 'eyes';
+
+    for (let node = mesh; node && node !== this.model; node = node.parent) {
+      if (node === this.headNode) return 'head';
+    }
+    return 'body';
+  }
+
+  /**
+   * Region colours before customization: the persona colour on the placeholder robot
+   */
+  getBaseColors() {
+    if (!this.isPlaceholder) return {};
+    return {
+      body: this.config.bodyColor,
+      head: this.config.bodyColor,
+      eyes: APPEARANCE_CONFIG.eyeColor
+    };
+  }
+
+  /**
+   * Original colour of the first mesh in a region of a loaded model
+   */
+  findRegionColor(region) {
+    let color = null;
+    this.model?.traverse(object => {
+      if (color || !object.isMesh || this.getAppearanceRegion(object) !== region) return;
+      const material = [object.userData.originalMaterial || object.material].flat()[0];
+      if (material?.color) {
+        color = `#${material.color.getHexString()}`;
+      }
+    });
+    return color || '#ffffff';
+  }
+
+  /**
+   * Smoothly move, rotate and/or scale the puppet over a duration (ms)
+   * target: { position?: {x,y,z}, rotation?: {x,y,z}, scale? }
+   * Resolves true when finished, false if interrupted by another transition
+   */
+  transitionTo(target = {}, duration = ANIMATION_CONFIG.defaultDuration) {
+    if (!this.model) return Promise.resolve(false);
+
+    if (this.transition) {
+      this.transition.resolve(false);
+    }
+
+    const { position, rotation, scale } = this.model;
+    const from = {
+      position: { x: position.x, y: position.y, z: position.z },
+      rotation: { x: rotation.x, y: rotation.y, z: rotation.z },
+      scale: scale.x
+    };
+
+    return new Promise(resolve => {
+      this.transition = {
+        from,
+        to: {
+          position: { ...from.position, ...target.position },
+          rotation: { ...from.rotation, ...target.rotation },
+          scale: target.scale ?? from.scale
+        },
+        elapsed: 0,
+        duration: Math.max(duration, 1) / 1000,
+        resolve
+      };
+    });
+  }
+
+  /**
+   * Stop a running transition where it is
+   */
+  stopTransition() {
+    if (!this.transition) return false;
+    this.transition.resolve(false);
+    this.transition = null;
+    return true;
+  }
+
+  /**
+   * Where resetTransform() brings the puppet back to, e.g. its spot in a cast
+   */
+  setHomePosition(position) {
+    this.config.position = { ...position };
+  }
+
+  /**
+   * Ease back to the position, rotation and scale the puppet started with
+   */
+  resetTransform(duration = ANIMATION_CONFIG.defaultDuration) {
+    const { x, y, z } = this.config.position;
+    return this.transitionTo({
+      position: { x, y, z },
+      rotation: { x: 0, y: 0, z: 0 },
+      scale: this.config.scale
+    }, duration);
+  }
+
+  /**
+   * Current transform: { position, rotation, scale }
+   */
+  getTransform() {
+    if (!this.model) return null;
+    const { position, rotation, scale } = this.model;
+    return {
+      position: { x: position.x, y: position.y, z: position.z },
+      rotation: { x: rotation.x, y: rotation.y, z: rotation.z },
+      scale: scale.x
+    };
+  }
+
+  /**
+   * Advance the running transform transition
+   */
+  updateTransition(deltaTime) {
+    const transition = this.transition;
+    if (!transition) return;
+
+    transition.elapsed += deltaTime;
+    const t = Math.min(1, transition.elapsed / transition.duration);
+    // Ease in-out so moves start and stop gently
+    const k = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+    const lerp = (a, b) => a + (b - a) * k;
+    const { from, to } = transition;
+
+    this.updatePosition(
+      lerp(from.position.x, to.position.x),
+      lerp(from.position.y, to.position.y),
+      lerp(from.position.z, to.position.z)
+    );
+    this.updateRotation(
+      lerp(from.rotation.x, to.rotation.x),
+      lerp(from.rotation.y, to.rotation.y),
+      lerp(from.rotation.z, to.rotation.z)
+    );
+    this.updateScale(lerp(from.scale, to.scale));
+
+    if (t >= 1) {
+      this.transition = null;
+      transition.resolve(true);
+    }
   }
 
   /**
    * Frame update - animate mixer
    */
   update(deltaTime) {
-    if (this.mixer) {
+    // The head is turned on top of the animated pose
+    this.lookAt.restore();
+    if (this.animator) {
+      this.animator.update(deltaTime);
+    } else if (this.mixer) {
       this.mixer.update(deltaTime);
     }
+    this.updateTransition(deltaTime);
+    if (this.model) {
+      const eyes = this.lookAt.update(deltaTime, this.model, this.headNode);
+      this.face.setLookDirection(eyes.yaw, eyes.pitch);
+    }
+    this.updateLipSync(deltaTime);
+    this.face.update(deltaTime);
   }
 
   /**
@@ -363,9 +907,16 @@ export class PuppetModel {
    * Cleanup and dispose
    */
   dispose() {
+    this.animator?.dispose();
+    this.animator = null;
     if (this.mixer) {
       this.mixer.stopAllAction();
     }
+    this.lipSync.dispose();
+    this.face.dispose();
+    this.lookAt.dispose();
+    this.accessories.forEach(disposeAccessory);
+    this.accessories = [];
     if (this.model && this.scene) {
       this.scene.remove(this.model);
     }
@@ -0,0 +1,194 @@
+/**
+ * Puppet Cast - The puppets sharing the scene, each with its own persona and conversation
+ * A member is { id, persona, puppet, engine }. One member is selected at a time and gets
+ * what the user types or says, unless the message is addressed to another one:
+ *   "@Captain Cog how are you?"   "Professor Bolt, what is a comet?"   "小宝：你好"
+ *
+ * Events: memberAdd (member), selectionChange ({ member, previous })
+ */
+
+import { CAST_CONFIG } from '../config/constants.js';
+
+// What may follow a name at the start of a message for it to count as addressing
+const ADDRESS_SEPARATOR = /^\s*[,:!，：！]/;
+const NAME_CHARACTER = /[\p{L}\p{N}_]/u;
+
+export class PuppetCast {
+  constructor(config = {}) {
+    this.config = {
+      maxMembers: config.maxMembers || CAST_CONFIG.maxMembers,
+      origin: config.origin || CAST_CONFIG.origin,
+      spacing: config.spacing || CAST_CONFIG.spacing,
+      ...config
+    };
+
+    this.members = [];
+    this.selectedId = null;
+    this.nextId = 1;
+    this.listeners = {};
+  }
+
+  get size() {
+    return this.members.length;
+  }
+
+  isFull() {
+    return this.members.length >= this.config.maxMembers;
+  }
+
+  /**
+   * Add a member; the first one is selected. Returns the member, or null when the cast is full
+   */
+  add({ persona, puppet, engine }) {
+    if (this.isFull()) {
+      console.warn(`[PuppetCast] Cast is full (${this.config.maxMembers} puppets)`);
+      return null;
+    }
+
+    const member = { id: `puppet-${this.nextId++}`, persona, puppet, engine };
+    this.members.push(member);
+    console.log(`[PuppetCast] ${persona?.name || member.id} joined the cast`);
+    this.emit('memberAdd', member);
+
+    if (!this.selectedId) {
+      this.select(member.id);
+    }
+    return member;
+  }
+
+  get(id) {
+    return this.members.find(member => member.id === id) || null;
+  }
+
+  list() {
+    return [...this.members];
+  }
+
+  getSelected() {
+    return this.get(this.selectedId);
+  }
+
+  /**
+   * Select the member that gets the user's messages
+   */
+  select(id) {
+    const member = this.get(id);
+    if (!member) {
+      console.warn(`[PuppetCast] Unknown member: ${id}`);
+      return false;
+    }
+    if (id === this.selectedId) return true;
+
+    const previous = this.getSelected();
+    this.selectedId = id;
+    this.emit('selectionChange', { member, previous });
+    return true;
+  }
+
+  findByPuppet(puppet) {
+    return this.members.find(member => member.puppet === puppet) || null;
+  }
+
+  findByPersona(personaId) {
+    return this.members.find(member => member.persona?.id === personaId) || null;
+  }
+
+  /**
+   * The member after this one, wrapping around; null when it is alone
+   */
+  next(member) {
+    if (this.members.length < 2) return null;
+    const index = this.members.indexOf(member);
+    return this.members[(index + 1) % this.members.length];
+  }
+
+  /**
+   * Member a message is addressed to by name or persona id, with the rest of the message
+   * Returns { member, rest } or null when no member is mentioned
+   */
+  findAddressee(text) {
+    const trimmed = text.trim();
+    const lower = trimmed.toLowerCase();
+
+    // Longest names first, so "Captain Cog" wins over a member called "Captain"
+    const names = this.members
+      .flatMap(member => [member.persona?.name, member.persona?.id]
+        .filter(Boolean)
+        .map(name => ({ member, name: name.toLowerCase() })))
+      .sort((a, b) => b.name.length - a.name.length);
+
+    for (const { member, name } of names) {
+      if (lower.startsWith(`@${name}`) && !NAME_CHARACTER.test(trimmed.charAt(name.length + 1))) {
+        const rest = trimmed.slice(name.length + 1).replace(ADDRESS_SEPARATOR, '').trim();
+        return { member, rest };
+      }
+      if (lower.startsWith(name) && ADDRESS_SEPARATOR.test(trimmed.slice(name.length))) {
+        return { member, rest: trimmed.slice(name.length).replace(ADDRESS_SEPARATOR, '').trim() };
+      }
+    }
+
+    // "@name" later in the message
+    for (const { member, name } of names) {
+      const index = lower.indexOf(`@${name}`);
+      if (index > 0 && !NAME_CHARACTER.test(trimmed.charAt(index + name.length + 1))) {
+        return { member, rest: trimmed };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Stage position of the index-th of count puppets, lined up left to right around the origin
+   */
+  getPosition(index, count = this.members.length) {
+    const { origin, spacing } = this.config;
+    return {
+      x: origin.x + (index - (count - 1) / 2) * spacing,
+      y: origin.y,
+      z: origin.z
+    };
+  }
+
+  /**
+   * Event emitter methods
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`[PuppetCast] Error in event listener for '${event}':`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Cleanup: disposes every member's puppet and engine
+   */
+  dispose() {
+    this.members.forEach(member => {
+      member.engine?.dispose();
+      member.puppet?.dispose();
+    });
+    this.members = [];
+    this.selectedId = null;
+    this.listeners = {};
+  }
+}
+
+export default PuppetCast;
@@ -2,18 +2,75 @@
  * Conversation Engine - Manages chat state, message history, and LLM integration
  */
 
-import { apiClient } from '../services/apiClient.js';
+import { apiClient, getProvider } from '../services/apiClient.js';
+import { DEFAULT_CONFIG } from '../config/constants.js';
+import { classifyError } from '../services/retry.js';
+import HistoryManager from './history.js';
+import {
+  buildStructuredInstructions,
+  parseStructuredResponse,
+  extractPartialReply
+} from './responseParser.js';
+
+const SUMMARY_PROMPT = 'You maintain a running summary of a conversation between a user and an AI robot assistant. '
+  + 'Merge the previous summary with the new exchanges into a concise summary (at most 5 short bullet points) '
+  + 'keeping names, facts, preferences and open questions. Reply with the summary only, in the language of the conversation.';
+
+// Shown to the model in place of the part of a reply the user never heard
+const INTERRUPTED_NOTE = '[interrupted by the user]';
+
+/**
+ * History content for a reply the user cut off after hearing heardText
+ */
+function markInterrupted(heardText) {
+  const heard = heardText.trim();
+  return heard ? `${heard}… ${INTERRUPTED_NOTE}` : INTERRUPTED_NOTE;
+}
 
 export default class ConversationEngine {
   constructor(config = {}) {
     this.config = {
-      maxHistory: config.maxHistory || 10,
+      maxHistory: config.maxHistory || config.maxHistoryLength || 10,
+      historyTokenBudget: config.historyTokenBudget || DEFAULT_CONFIG.historyTokenBudget,
       systemPrompt: config.systemPrompt || '你是一个友好、有帮助的AI助手。',
+      apiProvider: config.apiProvider || DEFAULT_CONFIG.apiProvider,
+      model: config.model || null, // null = provider default
+      temperature: config.temperature ?? 0.7,
+      maxTokens: config.maxTokens || 1000,
+      stream: config.stream !== false,
+      structuredResponses: config.structuredResponses ?? DEFAULT_CONFIG.structuredResponses,
+      mockFallback: config.mockFallback ?? false, // use the mock provider when no key is set
+      maxToolSteps: config.maxToolSteps || 4, // tool rounds before the model must answer
+      busyPolicy: config.busyPolicy || DEFAULT_CONFIG.busyPolicy, // queue, replace or reject
+      maxQueueLength: config.maxQueueLength || 5,
+      replyLanguage: config.replyLanguage || null, // e.g. 'English'; null = the user's language
       ...config
     };
 
+    this.client = config.apiClient || apiClient;
+    this.tools = config.tools || null;
+    this.persona = null;
+    // Settings a persona may override, restored when the next persona doesn't
+    this.baseSettings = {
+      apiProvider: this.config.apiProvider,
+      systemPrompt: this.config.systemPrompt,
+      model: this.config.model,
+      temperature: this.config.temperature,
+      maxTokens: this.config.maxTokens
+    };
+
     this.conversationHistory = [];
+    this.history = new HistoryManager({
+      tokenBudget: this.config.historyTokenBudget,
+      replyTokens: this.config.maxTokens,
+      maxMessages: this.config.maxHistory,
+      summarize: (previousSummary, turns) => this.summarizeTurns(previousSummary, turns)
+    });
     this.isProcessing = false;
+    this.abortController = null;
+    this.interruption = null; // set by interrupt() while a request is being aborted
+    this.inScene = false; // conversationHistory is a throwaway scene history (sendSceneMessage)
+    this.messageQueue = [];
     this.listeners = {};
   }
 
@@ -24,11 +81,25 @@ export default class ConversationEngine {
     try {
       console.log('[ConversationEngine] Initializing...');
       this.conversationHistory = [];
+      this.history.reset();
       
+      const provider = getProvider(this.config.apiProvider);
+      if (!provider) {
+        throw new Error(`Unknown API provider: ${this.config.apiProvider}`);
+      }
+      console.log(`[ConversationEngine] Using provider: ${provider.label}`);
+
       // Verify API Key is available
-      const apiKey = this.getAPIKey();
-      if (!apiKey) {
-        console.warn('[ConversationEngine] API Key not found - using localStorage fallback');
+      if (!this.client.hasCredentials(provider.name)) {
+        if (this.config.mockFallback) {
+          console.warn(`[ConversationEngine] No API key for ${provider.label} - falling back to offline mock provider`);
+          this.config.apiProvider = 'mock';
+          // Personas applied later stay on the mock provider too
+          this.baseSettings.apiProvider = 'mock';
+          this.emit('providerFallback', { from: provider.name, to: 'mock' });
+        } else {
+          console.warn('[ConversationEngine] API Key not found - using localStorage fallback');
+        }
       }
       
       this.emit('ready');
@@ -41,51 +112,122 @@ export default class ConversationEngine {
 
   /**
    * Send user message and get AI response
+   * Messages arriving while a reply is in progress follow config.busyPolicy:
+   *   'queue'   - wait and send after the current reply (resolves when answered)
+   *   'replace' - cancel the current reply and send this one instead
+   *   'reject'  - drop the message
    */
   async sendMessage(userMessage) {
-    if (this.isProcessing) {
-      console.warn('[ConversationEngine] Already processing a message');
-      return null;
-    }
-
     if (!userMessage.trim()) {
       console.warn('[ConversationEngine] Empty message');
       return null;
     }
 
+    if (this.isProcessing) {
+      return this.handleBusy(userMessage);
+    }
+
     this.isProcessing = true;
     this.emit('processing', true);
 
+    const controller = new AbortController();
+    this.abortController = controller;
+
+    const userEntry = {
+      role: 'user',
+      content: userMessage
+    };
+    const messageId = `msg-${Date.now()}`;
+    let partialText = '';
+
     try {
       // Add user message to history
-      this.conversationHistory.push({
-        role: 'user',
-        content: userMessage
-      });
+      this.conversationHistory.push(userEntry);
+
+      // Keep history within the token budget, summarizing whole turns that drop out
+      await this.history.wait();
+      this.trimHistory();
+
+      // Call LLM provider, forwarding streamed tokens as they arrive.
+      // When the model calls tools, run them and ask again until it answers.
+      const timestamp = Date.now();
+      let deltaIndex = 0;
+      let result = null;
+      let parsed = null;
+
+      for (let step = 0; ; step++) {
+        const allowTools = this.hasTools() && step < this.config.maxToolSteps;
+        let visibleText = '';
+
+        result = await this.requestCompletion({
+          toolChoice: allowTools ? 'auto' : 'none',
+          signal: controller.signal,
+          onDelta: (delta, raw) => {
+            // Structured replies stream as JSON - only show the reply text
+            const text = this.config.structuredResponses ? extractPartialReply(raw) : raw;
+            if (text.length <= visibleText.length) return;
+
+            const visibleDelta = text.slice(visibleText.length);
+            visibleText = text;
+            partialText = text;
+            this.emit('messageDelta', {
+              id: messageId,
+              sender: 'puppet',
+              delta: visibleDelta,
+              text,
+              index: deltaIndex++,
+              timestamp,
+              type: 'text'
+            });
+          }
+        });
+
+        parsed = this.config.structuredResponses
+          ? parseStructuredResponse(result.text)
+          : null;
 
-      // Trim history if too long
-      if (this.conversationHistory.length > this.config.maxHistory) {
-        this.conversationHistory = this.conversationHistory.slice(-this.config.maxHistory);
+        if (!allowTools || result.toolCalls.length === 0) break;
+
+        this.conversationHistory.push({
+          role: 'assistant',
+          content: parsed ? parsed.text : result.text,
+          toolCalls: result.toolCalls
+        });
+        await this.runToolCalls(result.toolCalls, messageId, controller.signal);
       }
 
-      // Call OpenAI API
-      const response = await this.callOpenAIAPI();
+      const response = parsed ? parsed.text : result.text;
 
       // Add assistant response to history
       if (response) {
         this.conversationHistory.push({
           role: 'assistant',
-          content: response
+          content: response,
+          id: messageId
         });
 
-        this.emit('messageReceived', {
-          id: `msg-${Date.now()}`,
+        const message = {
+          id: messageId,
           sender: 'puppet',
           text: response,
-          timestamp: Date.now(),
+          timestamp,
           type: 'text',
-          metadata: { animationHint: 'talking' }
-        });
+          metadata: {
+            animationHint: 'talking',
+            ...result.metadata,
+            ...(parsed?.structured ? {
+              animationHint: parsed.animation,
+              emotion: parsed.emotion,
+              gestures: parsed.gestures
+            } : {}),
+            structured: Boolean(parsed?.structured),
+            streamed: deltaIndex > 0
+          }
+        };
+
+        this.emit('messageComplete', message);
+        // Kept for listeners that only care about finished replies
+        this.emit('messageReceived', message);
 
         return response;
       }
@@ -93,106 +235,367 @@ export default class ConversationEngine {
       return null;
 
     } catch (error) {
-      console.error('[ConversationEngine] Error:', error);
-      this.emit('error', error.message);
+      if (controller.signal.aborted) {
+        const turnStart = this.conversationHistory.indexOf(userEntry);
+        const interruption = this.interruption;
+        this.interruption = null;
+
+        if (interruption) {
+          // Barge-in: keep the question and what was shown so far, dropping unfinished tool rounds
+          if (turnStart !== -1) {
+            this.conversationHistory.splice(turnStart + 1);
+            this.conversationHistory.push({
+              role: 'assistant',
+              content: markInterrupted(partialText),
+              id: messageId,
+              interrupted: { stage: 'generating', heardText: partialText, fullText: partialText }
+            });
+          }
+
+          console.log('[ConversationEngine] Reply interrupted while generating');
+          this.emit('messageInterrupted', {
+            id: messageId,
+            text: userMessage,
+            partialText,
+            heardText: partialText,
+            stage: 'generating'
+          });
+          return null;
+        }
+
+        // Drop the whole cancelled turn so the next request starts clean
+        if (turnStart !== -1) {
+          this.conversationHistory.splice(turnStart);
+        }
+
+        console.log('[ConversationEngine] Reply cancelled');
+        this.emit('messageCancelled', { id: messageId, text: userMessage, partialText });
+        return null;
+      }
+
+      // Typed error: listeners get error.type and a user-friendly error.userMessage
+      const apiError = classifyError(error, this.config.apiProvider);
+      console.error('[ConversationEngine] Error:', apiError);
+      this.emit('error', apiError);
       return null;
     } finally {
+      if (this.abortController === controller) {
+        this.abortController = null;
+        this.interruption = null;
+      }
       this.isProcessing = false;
       this.emit('processing', false);
+      // Queued user messages wait until the real history is back
+      if (!this.inScene) {
+        this.processQueue();
+      }
     }
   }
 
   /**
-   * Call OpenAI API with retry logic
-   */
-  async callOpenAIAPI() {
-    const apiKey = this.getAPIKey();
-    if (!apiKey) {
-      throw new Error('API Key not found. Please set VITE_LLM_API_KEY or use localStorage.');
-    }
-
-    const maxRetries = 3;
-    let lastError = null;
-    
-    // 使用代理 URL（开发环境）或直接调用（生产环境）
-    const isDev = import.meta.env.DEV;
-    const apiUrl = isDev 
-      ? '/api/openai/chat/completions'  // 本地代理
-      : 'https://api.openai.com/v1/chat/completions';  // 生产环境
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        console.log(`[ConversationEngine] API Request attempt ${attempt}/${maxRetries}`);
-        console.log(`[ConversationEngine] Using API URL: ${isDev ? 'proxy' : 'direct'}`);
-
-        const response = await fetch(apiUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-          },
-          body: JSON.stringify({
-            model: 'gpt-3.5-turbo',
-            messages: [
-              {
-                role: 'system',
-                content: this.config.systemPrompt
-              },
-              ...this.conversationHistory
-            ],
-            max_tokens: 1000,
-            temperature: 0.7
-          })
-        });
+   * Send a message against a separate history, e.g. a skit's stage directions
+   * The user's conversation and its summary never see it; scene.history carries the
+   * exchange from one call to the next and is thrown away by the caller
+   */
+  async sendSceneMessage(text, scene) {
+    // A reply to the user finishes first, with the real history
+    while (this.isProcessing) {
+      await new Promise(resolve => {
+        const onProcessing = (processing) => {
+          if (processing) return;
+          this.off('processing', onProcessing);
+          resolve();
+        };
+        this.on('processing', onProcessing);
+      });
+    }
 
-        if (!response.ok) {
-          const errorData = await response.json();
-          throw new Error(
-            errorData.error?.message || 
-            `HTTP ${response.status}: ${response.statusText}`
-          );
-        }
+    const saved = this.conversationHistory;
+    this.conversationHistory = scene.history || [];
+    this.inScene = true;
+    try {
+      return await this.sendMessage(text);
+    } finally {
+      scene.history = this.conversationHistory;
+      this.conversationHistory = saved;
+      this.inScene = false;
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Apply the busy policy to a message that arrived mid-request
+   */
+  async handleBusy(userMessage) {
+    const policy = this.config.busyPolicy;
+
+    if (policy === 'replace') {
+      console.log('[ConversationEngine] Replacing the reply in progress');
+      this.cancel({ clearQueue: true });
+      return new Promise(resolve => {
+        this.messageQueue.unshift({ text: userMessage, resolve });
+      });
+    }
 
-        const data = await response.json();
+    if (policy === 'queue' && this.messageQueue.length < this.config.maxQueueLength) {
+      return new Promise(resolve => {
+        this.messageQueue.push({ text: userMessage, resolve });
+        console.log(`[ConversationEngine] Message queued (${this.messageQueue.length} waiting)`);
+        this.emit('messageQueued', { text: userMessage, position: this.messageQueue.length });
+      });
+    }
 
-        if (!data.choices || !data.choices[0]) {
-          throw new Error('Invalid API response: missing choices');
-        }
+    console.warn('[ConversationEngine] Already processing a message');
+    this.emit('messageRejected', { text: userMessage, reason: policy === 'queue' ? 'queueFull' : 'busy' });
+    return null;
+  }
+
+  /**
+   * Send the next queued message, if any
+   */
+  processQueue() {
+    if (this.isProcessing || this.messageQueue.length === 0) return;
+
+    const next = this.messageQueue.shift();
+    this.sendMessage(next.text).then(next.resolve);
+  }
 
-        const assistantMessage = data.choices[0].message.content;
-        console.log('[ConversationEngine] Response received:', assistantMessage.substring(0, 50) + '...');
+  /**
+   * Cancel the reply in progress
+   * Queued messages are dropped too unless clearQueue is false
+   */
+  cancel({ clearQueue = true } = {}) {
+    if (clearQueue && this.messageQueue.length > 0) {
+      const dropped = this.messageQueue.splice(0);
+      dropped.forEach(item => item.resolve(null));
+      this.emit('queueCleared', { count: dropped.length });
+    }
 
-        return assistantMessage;
+    if (!this.abortController) return false;
 
-      } catch (error) {
-        lastError = error;
-        console.warn(`[ConversationEngine] Attempt ${attempt} failed:`, error.message);
+    this.abortController.abort();
+    return true;
+  }
 
-        if (attempt < maxRetries) {
-          // Exponential backoff
-          const delay = Math.pow(2, attempt - 1) * 1000;
-          console.log(`[ConversationEngine] Retrying in ${delay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
+  /**
+   * Barge-in: the user talked over the robot
+   * Unlike cancel() the turn stays in history, cut down to what the user got to hear
+   * and marked as interrupted, so the model knows where it was stopped.
+   * A reply still generating is aborted; a finished one (being spoken, messageId)
+   * is shortened to spokenText.
+   */
+  interrupt({ messageId = null, spokenText = '' } = {}) {
+    if (this.abortController) {
+      this.interruption = { spokenText };
+      return this.cancel({ clearQueue: true });
+    }
+
+    const entry = messageId
+      ? this.conversationHistory.findLast(msg => msg.role === 'assistant' && msg.id === messageId)
+      : null;
+    if (!entry || entry.interrupted) return false;
+
+    entry.interrupted = { stage: 'speaking', heardText: spokenText, fullText: entry.content };
+    entry.content = markInterrupted(spokenText);
+
+    console.log(`[ConversationEngine] Reply interrupted after ${spokenText.length} spoken characters`);
+    this.emit('messageInterrupted', {
+      id: messageId,
+      partialText: entry.interrupted.fullText,
+      heardText: spokenText,
+      stage: 'speaking'
+    });
+    return true;
+  }
+
+  /**
+   * Number of messages waiting to be sent
+   */
+  getQueueLength() {
+    return this.messageQueue.length;
+  }
+
+  /**
+   * Request a reply for the current history through the API client
+   * When streaming, onDelta(delta, fullText) is called for every token chunk
+   */
+  async requestCompletion({ onDelta = () => {}, toolChoice = 'auto', signal = null } = {}) {
+    const options = {
+      signal,
+      onRetry: ({ attempt, delay, error }) => this.emit('retrying', { attempt, delay, type: error.type }),
+      tools: this.hasTools() ? this.tools.getDefinitions() : [],
+      toolChoice,
+      provider: this.config.apiProvider,
+      systemPrompt: this.history.buildSystemPrompt(this.getSystemPrompt()),
+      responseFormat: this.config.structuredResponses ? 'json' : 'text',
+      model: this.config.model || undefined,
+      temperature: this.config.temperature,
+      maxTokens: this.config.maxTokens
+    };
+
+    const result = this.config.stream
+      ? await this.client.streamMessage(this.conversationHistory, { ...options, onDelta })
+      : await this.client.sendMessage(this.conversationHistory, options);
+
+    console.log('[ConversationEngine] Response received:', result.text.substring(0, 50) + '...');
+    return result;
+  }
+
+  /**
+   * Execute tool calls in order, recording each result in history
+   */
+  async runToolCalls(toolCalls, messageId, signal = null) {
+    for (const call of toolCalls) {
+      if (signal?.aborted) {
+        throw new DOMException('Aborted', 'AbortError');
+      }
+
+      console.log(`[ConversationEngine] Tool call: ${call.name}`, call.arguments);
+      this.emit('toolCall', { ...call, messageId, status: 'running' });
+
+      const outcome = await this.tools.execute(call);
+      this.emit('toolResult', {
+        ...outcome,
+        messageId,
+        status: outcome.success ? 'success' : 'error'
+      });
+
+      this.conversationHistory.push({
+        role: 'tool',
+        toolCallId: call.id,
+        name: call.name,
+        content: JSON.stringify(outcome.success ? outcome.result : { error: outcome.error }),
+        isError: !outcome.success
+      });
+    }
+  }
+
+  /**
+   * Apply a persona's prompt and model settings
+   * History is cleared when the persona asks for a fresh start
+   */
+  applyPersona(persona) {
+    const modelSettings = persona.model || {};
+
+    this.persona = persona;
+    this.config.systemPrompt = persona.systemPrompt || this.baseSettings.systemPrompt;
+    this.config.model = modelSettings.model || this.baseSettings.model;
+    this.config.temperature = modelSettings.temperature ?? this.baseSettings.temperature;
+    this.config.maxTokens = modelSettings.maxTokens || this.baseSettings.maxTokens;
+
+    let provider = this.baseSettings.apiProvider;
+    if (modelSettings.provider) {
+      if (!getProvider(modelSettings.provider)) {
+        console.warn(`[ConversationEngine] Persona provider not registered: ${modelSettings.provider}`);
+      } else if (this.config.mockFallback && !this.client.hasCredentials(modelSettings.provider)) {
+        console.warn(`[ConversationEngine] No API key for ${modelSettings.provider} - staying on ${provider}`);
+      } else {
+        provider = modelSettings.provider;
       }
     }
+    this.config.apiProvider = provider;
+
+    const historyReset = persona.history === 'reset' && this.conversationHistory.length > 0;
+    if (historyReset) {
+      this.clearHistory();
+    }
 
-    throw lastError;
+    console.log(`[ConversationEngine] Persona applied: ${persona.name}`);
+    this.emit('personaApplied', { persona, historyReset });
+    return { historyReset };
   }
 
   /**
-   * Get API Key from environment or localStorage
+   * Whether tools are available to the model
    */
-  getAPIKey() {
-    // Try environment variable first
-    const envKey = import.meta.env.VITE_LLM_API_KEY;
-    if (envKey) return envKey;
+  hasTools() {
+    return Boolean(this.tools && this.tools.size > 0);
+  }
 
-    // Try localStorage
-    const storedKey = localStorage.getItem('openai_api_key');
-    if (storedKey) return storedKey;
+  /**
+   * Set the tool registry offered to the model
+   */
+  setTools(tools) {
+    this.tools = tools;
+  }
 
-    return null;
+  /**
+   * Language the robot is told to reply in (null = the user's language)
+   */
+  setReplyLanguage(language) {
+    this.config.replyLanguage = language || null;
+  }
+
+  /**
+   * System prompt including the reply language and the structured reply format when enabled
+   */
+  getSystemPrompt() {
+    const language = this.config.replyLanguage;
+    if (this.config.structuredResponses) {
+      return `${this.config.systemPrompt}\n\n${buildStructuredInstructions({ language })}`;
+    }
+    if (language) {
+      return `${this.config.systemPrompt}\n\nReply in ${language} unless the user asks for another language.`;
+    }
+    return this.config.systemPrompt;
+  }
+
+  /**
+   * Evict the oldest turns that no longer fit the token budget and fold them
+   * into the rolling summary in the background
+   */
+  trimHistory() {
+    this.history.config.model = this.config.model
+      || getProvider(this.config.apiProvider)?.defaults.model
+      || 'default';
+    // Personas may change the reply length, which changes what is left for history
+    this.history.config.replyTokens = this.config.maxTokens || this.history.config.replyTokens;
+
+    const { kept, evicted } = this.history.trim(this.conversationHistory, {
+      systemPrompt: this.getSystemPrompt()
+    });
+
+    if (evicted.length > 0) {
+      this.conversationHistory = kept;
+      // Scene turns are thrown away afterwards and never make it into the summary
+      if (this.inScene) return;
+      console.log(`[ConversationEngine] Summarizing ${evicted.length} earlier turn(s)`);
+      this.history.fold(evicted);
+    }
+  }
+
+  /**
+   * Ask the LLM to merge evicted turns into the running summary
+   * Returns null to let the history manager use its extractive fallback
+   */
+  async summarizeTurns(previousSummary, turns) {
+    // The offline mock would answer with a canned reply, not a summary
+    if (this.config.apiProvider === 'mock') return null;
+
+    const transcript = turns.flat()
+      .filter(msg => ['user', 'assistant'].includes(msg.role) && msg.content)
+      .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+      .join('\n');
+
+    const result = await this.client.sendMessage([{
+      role: 'user',
+      content: `Previous summary:\n${previousSummary || '(none)'}\n\nNew exchanges:\n${transcript}`
+    }], {
+      provider: this.config.apiProvider,
+      systemPrompt: SUMMARY_PROMPT,
+      model: this.config.model || undefined,
+      temperature: 0.2,
+      maxTokens: 300
+    });
+
+    return result.text;
+  }
+
+  /**
+   * Get API Key for the configured provider from environment or localStorage
+   */
+  getAPIKey() {
+    return this.client.getAPIKey(this.config.apiProvider);
   }
 
   /**
@@ -202,11 +605,19 @@ export default class ConversationEngine {
     return [...this.conversationHistory];
   }
 
+  /**
+   * Get the rolling summary of turns that no longer fit in history
+   */
+  getSummary() {
+    return this.history.summary;
+  }
+
   /**
    * Clear conversation history
    */
   clearHistory() {
     this.conversationHistory = [];
+    this.history.reset();
     this.emit('history-cleared');
   }
 
@@ -234,6 +645,7 @@ export default class ConversationEngine {
    * Cleanup
    */
   dispose() {
+    this.cancel();
     this.listeners = {};
   }
 }
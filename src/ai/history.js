@@ -0,0 +1,213 @@
+/**
+ * History Manager - Keeps conversation history within a token budget
+ * Evicts the oldest user/assistant turns as a unit and folds them into a
+ * rolling summary that travels with the system prompt
+ */
+
+import { MODEL_CONTEXT_WINDOWS } from '../config/constants.js';
+
+// CJK characters are roughly one token each, other text about four characters per token
+const CJK_PATTERN = /[\u3000-\u303f\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uff00-\uffef]/g;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Estimate the token count of a piece of text
+ */
+export function estimateTokens(text = '') {
+  if (!text) return 0;
+  const cjkCount = (text.match(CJK_PATTERN) || []).length;
+  const otherCount = text.length - cjkCount;
+  return cjkCount + Math.ceil(otherCount / 4);
+}
+
+/**
+ * Estimate the token count of a chat message including per-message overhead
+ */
+export function estimateMessageTokens(message) {
+  const content = typeof message.content === 'string'
+    ? message.content
+    : JSON.stringify(message.content ?? '');
+  const toolCallTokens = message.toolCalls ? estimateTokens(JSON.stringify(message.toolCalls)) : 0;
+  return estimateTokens(content) + toolCallTokens + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Group messages into turns - each turn starts with a user message and holds
+ * every reply that belongs to it, so answers are never separated from questions
+ */
+export function groupTurns(messages) {
+  const turns = [];
+  messages.forEach(message => {
+    if (message.role === 'user' || turns.length === 0) {
+      turns.push([message]);
+    } else {
+      turns[turns.length - 1].push(message);
+    }
+  });
+  return turns;
+}
+
+export class HistoryManager {
+  constructor(config = {}) {
+    this.config = {
+      model: config.model || 'default',
+      tokenBudget: config.tokenBudget || null, // explicit cap on history tokens
+      replyTokens: config.replyTokens || 1000, // kept free for the model's answer
+      maxMessages: config.maxMessages || null,
+      summaryTokens: config.summaryTokens || 300,
+      summarize: config.summarize || null, // async (previousSummary, turns) => summary
+      ...config
+    };
+
+    this.summary = '';
+    this.pendingSummary = null;
+    this.generation = 0; // bumped on reset so late summaries are discarded
+  }
+
+  /**
+   * Token budget available to history for the configured model
+   */
+  getBudget(systemPrompt = '') {
+    const contextWindow = MODEL_CONTEXT_WINDOWS[this.config.model] || MODEL_CONTEXT_WINDOWS.default;
+    const available = contextWindow
+      - this.config.replyTokens
+      - estimateTokens(systemPrompt)
+      - estimateTokens(this.summary);
+
+    const budget = this.config.tokenBudget ? Math.min(available, this.config.tokenBudget) : available;
+    return Math.max(0, budget);
+  }
+
+  /**
+   * Split messages into the turns that fit the budget and the turns to evict
+   * The most recent turn is always kept
+   */
+  trim(messages, { systemPrompt = '' } = {}) {
+    const turns = groupTurns(messages);
+    const budget = this.getBudget(systemPrompt);
+    const maxMessages = this.config.maxMessages || Infinity;
+
+    let tokens = 0;
+    let count = 0;
+    let firstKept = turns.length;
+
+    for (let i = turns.length - 1; i >= 0; i--) {
+      const turnTokens = turns[i].reduce((sum, msg) => sum + estimateMessageTokens(msg), 0);
+      const isLatest = i === turns.length - 1;
+
+      if (!isLatest && (tokens + turnTokens > budget || count + turns[i].length > maxMessages)) {
+        break;
+      }
+
+      tokens += turnTokens;
+      count += turns[i].length;
+      firstKept = i;
+    }
+
+    return {
+      kept: turns.slice(firstKept).flat(),
+      evicted: turns.slice(0, firstKept),
+      tokens
+    };
+  }
+
+  /**
+   * Fold evicted turns into the rolling summary
+   * Runs in the background; wait() resolves once it has finished
+   */
+  fold(evictedTurns) {
+    if (evictedTurns.length === 0) return this.wait();
+
+    const generation = this.generation;
+    const previous = this.pendingSummary || Promise.resolve();
+    const task = previous
+      .then(() => this.summarizeTurns(evictedTurns))
+      .then(summary => {
+        if (generation !== this.generation) return;
+        this.summary = summary;
+        console.log(`[HistoryManager] Summary updated (~${estimateTokens(summary)} tokens)`);
+      });
+
+    this.pendingSummary = task;
+    task.finally(() => {
+      if (this.pendingSummary === task) {
+        this.pendingSummary = null;
+      }
+    });
+
+    return task;
+  }
+
+  /**
+   * Summarize with the configured summarizer, falling back to an extractive summary
+   */
+  async summarizeTurns(turns) {
+    if (this.config.summarize) {
+      try {
+        const summary = await this.config.summarize(this.summary, turns);
+        if (summary && summary.trim()) {
+          return this.clampSummary(summary.trim());
+        }
+      } catch (error) {
+        console.warn('[HistoryManager] Summarization failed, using extractive summary:', error.message);
+      }
+    }
+
+    return this.extractiveSummary(turns);
+  }
+
+  /**
+   * Cheap summary built from the first sentence of each evicted message
+   */
+  extractiveSummary(turns) {
+    const lines = turns.flat()
+      .filter(msg => ['user', 'assistant'].includes(msg.role))
+      .filter(msg => typeof msg.content === 'string' && msg.content.trim())
+      .map(msg => {
+        const firstSentence = msg.content.trim().split(/(?<=[.!?。！？])\s*/)[0];
+        const snippet = firstSentence.length > 120 ? `${firstSentence.slice(0, 117)}...` : firstSentence;
+        return `- ${msg.role === 'user' ? 'User' : 'Assistant'}: ${snippet}`;
+      });
+
+    const combined = [this.summary, ...lines].filter(Boolean).join('\n');
+    return this.clampSummary(combined);
+  }
+
+  /**
+   * Keep the summary within its token allowance, dropping the oldest lines first
+   */
+  clampSummary(summary) {
+    const lines = summary.split('\n');
+    while (lines.length > 1 && estimateTokens(lines.join('\n')) > this.config.summaryTokens) {
+      lines.shift();
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * System prompt with the rolling summary attached
+   */
+  buildSystemPrompt(systemPrompt = '') {
+    if (!this.summary) return systemPrompt;
+    return `${systemPrompt}\n\nSummary of the earlier conversation:\n${this.summary}`;
+  }
+
+  /**
+   * Wait for a running summarization to finish
+   */
+  async wait() {
+    if (this.pendingSummary) {
+      await this.pendingSummary.catch(() => {});
+    }
+  }
+
+  /**
+   * Forget the summary
+   */
+  reset() {
+    this.generation++;
+    this.summary = '';
+  }
+}
+
+export default HistoryManager;
@@ -0,0 +1,160 @@
+/**
+ * Persona Manager - Named robot characters switchable at runtime
+ * Personas are defined in config/personas.json
+ *
+ * Persona fields:
+ *   id, name, description
+ *   systemPrompt   personality instructions for the LLM
+ *   greetings      lines shown when the persona becomes active, either a list or
+ *                  { locale: [lines] } to greet in the user's language
+ *   model          { provider?, model?, temperature?, maxTokens? } overrides
+ *   voice          { name?, lang?, rate?, pitch? } for speech output (lang defaults to the locale)
+ *   bodyColor      colour of the placeholder robot
+ *   language       default language (BCP 47) for the UI, speech and replies; the locale the
+ *                  user picked wins, empty follows the browser
+ *   history        'keep' to continue the conversation, 'reset' to start fresh when selected
+ */
+
+import personaConfig from '../config/personas.json';
+
+const STORAGE_KEY = 'arbot_persona';
+
+const PERSONA_DEFAULTS = {
+  description: '',
+  systemPrompt: '',
+  greetings: [],
+  model: {},
+  voice: {},
+  bodyColor: '#00ff00',
+  language: '',
+  history: 'keep'
+};
+
+export class PersonaManager {
+  constructor(config = {}) {
+    this.config = {
+      personas: config.personas || personaConfig.personas,
+      defaultPersona: config.defaultPersona || personaConfig.defaultPersona,
+      persist: config.persist !== false,
+      ...config
+    };
+
+    this.personas = new Map();
+    this.activeId = null;
+    this.listeners = {};
+
+    this.config.personas.forEach(persona => this.register(persona));
+    this.activeId = this.loadSavedId() || this.config.defaultPersona;
+    if (!this.personas.has(this.activeId)) {
+      this.activeId = this.personas.keys().next().value || null;
+    }
+  }
+
+  /**
+   * Add or replace a persona
+   */
+  register(persona) {
+    if (!persona?.id || !persona.name) {
+      console.warn('[PersonaManager] Ignoring persona without id/name:', persona);
+      return false;
+    }
+
+    this.personas.set(persona.id, { ...PERSONA_DEFAULTS, ...persona });
+    return true;
+  }
+
+  /**
+   * Get persona by id
+   */
+  get(id) {
+    return this.personas.get(id) || null;
+  }
+
+  /**
+   * List personas for selection UIs
+   */
+  list() {
+    return Array.from(this.personas.values());
+  }
+
+  /**
+   * Get the active persona
+   */
+  getActive() {
+    return this.get(this.activeId);
+  }
+
+  /**
+   * Switch the active persona
+   */
+  setActive(id) {
+    const persona = this.get(id);
+    if (!persona) {
+      console.warn(`[PersonaManager] Unknown persona: ${id}`);
+      return false;
+    }
+    if (id === this.activeId) return true;
+
+    const previous = this.getActive();
+    this.activeId = id;
+    this.saveId(id);
+
+    console.log(`[PersonaManager] Active persona: ${persona.name}`);
+    this.emit('personaChange', { persona, previous });
+    return true;
+  }
+
+  /**
+   * Read the persona chosen in a previous visit
+   */
+  loadSavedId() {
+    if (!this.config.persist) return null;
+    try {
+      return localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Remember the chosen persona for the next visit
+   */
+  saveId(id) {
+    if (!this.config.persist) return;
+    try {
+      localStorage.setItem(STORAGE_KEY, id);
+    } catch (error) {
+      console.warn('[PersonaManager] Could not save persona:', error.message);
+    }
+  }
+
+  /**
+   * Event emitter methods
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`[PersonaManager] Error in event listener for '${event}':`, error);
+        }
+      });
+    }
+  }
+}
+
+export default PersonaManager;
@@ -0,0 +1,159 @@
+/**
+ * Response Parser - Structured LLM replies that drive the puppet
+ * The model answers with JSON holding the reply text plus emotion, animation
+ * and an optional gesture sequence; plain-text answers are still accepted.
+ */
+
+import { ANIMATION_CONFIG } from '../config/constants.js';
+
+const MAX_GESTURES = 3;
+const MAX_GESTURE_DURATION = 5000;
+
+/**
+ * Instructions appended to the system prompt when structured replies are enabled
+ * language names the reply language; without it the model follows the user's language
+ */
+export function buildStructuredInstructions({ language = null } = {}) {
+  const animations = ANIMATION_CONFIG.animationStates.join(', ');
+  const emotions = ANIMATION_CONFIG.emotions.join(', ');
+
+  return [
+    'Always answer with a single JSON object and nothing else, in this shape:',
+    '{"reply": "<what you say to the user>", "emotion": "<emotion>", "animation": "<animation>", "gestures": [{"animation": "<animation>", "duration": <ms>}]}',
+    `emotion is one of: ${emotions}.`,
+    `animation and gesture animations are one of: ${animations}.`,
+    `gestures is optional and holds at most ${MAX_GESTURES} short steps played in order while you speak.`,
+    language
+      ? `Write the reply in ${language} unless the user asks for another language, and do not put JSON or markdown inside it.`
+      : 'Write the reply in the user\'s language and do not put JSON or markdown inside it.'
+  ].join('\n');
+}
+
+/**
+ * Strip markdown code fences some models wrap around JSON
+ */
+function stripCodeFence(text) {
+  return text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+}
+
+/**
+ * Validate a gesture step, returning null for unknown animations
+ */
+function normalizeGesture(gesture) {
+  const step = typeof gesture === 'string' ? { animation: gesture } : gesture;
+  if (!step || !ANIMATION_CONFIG.animationStates.includes(step.animation)) return null;
+
+  const duration = Number(step.duration);
+  return {
+    animation: step.animation,
+    duration: Number.isFinite(duration) && duration > 0
+      ? Math.min(duration, MAX_GESTURE_DURATION)
+      : ANIMATION_CONFIG.defaultDuration
+  };
+}
+
+/**
+ * Plain-text reply with neutral defaults
+ */
+function plainResponse(text) {
+  return {
+    text: text.trim(),
+    emotion: 'neutral',
+    animation: 'talking',
+    gestures: [],
+    structured: false
+  };
+}
+
+/**
+ * Parse and validate a complete reply
+ */
+export function parseStructuredResponse(raw = '') {
+  const cleaned = stripCodeFence(raw);
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    return plainResponse(raw);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(cleaned.slice(start, end + 1));
+  } catch (error) {
+    console.warn('[ResponseParser] Reply is not valid JSON, using plain text');
+    return plainResponse(raw);
+  }
+
+  const reply = data.reply ?? data.text ?? data.message;
+  if (typeof reply !== 'string' || !reply.trim()) {
+    return plainResponse(raw);
+  }
+
+  const emotion = ANIMATION_CONFIG.emotions.includes(data.emotion) ? data.emotion : 'neutral';
+  const animation = ANIMATION_CONFIG.animationStates.includes(data.animation)
+    ? data.animation
+    : ANIMATION_CONFIG.emotionAnimations[emotion] || 'talking';
+  const gestures = (Array.isArray(data.gestures) ? data.gestures : [])
+    .map(normalizeGesture)
+    .filter(Boolean)
+    .slice(0, MAX_GESTURES);
+
+  return {
+    text: reply.trim(),
+    emotion,
+    animation,
+    gestures,
+    structured: true
+  };
+}
+
+/**
+ * Extract the reply text from a partially streamed JSON reply, so the chat
+ * can show words while the rest of the object is still arriving.
+ * Text that does not look like JSON is returned unchanged.
+ */
+export function extractPartialReply(buffer = '') {
+  const trimmed = buffer.trimStart();
+  if (!trimmed) return '';
+
+  // Wait until a code fence has shown what follows it
+  if (trimmed.startsWith('`')) {
+    const body = trimmed.replace(/^`{1,3}(?:json)?\s*/i, '');
+    if (!body) return '';
+    if (!body.startsWith('{')) return buffer;
+    return extractPartialReply(body);
+  }
+
+  if (!trimmed.startsWith('{')) return buffer;
+
+  const keyMatch = /"(?:reply|text|message)"\s*:\s*"/.exec(trimmed);
+  if (!keyMatch) return '';
+
+  let text = '';
+  for (let i = keyMatch.index + keyMatch[0].length; i < trimmed.length; i++) {
+    const char = trimmed[i];
+    if (char === '"') break;
+    if (char !== '\\') {
+      text += char;
+      continue;
+    }
+
+    // Escape sequence - stop if it has not fully arrived yet
+    const next = trimmed[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = trimmed.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      text += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      text += { n: '\n', t: '\t', r: '', b: '', f: '' }[next] ?? next;
+      i += 1;
+    }
+  }
+
+  return text;
+}
+
+export default parseStructuredResponse;
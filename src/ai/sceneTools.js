@@ -0,0 +1,181 @@
+/**
+ * Scene Tools - Puppet and scene controls exposed to the LLM
+ * The camera sits at z = 3 looking down -z; the puppet starts around z = -2
+ */
+
+import { ANIMATION_CONFIG, PUPPET_LIMITS } from '../config/constants.js';
+
+const POSITION_LIMITS = PUPPET_LIMITS.position;
+const SCALE_LIMITS = PUPPET_LIMITS.scale;
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Snapshot of the puppet transform in tool-friendly units
+ */
+function describePuppet(puppetModel) {
+  const schema = puppetModel.getSchema();
+  const activeAnimation = Object.keys(schema.animationStates)
+    .find(name => schema.animationStates[name]) || 'idle';
+
+  return {
+    position: {
+      x: round(schema.position.x),
+      y: round(schema.position.y),
+      z: round(schema.position.z)
+    },
+    rotationDegrees: {
+      pitch: round(schema.rotation.x * RAD_TO_DEG),
+      yaw: round(schema.rotation.y * RAD_TO_DEG)
+    },
+    scale: round(schema.scale),
+    animation: activeAnimation
+  };
+}
+
+/**
+ * Build the scene tool definitions
+ * context: { puppetModel, setBackgroundColor(color) }
+ */
+export function createSceneTools({ puppetModel, setBackgroundColor }) {
+  const tools = [
+    {
+      name: 'get_puppet_state',
+      description: 'Get the robot\'s current position (metres), rotation (degrees), scale and animation. '
+        + 'Use before relative changes if unsure where the robot is.',
+      parameters: { type: 'object', properties: {}, additionalProperties: false },
+      handler: () => describePuppet(puppetModel)
+    },
+    {
+      name: 'move_puppet',
+      description: 'Move the robot (yourself). Units are metres. The user is at z = 3, so increasing z moves '
+        + 'closer to the user and decreasing z moves away; x is left/right, y is up/down. '
+        + 'With relative=true the values are offsets from the current position.',
+      parameters: {
+        type: 'object',
+        properties: {
+          x: { type: 'number', description: 'Left (-) / right (+)' },
+          y: { type: 'number', description: 'Down (-) / up (+)' },
+          z: { type: 'number', description: 'Away (-) / towards the user (+)' },
+          relative: { type: 'boolean', description: 'Treat values as offsets (default false)' },
+          duration: { type: 'number', minimum: 0, maximum: 5000, description: 'Move time in ms (default 800)' }
+        },
+        additionalProperties: false
+      },
+      handler: async ({ x, y, z, relative = false, duration = 800 }) => {
+        const current = puppetModel.getSchema().position;
+        const resolve = (axis, value) => clamp(
+          value === undefined ? current[axis] : (relative ? current[axis] + value : value),
+          POSITION_LIMITS[axis]
+        );
+
+        await puppetModel.transitionTo({
+          position: { x: resolve('x', x), y: resolve('y', y), z: resolve('z', z) }
+        }, duration);
+        return describePuppet(puppetModel);
+      }
+    },
+    {
+      name: 'scale_puppet',
+      description: `Resize the robot. 1 is normal size, allowed range ${SCALE_LIMITS[0]} to ${SCALE_LIMITS[1]}.`,
+      parameters: {
+        type: 'object',
+        properties: {
+          scale: { type: 'number', minimum: SCALE_LIMITS[0], maximum: SCALE_LIMITS[1] },
+          duration: { type: 'number', minimum: 0, maximum: 5000 }
+        },
+        required: ['scale'],
+        additionalProperties: false
+      },
+      handler: async ({ scale, duration = 600 }) => {
+        await puppetModel.transitionTo({ scale }, duration);
+        return describePuppet(puppetModel);
+      }
+    },
+    {
+      name: 'rotate_puppet',
+      description: 'Turn the robot. yaw turns left/right around the vertical axis, pitch tilts forward/back. '
+        + 'Degrees. Use relative=true with yaw=360 to spin around once.',
+      parameters: {
+        type: 'object',
+        properties: {
+          yaw: { type: 'number', description: 'Degrees around the vertical axis' },
+          pitch: { type: 'number', minimum: -45, maximum: 45, description: 'Degrees of forward tilt' },
+          relative: { type: 'boolean', description: 'Treat values as offsets (default false)' },
+          duration: { type: 'number', minimum: 0, maximum: 10000, description: 'Turn time in ms (default 1000)' }
+        },
+        additionalProperties: false
+      },
+      handler: async ({ yaw, pitch, relative = false, duration = 1000 }) => {
+        const current = puppetModel.getSchema().rotation;
+        const rotation = {};
+        if (yaw !== undefined) {
+          rotation.y = (relative ? current.y : 0) + yaw * DEG_TO_RAD;
+        }
+        if (pitch !== undefined) {
+          rotation.x = (relative ? current.x : 0) + pitch * DEG_TO_RAD;
+        }
+
+        await puppetModel.transitionTo({ rotation }, duration);
+
+        // Keep yaw within one turn so later relative turns stay predictable
+        const { x, y, z } = puppetModel.getSchema().rotation;
+        puppetModel.updateRotation(x, Math.atan2(Math.sin(y), Math.cos(y)), z);
+        return describePuppet(puppetModel);
+      }
+    },
+    {
+      name: 'play_animation',
+      description: 'Play one of the robot\'s animations.',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', enum: ANIMATION_CONFIG.animationStates }
+        },
+        required: ['name'],
+        additionalProperties: false
+      },
+      handler: async ({ name }) => {
+        const played = await puppetModel.playAnimation(name);
+        return { animation: name, played };
+      }
+    },
+    {
+      name: 'stop_animation',
+      description: 'Stop the robot\'s current animation.',
+      parameters: { type: 'object', properties: {}, additionalProperties: false },
+      handler: () => ({ stopped: puppetModel.stopAnimation() })
+    }
+  ];
+
+  if (setBackgroundColor) {
+    tools.push({
+      name: 'set_background_color',
+      description: 'Change the scene background colour. Accepts a CSS colour name (e.g. "skyblue") or hex code (e.g. "#ff8800").',
+      parameters: {
+        type: 'object',
+        properties: {
+          color: { type: 'string' }
+        },
+        required: ['color'],
+        additionalProperties: false
+      },
+      handler: ({ color }) => ({ color: setBackgroundColor(color) })
+    });
+  }
+
+  return tools;
+}
+
+/**
+ * Register the scene tools on a ToolRegistry
+ */
+export function registerSceneTools(registry, context) {
+  createSceneTools(context).forEach(tool => registry.register(tool));
+  return registry;
+}
+
+export default createSceneTools;
@@ -0,0 +1,197 @@
+/**
+ * Skit Director - Two cast members talk to each other for a number of turns
+ * Each turn the speaker's own conversation engine is asked for its next line, given what
+ * the other puppet just said, so both keep their persona, model and memory. The stage
+ * directions go to a per-skit history that is dropped at the end, so they never show up
+ * as user turns in the puppets' conversations with the user.
+ *   skit    a short scene on the user's topic
+ *   debate  the first puppet argues for the topic, the second against
+ *
+ * Started from the chat with "/skit [turns] topic" or "/debate [turns] topic".
+ *
+ * Events: start ({ mode, topic, turns, members }), turn ({ turn, speaker, listener }),
+ *         line ({ turn, speaker, text }), end ({ reason: finished | stopped | failed, turns })
+ */
+
+import { CAST_CONFIG } from '../config/constants.js';
+
+const SKIT_COMMAND = /^\/(skit|debate)\b\s*(\d+)?\s*(.*)$/is;
+
+const PROMPTS = {
+  skit: {
+    intro: (other, topic) => `You are performing a short, light-hearted skit with ${other} in front of an audience. `
+      + `The topic is: "${topic}". Stay in character and speak directly to ${other}.`,
+    opening: () => 'Open the scene with your first line.',
+    closing: 'This is your last line - bring the scene to a fun close.'
+  },
+  debate: {
+    intro: (other, topic, side) => `You are debating ${other} in front of an audience on: "${topic}". `
+      + `You argue ${side}. Stay in character, be witty and respectful, and speak directly to ${other}.`,
+    opening: () => 'Open the debate with your first argument.',
+    closing: 'This is your last turn - sum up your side in one closing remark.'
+  }
+};
+const DEBATE_SIDES = ['for it', 'against it'];
+const LINE_LENGTH = 'Answer with one or two spoken sentences.';
+
+/**
+ * Parse "/skit 6 pizza versus tacos"; returns { mode, turns, topic } or null for other messages
+ */
+export function parseSkitCommand(text) {
+  const match = text.trim().match(SKIT_COMMAND);
+  if (!match) return null;
+
+  return {
+    mode: match[1].toLowerCase(),
+    turns: match[2] ? Number(match[2]) : null,
+    topic: match[3].trim()
+  };
+}
+
+export class SkitDirector {
+  constructor(config = {}) {
+    this.config = {
+      turns: config.turns || CAST_CONFIG.skitTurns,
+      maxTurns: config.maxTurns || CAST_CONFIG.maxSkitTurns,
+      // Resolves when the audience has heard a line (spoken or read) and the next may start
+      waitForLine: config.waitForLine || (() => Promise.resolve()),
+      ...config
+    };
+
+    this.current = null; // { mode, topic, members, stopped }
+    this.listeners = {};
+  }
+
+  get running() {
+    return Boolean(this.current);
+  }
+
+  /**
+   * Play a skit between members [first, second]; first speaks first
+   * Resolves with the number of lines performed
+   */
+  async run({ members, topic, mode = 'skit', turns = null }) {
+    if (this.current) {
+      throw new Error('A skit is already running');
+    }
+    if (!PROMPTS[mode]) {
+      throw new Error(`Unknown skit mode: ${mode}`);
+    }
+    if (members?.length !== 2 || members[0] === members[1]) {
+      throw new Error('A skit needs two different puppets');
+    }
+
+    const total = Math.min(this.config.maxTurns, Math.max(1, turns || this.config.turns));
+    const skit = { mode, topic, members, stopped: false };
+    const scenes = new Map(members.map(member => [member, { history: [] }]));
+    this.current = skit;
+
+    console.log(`[SkitDirector] ${mode} on "${topic}" for ${total} turns`);
+    this.emit('start', { mode, topic, turns: total, members });
+
+    let performed = 0;
+    let reason = 'finished';
+    let lastLine = null;
+
+    try {
+      for (let turn = 0; turn < total; turn++) {
+        const speaker = members[turn % 2];
+        const listener = members[(turn + 1) % 2];
+        this.emit('turn', { turn, speaker, listener });
+
+        const prompt = this.buildPrompt(skit, { turn, total, speaker, listener, lastLine });
+        const text = await speaker.engine.sendSceneMessage(prompt, scenes.get(speaker));
+        if (skit.stopped) break;
+        if (!text) {
+          reason = 'failed';
+          break;
+        }
+
+        performed++;
+        lastLine = text;
+        this.emit('line', { turn, speaker, text });
+
+        await this.config.waitForLine(speaker, text);
+        if (skit.stopped) break;
+      }
+    } finally {
+      if (skit.stopped) reason = 'stopped';
+      this.current = null;
+      console.log(`[SkitDirector] Skit ${reason} after ${performed} lines`);
+      this.emit('end', { reason, turns: performed, members });
+    }
+
+    return performed;
+  }
+
+  /**
+   * Message sent to the speaker's engine for its next line
+   */
+  buildPrompt({ mode, topic }, { turn, total, speaker, listener, lastLine }) {
+    const prompts = PROMPTS[mode];
+    const other = listener.persona?.name || 'your partner';
+    const parts = [];
+
+    // Each puppet hears the setup before its own first line
+    if (turn < 2) {
+      parts.push(prompts.intro(other, topic, DEBATE_SIDES[turn]));
+    }
+    parts.push(lastLine ? `${other} says: "${lastLine}"\nReply with your next line.` : prompts.opening());
+    if (turn === total - 1) {
+      parts.push(prompts.closing);
+    }
+    parts.push(LINE_LENGTH);
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Stop the running skit; the line being generated is cancelled
+   */
+  stop() {
+    const skit = this.current;
+    if (!skit || skit.stopped) return false;
+
+    skit.stopped = true;
+    skit.members.forEach(member => member.engine?.cancel());
+    return true;
+  }
+
+  /**
+   * Event emitter methods
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`[SkitDirector] Error in event listener for '${event}':`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Cleanup
+   */
+  dispose() {
+    this.stop();
+    this.listeners = {};
+  }
+}
+
+export default SkitDirector;
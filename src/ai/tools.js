@@ -0,0 +1,132 @@
+/**
+ * Tool Registry - Functions the LLM can call to act on the app
+ * Tools are described with JSON schema and converted to each provider's format
+ * by the providers themselves
+ */
+
+/**
+ * Check arguments against a tool's JSON schema (types, enums, ranges, required)
+ * Returns a list of problems, empty when valid
+ */
+export function validateArguments(schema = {}, args = {}) {
+  const errors = [];
+  const properties = schema.properties || {};
+
+  (schema.required || []).forEach(key => {
+    if (args[key] === undefined) errors.push(`missing required argument '${key}'`);
+  });
+
+  Object.entries(args).forEach(([key, value]) => {
+    const property = properties[key];
+    if (!property) {
+      if (schema.additionalProperties === false) errors.push(`unknown argument '${key}'`);
+      return;
+    }
+
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    const expectedType = property.type === 'integer' ? 'number' : property.type;
+    if (expectedType && actualType !== expectedType) {
+      errors.push(`'${key}' should be ${property.type}, got ${actualType}`);
+      return;
+    }
+    if (property.type === 'integer' && !Number.isInteger(value)) {
+      errors.push(`'${key}' should be an integer`);
+    }
+    if (property.enum && !property.enum.includes(value)) {
+      errors.push(`'${key}' should be one of ${property.enum.join(', ')}`);
+    }
+    if (property.minimum !== undefined && value < property.minimum) {
+      errors.push(`'${key}' should be >= ${property.minimum}`);
+    }
+    if (property.maximum !== undefined && value > property.maximum) {
+      errors.push(`'${key}' should be <= ${property.maximum}`);
+    }
+  });
+
+  return errors;
+}
+
+export class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Register a tool: { name, description, parameters, handler }
+   * handler(args) may be async and returns a JSON-serializable result
+   */
+  register(tool) {
+    if (!tool?.name || typeof tool.handler !== 'function') {
+      throw new Error('Invalid tool: name and handler are required');
+    }
+    if (!/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) {
+      throw new Error(`Invalid tool name: ${tool.name}`);
+    }
+
+    this.tools.set(tool.name, {
+      description: '',
+      parameters: { type: 'object', properties: {} },
+      ...tool
+    });
+    return true;
+  }
+
+  /**
+   * Remove a tool
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * Look up a tool
+   */
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  /**
+   * Number of registered tools
+   */
+  get size() {
+    return this.tools.size;
+  }
+
+  /**
+   * Provider-neutral tool definitions sent with each request
+   */
+  getDefinitions() {
+    return Array.from(this.tools.values()).map(({ name, description, parameters }) => ({
+      name,
+      description,
+      parameters
+    }));
+  }
+
+  /**
+   * Run a tool call { id, name, arguments } and report the outcome
+   * Failures are returned, not thrown, so the model can see and recover from them
+   */
+  async execute(call) {
+    const tool = this.get(call.name);
+    if (!tool) {
+      return { ...call, success: false, error: `Unknown tool: ${call.name}` };
+    }
+
+    const args = call.arguments || {};
+    const problems = validateArguments(tool.parameters, args);
+    if (problems.length > 0) {
+      return { ...call, success: false, error: `Invalid arguments: ${problems.join('; ')}` };
+    }
+
+    try {
+      const result = await tool.handler(args);
+      return { ...call, success: true, result: result ?? { ok: true } };
+    } catch (error) {
+      console.error(`[ToolRegistry] Tool '${call.name}' failed:`, error);
+      return { ...call, success: false, error: error.message };
+    }
+  }
+}
+
+export default ToolRegistry;
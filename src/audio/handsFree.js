@@ -0,0 +1,331 @@
+/**
+ * Hands-free Listener - Continuous voice conversation without pressing a button
+ * Keeps speech recognition running, reports interim transcripts, ends an utterance
+ * after a stretch of silence and can wait for a wake phrase ("hey robot") first.
+ *
+ * States: off, listening, waiting (for the wake phrase), paused (robot talking)
+ * Events: stateChange { state }, interim { text }, utterance { text }, wake, error
+ */
+
+import { DEFAULT_CONFIG } from '../config/constants.js';
+
+// Errors after which restarting is pointless
+const FATAL_ERRORS = ['not-allowed', 'service-not-allowed', 'audio-capture'];
+
+/**
+ * Lowercase and strip punctuation so "Hey, Robot!" matches "hey robot"
+ */
+function normalizePhrase(text = '') {
+  return text
+    .toLowerCase()
+    .replace(/[\p{P}\p{S}]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export class HandsFreeListener {
+  constructor(config = {}) {
+    this.config = {
+      lang: config.lang || DEFAULT_CONFIG.language,
+      wakePhrase: config.wakePhrase ?? DEFAULT_CONFIG.wakePhrase, // empty = always listening
+      silenceTimeout: config.silenceTimeout || DEFAULT_CONFIG.voiceSilenceTimeout, // ms of quiet ending an utterance
+      wakeTimeout: config.wakeTimeout || 8000, // how long a wake phrase keeps the robot listening
+      restartDelay: config.restartDelay || 250,
+      ...config
+    };
+
+    this.recognition = null;
+    this.state = 'off';
+    this.active = false;
+    this.paused = false;
+    this.awake = false;
+    this.transcript = '';
+    this.silenceTimer = null;
+    this.wakeTimer = null;
+    this.restartTimer = null;
+    this.listeners = {};
+  }
+
+  /**
+   * Whether the browser offers speech recognition
+   */
+  static isSupported() {
+    return typeof window !== 'undefined'
+      && Boolean(window.SpeechRecognition || window.webkitSpeechRecognition);
+  }
+
+  /**
+   * Start hands-free listening
+   */
+  start() {
+    if (this.active) return true;
+    if (!HandsFreeListener.isSupported()) {
+      this.emit('error', { error: 'unsupported', message: 'Speech recognition is not supported in this browser' });
+      return false;
+    }
+
+    this.active = true;
+    this.paused = false;
+    this.awake = !this.config.wakePhrase;
+    this.startRecognition();
+    return true;
+  }
+
+  /**
+   * Stop listening completely
+   */
+  stop() {
+    this.active = false;
+    this.paused = false;
+    this.clearTimers();
+    this.stopRecognition();
+    this.transcript = '';
+    this.setState('off');
+  }
+
+  /**
+   * Stop listening for a while (e.g. while the robot is speaking) without leaving hands-free mode
+   */
+  pause() {
+    if (!this.active || this.paused) return;
+
+    this.paused = true;
+    this.clearTimers();
+    this.transcript = '';
+    this.emit('interim', { text: '' });
+    this.stopRecognition();
+    this.setState('paused');
+  }
+
+  /**
+   * Continue listening after pause()
+   */
+  resume() {
+    if (!this.active || !this.paused) return;
+
+    this.paused = false;
+    this.scheduleRestart();
+  }
+
+  /**
+   * Change the recognition language; applied on the next restart
+   */
+  setLanguage(lang) {
+    this.config.lang = lang;
+    if (this.recognition) {
+      // Restart so the new language takes effect right away
+      this.stopRecognition();
+      this.scheduleRestart();
+    }
+  }
+
+  /**
+   * Change or clear the wake phrase
+   */
+  setWakePhrase(phrase = '') {
+    this.config.wakePhrase = phrase;
+    this.awake = !phrase;
+    if (this.active && !this.paused) {
+      this.setState(this.awake ? 'listening' : 'waiting');
+    }
+  }
+
+  /**
+   * Create and start a recognition session
+   */
+  startRecognition() {
+    if (!this.active || this.paused || this.recognition) return;
+
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    const recognition = new SpeechRecognition();
+    recognition.lang = this.config.lang;
+    recognition.continuous = true;
+    recognition.interimResults = true;
+
+    recognition.onresult = (event) => {
+      if (recognition !== this.recognition) return;
+
+      this.transcript = Array.from(event.results)
+        .map(result => result[0].transcript)
+        .join('')
+        .trim();
+
+      // Only show what is meant for the robot
+      if (this.awake) {
+        this.emit('interim', { text: this.transcript });
+      }
+
+      clearTimeout(this.silenceTimer);
+      this.silenceTimer = setTimeout(() => this.finishUtterance(), this.config.silenceTimeout);
+    };
+
+    recognition.onerror = (event) => {
+      if (event.error === 'no-speech' || event.error === 'aborted') return;
+
+      console.warn('[HandsFreeListener] Recognition error:', event.error);
+      if (FATAL_ERRORS.includes(event.error)) {
+        this.emit('error', { error: event.error, message: `Voice input unavailable: ${event.error}` });
+        this.stop();
+      }
+    };
+
+    recognition.onend = () => {
+      if (recognition !== this.recognition) return;
+      this.recognition = null;
+      // Browsers end continuous sessions on their own after a while - keep going
+      this.scheduleRestart();
+    };
+
+    this.recognition = recognition;
+    try {
+      recognition.start();
+      this.setState(this.awake ? 'listening' : 'waiting');
+    } catch (error) {
+      console.warn('[HandsFreeListener] Could not start recognition:', error.message);
+      this.recognition = null;
+      this.scheduleRestart();
+    }
+  }
+
+  /**
+   * Abort the running session, discarding results still in flight
+   */
+  stopRecognition() {
+    clearTimeout(this.restartTimer);
+    const recognition = this.recognition;
+    this.recognition = null;
+    if (recognition) {
+      recognition.abort();
+    }
+  }
+
+  scheduleRestart() {
+    clearTimeout(this.restartTimer);
+    if (!this.active || this.paused) return;
+    this.restartTimer = setTimeout(() => this.startRecognition(), this.config.restartDelay);
+  }
+
+  /**
+   * Silence after speech - hand over the utterance
+   */
+  finishUtterance() {
+    const text = this.transcript;
+    this.transcript = '';
+
+    // Start a fresh session so the next utterance doesn't include this one
+    this.stopRecognition();
+    this.scheduleRestart();
+
+    if (!text) return;
+
+    if (this.awake) {
+      this.deliver(this.config.wakePhrase ? this.stripWakePhrase(text) : text);
+      return;
+    }
+
+    const command = this.matchWakePhrase(text);
+    if (command === null) return;
+
+    console.log('[HandsFreeListener] Wake phrase heard');
+    this.emit('wake');
+    if (command) {
+      this.deliver(command);
+    } else {
+      this.setAwake(true);
+    }
+  }
+
+  /**
+   * Emit a finished utterance; with a wake phrase the robot goes back to waiting
+   */
+  deliver(text) {
+    this.emit('interim', { text: '' });
+    if (text) {
+      this.emit('utterance', { text });
+    }
+    if (this.config.wakePhrase) {
+      this.setAwake(false);
+    }
+  }
+
+  /**
+   * Words following the wake phrase, '' when it stood alone, null when it was not said
+   */
+  matchWakePhrase(text) {
+    const phrase = normalizePhrase(this.config.wakePhrase);
+    const spoken = normalizePhrase(text);
+    const index = spoken.indexOf(phrase);
+    if (!phrase || index === -1) return null;
+    return spoken.slice(index + phrase.length).trim();
+  }
+
+  /**
+   * Drop a repeated wake phrase from a command ("hey robot, hey robot what time is it")
+   */
+  stripWakePhrase(text) {
+    const command = this.matchWakePhrase(text);
+    return command === null ? text : command;
+  }
+
+  setAwake(awake) {
+    clearTimeout(this.wakeTimer);
+    this.awake = awake || !this.config.wakePhrase;
+
+    if (awake && this.config.wakePhrase) {
+      this.wakeTimer = setTimeout(() => this.setAwake(false), this.config.wakeTimeout);
+    }
+    if (this.active && !this.paused) {
+      this.setState(this.awake ? 'listening' : 'waiting');
+    }
+  }
+
+  clearTimers() {
+    clearTimeout(this.silenceTimer);
+    clearTimeout(this.wakeTimer);
+    clearTimeout(this.restartTimer);
+  }
+
+  setState(state) {
+    if (state === this.state) return;
+    this.state = state;
+    this.emit('stateChange', { state });
+  }
+
+  /**
+   * Event emitter methods
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`[HandsFreeListener] Error in event listener for '${event}':`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Cleanup
+   */
+  dispose() {
+    this.stop();
+    this.listeners = {};
+  }
+}
+
+export default HandsFreeListener;
@@ -0,0 +1,83 @@
+/**
+ * Audio Level Meter - Microphone loudness from a MediaStream
+ * Reports an RMS level between 0 and 1 at a fixed interval
+ */
+
+export class AudioLevelMeter {
+  constructor(config = {}) {
+    this.config = {
+      interval: config.interval || 50, // ms between level reports
+      smoothing: config.smoothing ?? 0.6, // 0 = raw, closer to 1 = smoother
+      gain: config.gain || 4, // speech RMS is small; scale it up for display
+      ...config
+    };
+
+    this.context = null;
+    this.source = null;
+    this.analyser = null;
+    this.samples = null;
+    this.timer = null;
+    this.level = 0;
+    this.peak = 0;
+    this.onLevel = null;
+  }
+
+  /**
+   * Start measuring a stream; onLevel(level) is called every interval
+   */
+  start(stream, onLevel = () => {}) {
+    this.stop();
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return false;
+
+    this.context = new AudioContextClass();
+    this.source = this.context.createMediaStreamSource(stream);
+    this.analyser = this.context.createAnalyser();
+    this.analyser.fftSize = 1024;
+    this.samples = new Float32Array(this.analyser.fftSize);
+    this.source.connect(this.analyser);
+    this.onLevel = onLevel;
+    this.level = 0;
+    this.peak = 0;
+
+    this.timer = setInterval(() => this.measure(), this.config.interval);
+    return true;
+  }
+
+  /**
+   * Current RMS level of the stream, smoothed
+   */
+  measure() {
+    if (!this.analyser) return 0;
+
+    this.analyser.getFloatTimeDomainData(this.samples);
+    let sum = 0;
+    for (let i = 0; i < this.samples.length; i++) {
+      sum += this.samples[i] * this.samples[i];
+    }
+    const rms = Math.sqrt(sum / this.samples.length);
+    const level = Math.min(1, rms * this.config.gain);
+
+    this.level = this.config.smoothing * this.level + (1 - this.config.smoothing) * level;
+    this.peak = Math.max(this.peak, level);
+    this.onLevel?.(this.level);
+    return this.level;
+  }
+
+  /**
+   * Stop measuring and release the audio graph (the stream itself is left alone)
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.source?.disconnect();
+    this.context?.close().catch(() => {});
+    this.context = null;
+    this.source = null;
+    this.analyser = null;
+    this.onLevel = null;
+  }
+}
+
+export default AudioLevelMeter;
@@ -0,0 +1,550 @@
+/**
+ * Speech Output - Speaks robot replies aloud
+ * Uses the Web Speech speechSynthesis API by default; other engines plug in as backends
+ *
+ * Backend contract:
+ *   name                 unique id used in config (e.g. 'browser')
+ *   isSupported()        whether the backend can run here
+ *   speak(text, voice, handlers) -> Promise resolved when speaking ends
+ *       voice:    { name?, lang?, rate?, pitch?, volume? }
+ *       handlers: { onStart({ audio? }), onBoundary({ charIndex, charLength, elapsedTime }) }
+ *       audio is the playing HTMLAudioElement when there is one (for lip sync)
+ *   cancel()             stop immediately; the pending speak() promise resolves
+ *   getVoices()          optional list of { name, lang }
+ *
+ * Events: speechStart { id, text, audio }, speechAudio { id, audio } (every chunk played
+ *         from an audio element, for lip sync), speechBoundary { id, charIndex, charLength,
+ *         word, elapsedTime }, speechEnd { id, text, interrupted }, idle (nothing left to
+ *         say), muteChange, error
+ */
+
+import { SPEECH_CONFIG, DEFAULT_CONFIG } from '../config/constants.js';
+
+const MUTE_STORAGE_KEY = 'arbot_muted';
+
+// Emoji and markdown markers would be read out literally
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}\p{Emoji_Modifier}\u{FE0F}\u{200D}]/gu;
+const MARKDOWN_PATTERN = /[*_`#>~]/g;
+
+const speechBackends = new Map();
+
+/**
+ * Register a speech backend factory: (config) => backend
+ */
+export function registerSpeechBackend(name, factory) {
+  speechBackends.set(name, factory);
+  return true;
+}
+
+/**
+ * Create a registered backend
+ */
+export function createSpeechBackend(name, config = {}) {
+  const factory = speechBackends.get(name);
+  return factory ? factory(config) : null;
+}
+
+/**
+ * Clean reply text for speaking
+ */
+export function prepareSpeechText(text = '') {
+  return text
+    .replace(EMOJI_PATTERN, '')
+    .replace(MARKDOWN_PATTERN, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split text into sentence-aligned chunks of at most maxLength characters
+ * Returns [{ text, offset }] with offsets into the original text
+ */
+export function splitSpeechText(text, maxLength = SPEECH_CONFIG.maxChunkLength) {
+  const sentences = text.match(/[^.!?。！？;；\n]+[.!?。！？;；\n]*\s*/g) || [text];
+  const chunks = [];
+  let current = '';
+  let offset = 0;
+  let chunkOffset = 0;
+
+  sentences.forEach(sentence => {
+    if (current && current.length + sentence.length > maxLength) {
+      chunks.push({ text: current, offset: chunkOffset });
+      chunkOffset = offset;
+      current = '';
+    }
+
+    // A single sentence longer than the limit is cut at the last space (or hard cut for CJK)
+    let rest = sentence;
+    while (rest.length > maxLength) {
+      const cut = rest.lastIndexOf(' ', maxLength) > 0 ? rest.lastIndexOf(' ', maxLength) : maxLength;
+      chunks.push({ text: current + rest.slice(0, cut), offset: chunkOffset });
+      chunkOffset = offset + cut;
+      offset += cut;
+      rest = rest.slice(cut);
+      current = '';
+    }
+
+    current += rest;
+    offset += rest.length;
+  });
+
+  if (current.trim()) {
+    chunks.push({ text: current, offset: chunkOffset });
+  }
+  return chunks.filter(chunk => chunk.text.trim());
+}
+
+/**
+ * Web Speech API backend
+ */
+function createBrowserBackend() {
+  const synth = typeof window !== 'undefined' ? window.speechSynthesis : null;
+  let voices = [];
+  let resolveCurrent = null;
+
+  const loadVoices = () => {
+    voices = synth ? synth.getVoices() : [];
+  };
+  if (synth) {
+    loadVoices();
+    // Chrome loads voices asynchronously
+    synth.addEventListener?.('voiceschanged', loadVoices);
+  }
+
+  /**
+   * Pick a system voice: exact name, then language, then language family
+   */
+  const findVoice = ({ name, lang } = {}) => {
+    if (voices.length === 0) loadVoices();
+    if (name) {
+      const named = voices.find(voice => voice.name === name);
+      if (named) return named;
+    }
+    if (!lang) return null;
+
+    const normalized = lang.toLowerCase().replace('_', '-');
+    return voices.find(voice => voice.lang.toLowerCase().replace('_', '-') === normalized)
+      || voices.find(voice => voice.lang.toLowerCase().startsWith(normalized.split('-')[0]))
+      || null;
+  };
+
+  return {
+    name: 'browser',
+
+    isSupported() {
+      return Boolean(synth && typeof SpeechSynthesisUtterance !== 'undefined');
+    },
+
+    getVoices() {
+      if (voices.length === 0) loadVoices();
+      return voices.map(voice => ({ name: voice.name, lang: voice.lang }));
+    },
+
+    speak(text, voice = {}, { onStart = () => {}, onBoundary = () => {} } = {}) {
+      return new Promise((resolve, reject) => {
+        const utterance = new SpeechSynthesisUtterance(text);
+        const systemVoice = findVoice(voice);
+        if (systemVoice) utterance.voice = systemVoice;
+        utterance.lang = voice.lang || systemVoice?.lang || '';
+        utterance.rate = voice.rate ?? 1;
+        utterance.pitch = voice.pitch ?? 1;
+        utterance.volume = voice.volume ?? 1;
+
+        const finish = () => {
+          resolveCurrent = null;
+          resolve();
+        };
+        resolveCurrent = finish;
+
+        utterance.onstart = () => onStart({});
+        utterance.onboundary = (event) => {
+          if (event.name && event.name !== 'word') return;
+          onBoundary({
+            charIndex: event.charIndex,
+            charLength: event.charLength || 0,
+            elapsedTime: event.elapsedTime
+          });
+        };
+        utterance.onend = finish;
+        utterance.onerror = (event) => {
+          // 'interrupted' / 'canceled' come from cancel() and are not failures
+          if (['interrupted', 'canceled'].includes(event.error)) {
+            finish();
+            return;
+          }
+          resolveCurrent = null;
+          reject(new Error(`Speech synthesis failed: ${event.error}`));
+        };
+
+        synth.speak(utterance);
+      });
+    },
+
+    cancel() {
+      if (synth) synth.cancel();
+      if (resolveCurrent) resolveCurrent();
+    }
+  };
+}
+
+/**
+ * HTTP backend for an OpenAI-compatible /audio/speech endpoint
+ * Word boundaries are estimated from playback progress since the audio carries no timing
+ */
+function createHttpBackend(config = {}) {
+  const options = {
+    url: config.url || SPEECH_CONFIG.httpUrl,
+    model: config.model || SPEECH_CONFIG.httpModel,
+    voice: config.voice || SPEECH_CONFIG.httpVoice,
+    headers: config.headers || {},
+    // (text, voice) -> request body; override for servers with another API shape
+    buildBody: config.buildBody || ((text, voice, defaults) => ({
+      model: defaults.model,
+      input: text,
+      voice: voice.name || defaults.voice,
+      speed: voice.rate ?? 1
+    }))
+  };
+
+  let audio = null;
+  let controller = null;
+  let resolveCurrent = null;
+
+  const cleanup = () => {
+    if (audio) {
+      audio.pause();
+      URL.revokeObjectURL(audio.src);
+      audio = null;
+    }
+    controller = null;
+  };
+
+  return {
+    name: 'http',
+
+    isSupported() {
+      return Boolean(options.url) && typeof Audio !== 'undefined';
+    },
+
+    async speak(text, voice = {}, { onStart = () => {}, onBoundary = () => {} } = {}) {
+      controller = new AbortController();
+      const response = await fetch(options.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...options.headers },
+        body: JSON.stringify(options.buildBody(text, voice, options)),
+        signal: controller.signal
+      }).catch(error => {
+        if (error.name === 'AbortError') return null;
+        throw error;
+      });
+      if (!response) return;
+      if (!response.ok) {
+        throw new Error(`TTS request failed: HTTP ${response.status}`);
+      }
+
+      const blob = await response.blob();
+      if (!controller) return; // cancelled while downloading
+
+      audio = new Audio(URL.createObjectURL(blob));
+      audio.volume = voice.volume ?? 1;
+
+      const words = [...text.matchAll(/\S+/g)].map(match => ({ index: match.index, length: match[0].length }));
+      let nextWord = 0;
+
+      return new Promise((resolve, reject) => {
+        const finish = () => {
+          resolveCurrent = null;
+          cleanup();
+          resolve();
+        };
+        resolveCurrent = finish;
+
+        audio.onplay = () => onStart({ audio });
+        audio.ontimeupdate = () => {
+          if (!audio?.duration) return;
+          const spokenChars = (audio.currentTime / audio.duration) * text.length;
+          while (nextWord < words.length && words[nextWord].index <= spokenChars) {
+            onBoundary({
+              charIndex: words[nextWord].index,
+              charLength: words[nextWord].length,
+              elapsedTime: audio.currentTime * 1000
+            });
+            nextWord++;
+          }
+        };
+        audio.onended = finish;
+        audio.onerror = () => {
+          resolveCurrent = null;
+          cleanup();
+          reject(new Error('TTS audio could not be played'));
+        };
+
+        audio.play().catch(error => {
+          resolveCurrent = null;
+          cleanup();
+          reject(error);
+        });
+      });
+    },
+
+    cancel() {
+      controller?.abort();
+      if (resolveCurrent) {
+        resolveCurrent();
+      } else {
+        cleanup();
+      }
+    }
+  };
+}
+
+registerSpeechBackend('browser', createBrowserBackend);
+registerSpeechBackend('http', createHttpBackend);
+
+export class SpeechOutput {
+  constructor(config = {}) {
+    this.config = {
+      backend: config.backend || SPEECH_CONFIG.backend,
+      enabled: config.enabled ?? DEFAULT_CONFIG.enableVoiceOutput,
+      maxChunkLength: config.maxChunkLength || SPEECH_CONFIG.maxChunkLength,
+      persistMute: config.persistMute !== false,
+      ...config
+    };
+
+    this.backend = null;
+    this.voice = { lang: DEFAULT_CONFIG.language, rate: 1, pitch: 1 };
+    this.muted = this.loadMuted();
+    this.queue = [];
+    this.current = null;
+    this.spokenLength = 0; // characters of the current item said so far
+    this.isSpeaking = false;
+    this.listeners = {};
+
+    this.setBackend(this.config.backend, this.config.backendOptions);
+  }
+
+  /**
+   * Switch speech backend, falling back to the browser voice when unavailable
+   */
+  setBackend(name, options = {}) {
+    const backend = createSpeechBackend(name, options);
+    if (backend?.isSupported()) {
+      this.stop();
+      this.backend = backend;
+      console.log(`[SpeechOutput] Using ${name} backend`);
+      return true;
+    }
+
+    console.warn(`[SpeechOutput] Backend '${name}' unavailable`);
+    if (!this.backend && name !== 'browser') {
+      return this.setBackend('browser');
+    }
+    return false;
+  }
+
+  /**
+   * Whether speech can be produced at all
+   */
+  isSupported() {
+    return Boolean(this.backend);
+  }
+
+  /**
+   * Set voice settings: { name?, lang?, rate?, pitch?, volume? }
+   */
+  setVoice(voice = {}) {
+    this.voice = { ...this.voice, ...voice };
+  }
+
+  /**
+   * Voices offered by the backend
+   */
+  getVoices() {
+    return this.backend?.getVoices?.() || [];
+  }
+
+  /**
+   * Queue text to be spoken after anything already playing
+   * voice overrides the current voice settings for this text only (e.g. another puppet)
+   */
+  speak(text, { id = `speech-${Date.now()}`, voice = null } = {}) {
+    const spoken = prepareSpeechText(text);
+    if (!spoken || !this.config.enabled || this.muted || !this.backend) {
+      return Promise.resolve(false);
+    }
+
+    return new Promise(resolve => {
+      this.queue.push({ id, text: spoken, voice, resolve });
+      this.processQueue();
+    });
+  }
+
+  /**
+   * Speak queued items one at a time
+   */
+  async processQueue() {
+    if (this.current || this.queue.length === 0) return;
+
+    const item = this.queue.shift();
+    this.current = item;
+    this.spokenLength = 0;
+    const chunks = splitSpeechText(item.text, this.config.maxChunkLength);
+    const voice = item.voice ? { ...this.voice, ...item.voice } : this.voice;
+    let started = false;
+
+    try {
+      for (const chunk of chunks) {
+        if (this.current !== item) break;
+        this.spokenLength = chunk.offset;
+
+        await this.backend.speak(chunk.text, voice, {
+          onStart: ({ audio } = {}) => {
+            if (!started) {
+              started = true;
+              this.isSpeaking = true;
+              this.emit('speechStart', { id: item.id, text: item.text, audio: audio || null });
+            }
+            if (audio) {
+              this.emit('speechAudio', { id: item.id, audio });
+            }
+          },
+          onBoundary: ({ charIndex, charLength, elapsedTime }) => {
+            const index = chunk.offset + charIndex;
+            const word = item.text.slice(index).match(/^\S+/)?.[0] || '';
+            if (this.current === item) {
+              this.spokenLength = index + (charLength || word.length);
+            }
+            this.emit('speechBoundary', {
+              id: item.id,
+              charIndex: index,
+              charLength: charLength || word.length,
+              word,
+              elapsedTime
+            });
+          }
+        });
+      }
+    } catch (error) {
+      console.warn('[SpeechOutput] Speech failed:', error.message);
+      this.emit('error', error);
+    }
+
+    const interrupted = this.current !== item;
+    if (started) {
+      this.isSpeaking = false;
+      this.emit('speechEnd', { id: item.id, text: item.text, interrupted });
+    }
+    if (this.current === item) {
+      this.current = null;
+    }
+    item.resolve(started && !interrupted);
+    this.processQueue();
+    if (!this.current && this.queue.length === 0) {
+      this.emit('idle');
+    }
+  }
+
+  /**
+   * Resolves once nothing is being spoken or waiting to be
+   */
+  whenIdle() {
+    if (!this.current && this.queue.length === 0) return Promise.resolve();
+
+    return new Promise(resolve => {
+      const onIdle = () => {
+        this.off('idle', onIdle);
+        resolve();
+      };
+      this.on('idle', onIdle);
+    });
+  }
+
+  /**
+   * Stop speaking and drop everything queued
+   * Returns { id, text, spokenText } for the item cut off mid-speech, or null
+   */
+  stop() {
+    this.queue.splice(0).forEach(item => item.resolve(false));
+    if (!this.current) return null;
+
+    const { id, text } = this.current;
+    const spokenText = text.slice(0, this.spokenLength).trim();
+    this.current = null;
+    this.backend?.cancel();
+    return { id, text, spokenText };
+  }
+
+  /**
+   * Mute or unmute; muting stops the current speech
+   */
+  setMuted(muted) {
+    this.muted = Boolean(muted);
+    if (this.muted) this.stop();
+    this.saveMuted();
+    this.emit('muteChange', this.muted);
+  }
+
+  toggleMute() {
+    this.setMuted(!this.muted);
+    return this.muted;
+  }
+
+  /**
+   * Read the mute choice from a previous visit
+   */
+  loadMuted() {
+    if (!this.config.persistMute) return false;
+    try {
+      return localStorage.getItem(MUTE_STORAGE_KEY) === 'true';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  saveMuted() {
+    if (!this.config.persistMute) return;
+    try {
+      localStorage.setItem(MUTE_STORAGE_KEY, String(this.muted));
+    } catch (error) {
+      console.warn('[SpeechOutput] Could not save mute setting:', error.message);
+    }
+  }
+
+  /**
+   * Event emitter methods
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`[SpeechOutput] Error in event listener for '${event}':`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Cleanup
+   */
+  dispose() {
+    this.stop();
+    this.listeners = {};
+  }
+}
+
+export default SpeechOutput;
@@ -0,0 +1,463 @@
+/**
+ * Speech To Text - Push-to-talk voice input over pluggable recognition backends
+ *   browser  Web Speech SpeechRecognition (live interim text, no upload)
+ *   whisper  records with MediaRecorder and posts the audio to a Whisper-compatible
+ *            /audio/transcriptions endpoint (OpenAI, a local server or the proxy)
+ *
+ * Backend contract:
+ *   name, supportsInterim
+ *   isSupported()
+ *   start({ lang, onInterim(text), onLevel(level) }) -> Promise once capture has started
+ *   stop()    -> Promise<string> final transcript
+ *   cancel()  discard the recording
+ *
+ * Events: start, interim { text }, level { level }, processing, result { text },
+ *         end, maxDuration, error { error, message }
+ */
+
+import { STT_CONFIG, DEFAULT_CONFIG, ENV } from '../config/constants.js';
+import AudioLevelMeter from './levelMeter.js';
+
+const ERROR_MESSAGES = {
+  'not-allowed': 'Microphone permission denied',
+  'service-not-allowed': 'Voice input is blocked in this browser',
+  'audio-capture': 'No microphone found',
+  network: 'Voice input needs a network connection',
+  unsupported: 'Voice input is not supported in this browser',
+  transcription: 'Could not transcribe the recording'
+};
+
+// Container formats MediaRecorder may produce, in order of preference
+const RECORDING_TYPES = [
+  { mimeType: 'audio/webm;codecs=opus', extension: 'webm' },
+  { mimeType: 'audio/webm', extension: 'webm' },
+  { mimeType: 'audio/mp4', extension: 'mp4' },
+  { mimeType: 'audio/ogg;codecs=opus', extension: 'ogg' }
+];
+
+const sttBackends = new Map();
+
+/**
+ * Register a speech-to-text backend factory: (config) => backend
+ */
+export function registerSTTBackend(name, factory) {
+  sttBackends.set(name, factory);
+  return true;
+}
+
+/**
+ * Create a registered backend
+ */
+export function createSTTBackend(name, config = {}) {
+  const factory = sttBackends.get(name);
+  return factory ? factory(config) : null;
+}
+
+/**
+ * Error carrying a recognizer error code
+ */
+function sttError(code, message = ERROR_MESSAGES[code] || code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Microphone stream with a level meter attached
+ */
+async function openMicrophone(onLevel) {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: { echoCancellation: true, noiseSuppression: true }
+  });
+  const meter = new AudioLevelMeter();
+  meter.start(stream, onLevel);
+  return { stream, meter };
+}
+
+function closeMicrophone(mic) {
+  if (!mic) return;
+  mic.meter.stop();
+  mic.stream.getTracks().forEach(track => track.stop());
+}
+
+/**
+ * Web Speech API backend
+ */
+function createBrowserBackend() {
+  let recognition = null;
+  let finished = null;
+  let mic = null;
+
+  const cleanup = () => {
+    closeMicrophone(mic);
+    mic = null;
+    recognition = null;
+  };
+
+  return {
+    name: 'browser',
+    supportsInterim: true,
+
+    isSupported() {
+      return typeof window !== 'undefined'
+        && Boolean(window.SpeechRecognition || window.webkitSpeechRecognition);
+    },
+
+    async start({ lang, onInterim = () => {}, onLevel = null } = {}) {
+      const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+      recognition = new SpeechRecognition();
+      recognition.lang = lang;
+      recognition.continuous = true; // keep going until the button is released
+      recognition.interimResults = true;
+
+      let transcript = '';
+      finished = new Promise((resolve, reject) => {
+        recognition.onresult = (event) => {
+          transcript = Array.from(event.results)
+            .map(result => result[0].transcript)
+            .join('');
+          onInterim(transcript);
+        };
+        recognition.onerror = (event) => {
+          if (event.error === 'no-speech' || event.error === 'aborted') return;
+          reject(sttError(event.error));
+        };
+        recognition.onend = () => resolve(transcript);
+      });
+      // Rejections surface through stop(); don't report them as unhandled meanwhile
+      finished.catch(() => {});
+
+      recognition.start();
+
+      // The recognizer has its own microphone access; the meter is a best-effort extra
+      if (onLevel && navigator.mediaDevices?.getUserMedia) {
+        openMicrophone(onLevel)
+          .then(opened => {
+            if (recognition) {
+              mic = opened;
+            } else {
+              closeMicrophone(opened);
+            }
+          })
+          .catch(() => {});
+      }
+    },
+
+    async stop() {
+      if (!recognition) return '';
+      recognition.stop();
+      try {
+        return (await finished).trim();
+      } finally {
+        cleanup();
+      }
+    },
+
+    cancel() {
+      recognition?.abort();
+      cleanup();
+    }
+  };
+}
+
+/**
+ * MediaRecorder + Whisper-compatible HTTP backend
+ */
+function createWhisperBackend(config = {}) {
+  const options = {
+    url: config.url || STT_CONFIG.httpUrl || (ENV.apiMode === 'proxy' ? `${ENV.proxyUrl}/transcribe` : ''),
+    model: config.model || STT_CONFIG.model,
+    headers: config.headers || {},
+    minDuration: config.minDuration ?? STT_CONFIG.minDuration, // ms - shorter taps are ignored
+    silenceLevel: config.silenceLevel ?? STT_CONFIG.silenceLevel // peak level below which nothing was said
+  };
+
+  let mic = null;
+  let recorder = null;
+  let chunks = [];
+  let recordingType = null;
+  let startedAt = 0;
+  let lang = '';
+  let controller = null;
+
+  const release = () => {
+    closeMicrophone(mic);
+    mic = null;
+    recorder = null;
+  };
+
+  const transcribe = async (blob) => {
+    const form = new FormData();
+    form.append('file', blob, `speech.${recordingType?.extension || 'webm'}`);
+    form.append('model', options.model);
+    form.append('response_format', 'json');
+    if (lang) {
+      // Whisper wants ISO 639-1 ("zh"), not a BCP 47 tag ("zh-CN")
+      form.append('language', lang.split('-')[0]);
+    }
+
+    controller = new AbortController();
+    const response = await fetch(options.url, {
+      method: 'POST',
+      headers: options.headers,
+      body: form,
+      signal: controller.signal
+    });
+    controller = null;
+
+    if (!response.ok) {
+      const error = sttError('transcription', `Transcription failed: HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    return (data.text || '').trim();
+  };
+
+  return {
+    name: 'whisper',
+    supportsInterim: false,
+
+    isSupported() {
+      return Boolean(options.url)
+        && typeof MediaRecorder !== 'undefined'
+        && Boolean(navigator.mediaDevices?.getUserMedia);
+    },
+
+    async start({ lang: language, onLevel = () => {} } = {}) {
+      lang = language || '';
+      try {
+        mic = await openMicrophone(onLevel);
+      } catch (error) {
+        throw sttError(error.name === 'NotAllowedError' ? 'not-allowed' : 'audio-capture');
+      }
+
+      recordingType = RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported?.(type.mimeType)) || null;
+      recorder = new MediaRecorder(mic.stream, recordingType ? { mimeType: recordingType.mimeType } : {});
+      chunks = [];
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      };
+      recorder.start(250);
+      startedAt = Date.now();
+    },
+
+    async stop() {
+      if (!recorder) return '';
+
+      const activeRecorder = recorder;
+      await new Promise(resolve => {
+        activeRecorder.onstop = resolve;
+        activeRecorder.stop();
+      });
+
+      const duration = Date.now() - startedAt;
+      const peak = mic?.meter.peak ?? 1;
+      const type = activeRecorder.mimeType || recordingType?.mimeType || 'audio/webm';
+      release();
+
+      // Skip the upload for accidental taps and silent recordings
+      if (duration < options.minDuration || peak < options.silenceLevel) {
+        console.log(`[SpeechToText] Recording skipped (${duration}ms, peak ${peak.toFixed(3)})`);
+        return '';
+      }
+
+      return transcribe(new Blob(chunks, { type }));
+    },
+
+    cancel() {
+      controller?.abort();
+      controller = null;
+      if (recorder && recorder.state !== 'inactive') {
+        recorder.onstop = null;
+        recorder.stop();
+      }
+      chunks = [];
+      release();
+    }
+  };
+}
+
+registerSTTBackend('browser', createBrowserBackend);
+registerSTTBackend('whisper', createWhisperBackend);
+
+export class SpeechToText {
+  constructor(config = {}) {
+    this.config = {
+      backend: config.backend || STT_CONFIG.backend, // auto, browser or whisper
+      lang: config.lang || DEFAULT_CONFIG.language,
+      maxDuration: config.maxDuration || STT_CONFIG.maxDuration,
+      ...config
+    };
+
+    this.backend = null;
+    this.state = 'idle'; // idle, recording, transcribing
+    this.maxTimer = null;
+    this.listeners = {};
+
+    this.setBackend(this.config.backend, this.config.backendOptions);
+  }
+
+  /**
+   * Choose a backend; 'auto' prefers the browser recognizer and falls back to whisper
+   */
+  setBackend(name, options = {}) {
+    const candidates = name === 'auto' ? ['browser', 'whisper'] : [name];
+    const backend = candidates
+      .map(candidate => createSTTBackend(candidate, options))
+      .find(candidate => candidate?.isSupported());
+
+    if (!backend) {
+      console.warn(`[SpeechToText] No usable backend for '${name}'`);
+      this.backend = null;
+      return false;
+    }
+
+    this.cancel();
+    this.backend = backend;
+    console.log(`[SpeechToText] Using ${backend.name} backend`);
+    return true;
+  }
+
+  /**
+   * Whether voice input can work here
+   */
+  isSupported() {
+    return Boolean(this.backend);
+  }
+
+  /**
+   * Set the recognition language (BCP 47)
+   */
+  setLanguage(lang) {
+    this.config.lang = lang;
+  }
+
+  /**
+   * Start recording (push-to-talk pressed)
+   */
+  async start() {
+    if (this.state !== 'idle') return false;
+    if (!this.backend) {
+      this.emitError(sttError('unsupported'));
+      return false;
+    }
+
+    this.state = 'recording';
+    this.emit('start');
+
+    try {
+      await this.backend.start({
+        lang: this.config.lang,
+        onInterim: (text) => this.emit('interim', { text }),
+        onLevel: (level) => this.emit('level', { level })
+      });
+    } catch (error) {
+      this.state = 'idle';
+      this.backend.cancel();
+      this.emitError(error);
+      this.emit('end');
+      return false;
+    }
+
+    // Released (or cancelled) while the microphone was still opening
+    if (this.state !== 'recording') {
+      this.backend.cancel();
+      return false;
+    }
+
+    this.maxTimer = setTimeout(() => {
+      console.log('[SpeechToText] Maximum recording duration reached');
+      this.emit('maxDuration');
+      this.stop();
+    }, this.config.maxDuration);
+    return true;
+  }
+
+  /**
+   * Stop recording (push-to-talk released) and resolve with the transcript
+   */
+  async stop() {
+    if (this.state !== 'recording') return '';
+
+    clearTimeout(this.maxTimer);
+    this.state = 'transcribing';
+    this.emit('processing');
+
+    try {
+      const text = await this.backend.stop();
+      if (this.state !== 'transcribing') return ''; // cancelled meanwhile
+      if (text) {
+        this.emit('result', { text });
+      }
+      return text;
+    } catch (error) {
+      if (this.state === 'transcribing' && error.name !== 'AbortError') {
+        this.emitError(error);
+      }
+      return '';
+    } finally {
+      if (this.state === 'transcribing') {
+        this.state = 'idle';
+        this.emit('end');
+      }
+    }
+  }
+
+  /**
+   * Discard the current recording or transcription
+   */
+  cancel() {
+    if (this.state === 'idle') return;
+
+    clearTimeout(this.maxTimer);
+    this.state = 'idle';
+    this.backend?.cancel();
+    this.emit('end');
+  }
+
+  emitError(error) {
+    const code = error.code || 'unknown';
+    console.warn('[SpeechToText] Error:', error.message);
+    this.emit('error', { error: code, message: ERROR_MESSAGES[code] || error.message });
+  }
+
+  /**
+   * Event emitter methods
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`[SpeechToText] Error in event listener for '${event}':`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Cleanup
+   */
+  dispose() {
+    this.cancel();
+    this.listeners = {};
+  }
+}
+
+export default SpeechToText;
@@ -0,0 +1,169 @@
+/**
+ * Voice Activity Detector - Notices the user starting to talk (e.g. over the robot)
+ * Watches the microphone level through the Web Audio API and reports speech once the
+ * level stays above max(threshold, noise floor × noiseRatio) for minSpeechDuration.
+ * The noise floor follows the background slowly, so a noisy room or robot voice leaking
+ * past echo cancellation does not count as speech.
+ *
+ * Events: speechStart { level }, speechEnd, error { error, message }
+ */
+
+import { DEFAULT_CONFIG } from '../config/constants.js';
+import AudioLevelMeter from './levelMeter.js';
+
+export class VoiceActivityDetector {
+  constructor(config = {}) {
+    this.config = {
+      threshold: config.threshold || DEFAULT_CONFIG.bargeInThreshold, // minimum level counted as speech
+      noiseRatio: config.noiseRatio || 3, // speech must be this much louder than the background
+      minSpeechDuration: config.minSpeechDuration || 250, // ms above threshold before speech starts
+      hangover: config.hangover || 500, // ms below threshold before speech ends
+      floorAdaptation: config.floorAdaptation || 0.05, // how fast the noise floor follows the background
+      ...config
+    };
+
+    this.stream = null;
+    this.meter = null;
+    this.running = false;
+    this.openAttempt = 0;
+    this.speaking = false;
+    this.noiseFloor = 0;
+    this.aboveSince = 0;
+    this.belowSince = 0;
+    this.listeners = {};
+  }
+
+  /**
+   * Whether the browser can capture and analyse microphone audio
+   */
+  static isSupported() {
+    return typeof window !== 'undefined'
+      && Boolean(navigator.mediaDevices?.getUserMedia)
+      && Boolean(window.AudioContext || window.webkitAudioContext);
+  }
+
+  /**
+   * Open the microphone and start listening for speech
+   */
+  async start() {
+    if (this.running) return true;
+    this.running = true;
+    const attempt = ++this.openAttempt;
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        // Echo cancellation keeps the robot's own voice out of the level
+        audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: false }
+      });
+    } catch (error) {
+      if (attempt !== this.openAttempt) return false;
+      this.running = false;
+      console.warn('[VoiceActivityDetector] Microphone unavailable:', error.message);
+      this.emit('error', { error: error.name, message: 'Microphone unavailable for barge-in' });
+      return false;
+    }
+
+    // Stopped (or restarted) while the microphone was opening
+    if (attempt !== this.openAttempt || !this.running) {
+      stream.getTracks().forEach(track => track.stop());
+      return false;
+    }
+
+    this.stream = stream;
+    this.speaking = false;
+    this.noiseFloor = 0;
+    this.aboveSince = 0;
+    this.belowSince = 0;
+    this.meter = new AudioLevelMeter({ smoothing: 0.3 });
+    this.meter.start(stream, (level) => this.process(level));
+    return true;
+  }
+
+  /**
+   * Release the microphone
+   */
+  stop() {
+    this.running = false;
+    this.openAttempt++;
+    this.meter?.stop();
+    this.meter = null;
+    this.stream?.getTracks().forEach(track => track.stop());
+    this.stream = null;
+
+    if (this.speaking) {
+      this.speaking = false;
+      this.emit('speechEnd');
+    }
+  }
+
+  /**
+   * Feed one level reading (0-1)
+   */
+  process(level, now = Date.now()) {
+    const trigger = Math.max(this.config.threshold, this.noiseFloor * this.config.noiseRatio);
+
+    if (level >= trigger) {
+      this.belowSince = 0;
+      if (!this.aboveSince) this.aboveSince = now;
+
+      if (!this.speaking && now - this.aboveSince >= this.config.minSpeechDuration) {
+        this.speaking = true;
+        console.log(`[VoiceActivityDetector] Speech detected (level ${level.toFixed(2)})`);
+        this.emit('speechStart', { level });
+      }
+      return;
+    }
+
+    this.aboveSince = 0;
+    // Only quiet readings teach the background level
+    this.noiseFloor += (level - this.noiseFloor) * this.config.floorAdaptation;
+
+    if (this.speaking) {
+      if (!this.belowSince) this.belowSince = now;
+      if (now - this.belowSince >= this.config.hangover) {
+        this.speaking = false;
+        this.belowSince = 0;
+        this.emit('speechEnd');
+      }
+    }
+  }
+
+  /**
+   * Event emitter methods
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`[VoiceActivityDetector] Error in event listener for '${event}':`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Cleanup
+   */
+  dispose() {
+    this.stop();
+    this.listeners = {};
+  }
+}
+
+export default VoiceActivityDetector;
@@ -2,6 +2,9 @@
  * Project Configuration and Constants
  */
 
+// Vite env in the browser; empty when the module is loaded by the Node proxy server
+const env = import.meta.env || {};
+
 // API Configuration
 export const API_CONFIG = {
   openai: {
@@ -15,9 +18,34 @@ export const API_CONFIG = {
     model: 'claude-3-haiku-20240307',
     maxTokens: 150,
     version: '2023-06-01'
+  },
+  ollama: {
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llama3'
+  },
+  lmstudio: {
+    baseUrl: 'http://localhost:1234/v1',
+    model: 'local-model'
+  },
+  // Any other OpenAI-compatible server, configured through env
+  custom: {
+    baseUrl: env.VITE_LLM_BASE_URL || 'http://localhost:8000/v1',
+    model: env.VITE_LLM_MODEL || 'default'
   }
 };
 
+// Context window sizes (tokens) used to budget conversation history
+export const MODEL_CONTEXT_WINDOWS = {
+  'gpt-3.5-turbo': 16385,
+  'gpt-4o': 128000,
+  'gpt-4o-mini': 128000,
+  'claude-3-haiku-20240307': 200000,
+  'claude-3-5-sonnet-20241022': 200000,
+  llama3: 8192,
+  mock: 4096,
+  default: 8192
+};
+
 // 8thwall Configuration
 export const XRWALL_CONFIG = {
   enableLighting: true,
@@ -36,6 +64,60 @@ export const SCENE_CONFIG = {
   defaultPuppetScale: 1
 };
 
+// Puppet model download limits
+export const MODEL_LOAD_CONFIG = {
+  timeout: 60000, // ms for the whole model, decoding included
+  stallTimeout: 15000 // ms without any data arriving
+};
+
+// Where the puppet may be moved and how far it may be scaled (scene tools and gestures)
+export const PUPPET_LIMITS = {
+  position: {
+    x: [-3, 3],
+    y: [-2, 2],
+    z: [-10, 1.5]
+  },
+  scale: [0.2, 3]
+};
+
+// Touch / mouse gestures on the AR canvas
+export const GESTURE_CONFIG = {
+  tapSlop: 8, // px a pointer may move and still count as a tap
+  tapDuration: 300, // ms
+  doubleTapWindow: 300, // ms between the taps of a double-tap
+  wheelScaleStep: 0.1, // scale change per mouse wheel notch
+  // Animation played when a part of the puppet is poked; keys match part or bone names
+  reactions: {
+    head: 'confused',
+    arm: 'greeting',
+    hand: 'greeting',
+    body: 'happy'
+  },
+  defaultReaction: 'happy'
+};
+
+// Several puppets sharing the scene
+export const CAST_CONFIG = {
+  maxMembers: 3,
+  origin: { x: 0, y: 0, z: -2 }, // where a lone puppet stands; the cast lines up around it
+  spacing: 1.2, // metres between neighbouring puppets
+  skitTurns: 6, // lines in a puppet-to-puppet skit or debate unless the user says otherwise
+  maxSkitTurns: 20
+};
+
+// Puppet appearance customization (see src/3d/appearance.js)
+export const APPEARANCE_CONFIG = {
+  regions: ['body', 'head', 'eyes'], // parts that can be recoloured
+  materials: ['matte', 'metallic', 'toon'], // besides the model's own materials
+  // Accessory -> anchor point it attaches to by default
+  accessories: {
+    hat: 'headTop',
+    glasses: 'eyes',
+    antenna: 'headSide'
+  },
+  eyeColor: '#ffffff' // placeholder robot's eyes
+};
+
 // Animation Configuration
 export const ANIMATION_CONFIG = {
   defaultDuration: 1000,
@@ -47,7 +129,72 @@ export const ANIMATION_CONFIG = {
     'listening',
     'happy',
     'confused'
-  ]
+  ],
+  // State machine rules per animation state:
+  //   loop      keeps playing until another state replaces it; one-shots play once,
+  //             then the queue (or restState) takes over
+  //   priority  a playing one-shot is only interrupted by a state of equal or higher
+  //             priority; lower ones wait in the queue
+  states: {
+    idle: { loop: true, priority: 0 },
+    listening: { loop: true, priority: 1 },
+    talking: { loop: true, priority: 1 },
+    happy: { loop: false, priority: 2 },
+    confused: { loop: false, priority: 2 },
+    greeting: { loop: false, priority: 3 }
+  },
+  restState: 'idle',
+  emotions: [
+    'neutral',
+    'happy',
+    'excited',
+    'sad',
+    'surprised',
+    'confused',
+    'thinking'
+  ],
+  // Animation played for an emotion when the model gives no animation
+  emotionAnimations: {
+    neutral: 'talking',
+    happy: 'happy',
+    excited: 'happy',
+    sad: 'talking',
+    surprised: 'confused',
+    confused: 'confused',
+    thinking: 'listening'
+  },
+  // Facial expression [name, weight] shown for an emotion (models with a face)
+  emotionExpressions: {
+    neutral: null,
+    happy: ['happy', 0.8],
+    excited: ['happy', 1],
+    sad: ['sad', 0.8],
+    surprised: ['surprised', 1],
+    confused: ['surprised', 0.4],
+    thinking: ['relaxed', 0.5]
+  }
+};
+
+// Speech Output Configuration
+export const SPEECH_CONFIG = {
+  backend: env.VITE_TTS_BACKEND || 'browser', // browser (speechSynthesis) or http
+  // http backend: any OpenAI-compatible /audio/speech endpoint, e.g. a local TTS server
+  httpUrl: env.VITE_TTS_URL || '',
+  httpModel: env.VITE_TTS_MODEL || 'tts-1',
+  httpVoice: env.VITE_TTS_VOICE || 'alloy',
+  maxChunkLength: 200 // long utterances are split; Chrome stops speaking after ~15s
+};
+
+// Speech Input Configuration
+export const STT_CONFIG = {
+  backend: env.VITE_STT_BACKEND || 'auto', // auto, browser (SpeechRecognition) or whisper
+  // whisper backend: a Whisper-compatible /audio/transcriptions endpoint; the proxy's
+  // /transcribe route is used in proxy mode when this is empty
+  httpUrl: env.VITE_STT_URL || '',
+  model: env.VITE_STT_MODEL || 'whisper-1',
+  maxDuration: 15000, // ms - recording stops by itself after this
+  minDuration: 300, // ms - shorter recordings are treated as accidental taps
+  silenceLevel: 0.02 // peak level below which a recording is not uploaded
 };
 
 // State Update Events
@@ -63,34 +210,40 @@ export const UPDATE_STATE = {
   ERROR_OCCURRED: 'error:occurred'
 };
 
-// UI Messages
-export const UI_MESSAGES = {
-  initializing: '初始化中...',
-  arReady: 'AR已就绪',
-  waitingForInput: '等待输入...',
-  processing: '处理中...',
-  error: '发生错误',
-  sessionEnded: '对话已结束'
-};
-
 // Default Configuration
 export const DEFAULT_CONFIG = {
-  apiProvider: 'openai', // or 'claude'
-  language: 'zh-CN',
+  apiProvider: env.VITE_API_PROVIDER || 'openai', // openai, claude, ollama, lmstudio, custom, mock
+  // Answer from the offline mock provider when no API key is available (development only)
+  mockFallback: Boolean(env.DEV),
+  locale: env.VITE_LOCALE || '', // UI and conversation locale (en, zh-CN); empty = follow the browser
+  fallbackLocale: 'en', // used when the browser language has no catalog
+  language: 'en-US', // speech language until a locale is applied
   maxConversationHistory: 10,
+  structuredResponses: true, // ask the LLM for JSON with emotion/animation hints
+  busyPolicy: 'queue', // messages sent mid-reply: queue, replace or reject
+  historyTokenBudget: 3000, // cap on history tokens sent per request; older turns are summarized
+  puppetModelUrl: env.VITE_PUPPET_MODEL_URL || '', // glTF / GLB / VRM; empty = ASSET_PATHS.defaultPuppetModel
   autoPlayGreeting: true,
+  // Persona ids of puppets joining the active one in the scene, e.g. VITE_CAST=captain,professor
+  cast: (env.VITE_CAST || '').split(',').map(id => id.trim()).filter(Boolean),
   enableVoiceInput: true,
-  enableVoiceOutput: false,
+  wakePhrase: env.VITE_WAKE_PHRASE || '', // hands-free mode waits for this phrase first, e.g. 'hey robot'
+  voiceSilenceTimeout: 1200, // ms of silence that ends a hands-free utterance
+  enableBargeIn: env.VITE_BARGE_IN !== 'false', // talking over the robot interrupts it (once voice input was used)
+  bargeInThreshold: 0.12, // microphone level (0-1) that counts as the user talking
+  enableVoiceOutput: true, // speak replies unless the user muted the robot
   debugMode: true
 };
 
 // Environment Variables
 export const ENV = {
-  isDevelopment: import.meta.env.DEV,
-  isProduction: import.meta.env.PROD,
-  apiKey: import.meta.env.VITE_LLM_API_KEY,
-  apiProvider: import.meta.env.VITE_API_PROVIDER || 'openai',
-  xr8Key: import.meta.env.VITE_XR8_KEY
+  isDevelopment: env.DEV,
+  isProduction: env.PROD,
+  apiKey: env.VITE_LLM_API_KEY, // direct mode only - never set this for public builds
+  apiMode: env.VITE_API_MODE || 'direct', // direct: call providers from the browser, proxy: go through server/index.js
+  proxyUrl: env.VITE_API_PROXY_URL || '/api',
+  apiProvider: env.VITE_API_PROVIDER || 'openai',
+  xr8Key: env.VITE_XR8_KEY
 };
 
 // Logging Configuration
@@ -111,16 +264,25 @@ export const ASSET_PATHS = {
   models: '/models',
   textures: '/textures',
   sounds: '/sounds',
-  defaultPuppetModel: '/models/puppet.gltf'
+  defaultPuppetModel: '/models/puppet.gltf',
+  // DRACO and KTX2 (Basis) decoders, copied from three.js by the build (see vite.config.js)
+  decoders: `${env.BASE_URL || '/'}decoders`
 };
 
 export default {
   API_CONFIG,
+  MODEL_CONTEXT_WINDOWS,
   XRWALL_CONFIG,
   SCENE_CONFIG,
+  MODEL_LOAD_CONFIG,
+  PUPPET_LIMITS,
+  GESTURE_CONFIG,
+  CAST_CONFIG,
+  APPEARANCE_CONFIG,
   ANIMATION_CONFIG,
+  SPEECH_CONFIG,
+  STT_CONFIG,
   UPDATE_STATE,
-  UI_MESSAGES,
   DEFAULT_CONFIG,
   ENV,
   LOG_CONFIG,
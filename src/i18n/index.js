@@ -0,0 +1,291 @@
+/**
+ * I18n - Locale selection and message catalogs
+ * The active locale drives UI strings, speech recognition/synthesis language,
+ * date formatting and the language the robot is asked to reply in.
+ *
+ * Locale definition (registerLocale):
+ *   name            label shown in the language selector
+ *   speechLang      BCP 47 tag for speech recognition and synthesis
+ *   replyLanguage   language name used in the system prompt
+ *   messages        nested catalog; strings may contain {placeholders}
+ *
+ * The locale comes from the user's choice (saved), then the active persona's language,
+ * then VITE_LOCALE, then navigator.languages, then DEFAULT_CONFIG.fallbackLocale.
+ */
+
+import { DEFAULT_CONFIG } from '../config/constants.js';
+import en from './locales/en.json';
+import zhCN from './locales/zh-CN.json';
+
+const STORAGE_KEY = 'arbot_locale';
+
+const locales = new Map();
+
+/**
+ * Register a locale (or replace an existing one)
+ */
+export function registerLocale(code, definition) {
+  if (!definition?.messages) {
+    console.warn(`[I18n] Ignoring locale without messages: ${code}`);
+    return false;
+  }
+
+  locales.set(code, {
+    code,
+    name: definition.name || code,
+    speechLang: definition.speechLang || code,
+    replyLanguage: definition.replyLanguage || definition.name || code,
+    messages: definition.messages
+  });
+  return true;
+}
+
+registerLocale('en', { name: 'English', speechLang: 'en-US', replyLanguage: 'English', messages: en });
+registerLocale('zh-CN', { name: '简体中文', speechLang: 'zh-CN', replyLanguage: 'Simplified Chinese', messages: zhCN });
+
+/**
+ * Look up a dotted key ("status.ready") in a catalog
+ */
+function lookup(messages, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+}
+
+/**
+ * Replace {name} placeholders
+ */
+function interpolate(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+}
+
+export class I18n {
+  constructor(config = {}) {
+    this.config = {
+      locale: config.locale ?? DEFAULT_CONFIG.locale, // forced locale, '' = detect
+      fallbackLocale: config.fallbackLocale || DEFAULT_CONFIG.fallbackLocale,
+      persist: config.persist !== false,
+      ...config
+    };
+
+    this.locale = this.resolve(this.loadSaved() || this.config.locale)
+      || this.detect()
+      || this.config.fallbackLocale;
+    this.listeners = {};
+  }
+
+  /**
+   * Best registered locale for a language tag: exact match, then same base language
+   * ("zh-TW" -> "zh-CN", "en-GB" -> "en")
+   */
+  resolve(tag) {
+    if (!tag) return null;
+    if (locales.has(tag)) return tag;
+
+    const lower = tag.toLowerCase();
+    const base = lower.split('-')[0];
+    const codes = Array.from(locales.keys());
+    return codes.find(code => code.toLowerCase() === lower)
+      || codes.find(code => code.toLowerCase().split('-')[0] === base)
+      || null;
+  }
+
+  /**
+   * Locale from the browser's preferred languages
+   */
+  detect() {
+    if (typeof navigator === 'undefined') return null;
+
+    const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+    for (const tag of preferred) {
+      const locale = this.resolve(tag);
+      if (locale) return locale;
+    }
+    return null;
+  }
+
+  /**
+   * Switch locale; the user's choice is remembered for the next visit
+   */
+  setLocale(tag, { persist = true } = {}) {
+    const locale = this.resolve(tag);
+    if (!locale) {
+      console.warn(`[I18n] Unknown locale: ${tag}`);
+      return false;
+    }
+
+    if (persist) this.save(locale);
+    if (locale === this.locale) return true;
+
+    const previous = this.locale;
+    this.locale = locale;
+    console.log(`[I18n] Locale: ${locale}`);
+    this.emit('localeChange', { locale, previous });
+    return true;
+  }
+
+  /**
+   * Follow a persona's default language unless the user picked a locale themselves
+   * Without one (or with one that has no catalog) the configured or browser locale is used
+   */
+  usePersonaLanguage(tag) {
+    if (this.loadSaved()) return false;
+
+    const locale = this.resolve(tag)
+      || this.resolve(this.config.locale)
+      || this.detect()
+      || this.config.fallbackLocale;
+    return this.setLocale(locale, { persist: false });
+  }
+
+  /**
+   * Forget the user's choice and follow the browser again
+   */
+  resetLocale() {
+    this.save(null);
+    return this.setLocale(this.config.locale || this.detect() || this.config.fallbackLocale, { persist: false });
+  }
+
+  /**
+   * Registered locales for selection UIs: [{ code, name }]
+   */
+  list() {
+    return Array.from(locales.values()).map(({ code, name }) => ({ code, name }));
+  }
+
+  /**
+   * Definition of the active locale
+   */
+  getDefinition() {
+    return locales.get(this.locale) || locales.get(this.config.fallbackLocale);
+  }
+
+  /**
+   * BCP 47 tag for speech recognition and synthesis
+   */
+  getSpeechLanguage() {
+    return this.getDefinition().speechLang;
+  }
+
+  /**
+   * Language name for the reply-language instruction in the system prompt
+   */
+  getReplyLanguage() {
+    return this.getDefinition().replyLanguage;
+  }
+
+  /**
+   * Translate a key, falling back to the fallback locale, then to the key itself
+   */
+  t(key, params = {}) {
+    let text = lookup(this.getDefinition().messages, key);
+    if (typeof text !== 'string') {
+      text = lookup(locales.get(this.config.fallbackLocale)?.messages || {}, key);
+    }
+    if (typeof text !== 'string') {
+      return key;
+    }
+    return interpolate(text, params);
+  }
+
+  /**
+   * Whether a key exists in the active or fallback catalog
+   */
+  has(key) {
+    return this.t(key) !== key;
+  }
+
+  /**
+   * Pick the value for the active locale from { locale: value } content
+   * (e.g. persona greetings); plain values are returned unchanged
+   */
+  localize(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+
+    const key = this.resolveIn(Object.keys(value), this.locale)
+      || this.resolveIn(Object.keys(value), this.config.fallbackLocale)
+      || Object.keys(value)[0];
+    return value[key];
+  }
+
+  resolveIn(codes, tag) {
+    const base = tag.toLowerCase().split('-')[0];
+    return codes.find(code => code === tag)
+      || codes.find(code => code.toLowerCase().split('-')[0] === base)
+      || null;
+  }
+
+  /**
+   * Format a timestamp as a short time in the active locale
+   */
+  formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString(this.locale, { hour: '2-digit', minute: '2-digit' });
+  }
+
+  /**
+   * Format a timestamp as a date in the active locale
+   */
+  formatDate(timestamp, options = { dateStyle: 'medium' }) {
+    return new Intl.DateTimeFormat(this.locale, options).format(new Date(timestamp));
+  }
+
+  loadSaved() {
+    if (!this.config.persist) return null;
+    try {
+      return localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  save(locale) {
+    if (!this.config.persist) return;
+    try {
+      if (locale) {
+        localStorage.setItem(STORAGE_KEY, locale);
+      } else {
+        localStorage.removeItem(STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn('[I18n] Could not save locale:', error.message);
+    }
+  }
+
+  /**
+   * Event emitter methods
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`[I18n] Error in event listener for '${event}':`, error);
+        }
+      });
+    }
+  }
+}
+
+// Shared instance used across the app
+export const i18n = new I18n();
+
+/**
+ * Translate with the shared instance
+ */
+export function t(key, params) {
+  return i18n.t(key, params);
+}
+
+export default i18n;
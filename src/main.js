@@ -1,17 +1,33 @@
 /**
  * Main Application Entry Point
- * Orchestrates AR session, 3D puppet, conversation engine, and UI
+ * Orchestrates AR session, the puppet cast and their conversation engines, and UI
  */
 
 import * as THREE from 'three';
 import ARCamera from './ar/camera.js';
 import PuppetModel from './3d/puppet.js';
+import GestureController from './3d/gestureController.js';
 import ConversationEngine from './ai/conversation.js';
 import UIManager from './ui/interface.js';
+import ToolRegistry from './ai/tools.js';
+import { registerSceneTools } from './ai/sceneTools.js';
+import PersonaManager from './ai/personas.js';
+import PuppetCast from './ai/cast.js';
+import SkitDirector, { parseSkitCommand } from './ai/skit.js';
+import SpeechOutput from './audio/speech.js';
+import HandsFreeListener from './audio/handsFree.js';
+import SpeechToText from './audio/stt.js';
+import VoiceActivityDetector from './audio/vad.js';
 import globalState, { StateManager } from './state/index.js';
-import { DEFAULT_CONFIG, SCENE_CONFIG, ENV } from './config/constants.js';
+import { i18n, t } from './i18n/index.js';
+import { DEFAULT_CONFIG, SCENE_CONFIG, ASSET_PATHS, ENV } from './config/constants.js';
+import { MODEL_ERROR_TYPES } from './3d/modelLoader.js';
+import { loadSavedAppearance, saveAppearance } from './3d/appearance.js';
 import { apiClient } from './services/apiClient.js';
 
+// How long a skit line stays up before the next one when it is not spoken aloud
+const SKIT_READING_MS = { base: 1500, perCharacter: 50, max: 8000 };
+
 class ARPuppetApp {
   constructor(config = {}) {
     this.config = {
@@ -20,9 +36,23 @@ class ARPuppetApp {
     };
 
     this.arCamera = null;
-    this.puppetModel = null;
-    this.conversationEngine = null;
+    this.cast = new PuppetCast(); // puppets in the scene, each with its own conversation
+    this.skit = null;
+    this.skitRun = null; // promise of the skit being played
     this.uiManager = null;
+    this.personaManager = new PersonaManager();
+    // The persona's language is the default locale until the user picks one
+    i18n.usePersonaLanguage(this.personaManager.getActive()?.language);
+    this.speechOutput = null;
+    this.handsFree = null;
+    this.speechInput = null;
+    this.vad = null;
+    this.gestures = null;
+    this.speechOwners = new Map(); // speech id -> cast member speaking it
+    this.offlineDemo = false; // replies come from the mock provider (no API key)
+    this.voiceUsed = false; // barge-in only listens once the user has talked to the robot
+    this.userTalking = false;
+    this.greetingTimers = [];
 
     this.scene = null;
     this.camera = null;
@@ -34,6 +64,17 @@ class ARPuppetApp {
     this.log('Initializing AR Puppet App...');
   }
 
+  /**
+   * Puppet and conversation engine of the selected cast member
+   */
+  get puppetModel() {
+    return this.cast.getSelected()?.puppet || null;
+  }
+
+  get conversationEngine() {
+    return this.cast.getSelected()?.engine || null;
+  }
+
   /**
    * Initialize entire application
    */
@@ -43,34 +84,31 @@ class ARPuppetApp {
 
       // 1. Initialize UI (show progress)
       await this.initializeUI();
-      this.updateStatus('Initializing AR session...', 'info');
+      this.updateStatus(t('status.initializingAR'), 'info');
 
       // 2. Initialize AR Camera (disabled)
       await this.initializeARCamera();
-      this.updateStatus('Loading 3D model...', 'info');
+      this.updateStatus(t('status.loadingModel'), 'info');
 
       // 3. Initialize Three.js Scene
       this.initializeScene();
 
-      // 4. Load Puppet Model
-      await this.initializePuppet();
-      this.updateStatus('Initializing conversation...', 'info');
-
-      // 5. Initialize Conversation Engine
-      await this.initializeConversation();
+      // 4. Load the cast: a puppet and a conversation engine per character
+      await this.initializeCast();
+      this.initializeSkit();
 
-      // 6. Setup event listeners and start rendering
+      // 5. Setup event listeners and start rendering
       this.setupEventListeners();
       this.startRenderLoop();
 
-      this.updateStatus('Ready ✓', 'success');
+      this.showReadyStatus('status.initialized');
       globalState.setState({ arSessionActive: true });
 
       this.log('Initialization complete!');
       return true;
     } catch (error) {
       console.error('[ARPuppetApp] Initialization failed:', error);
-      this.updateStatus(`Initialization failed: ${error.message}`, 'error');
+      this.updateStatus(t('status.initFailed', { error: error.message }), 'error');
       return false;
     }
   }
@@ -81,23 +119,478 @@ class ARPuppetApp {
   async initializeUI() {
     this.uiManager = new UIManager();
     this.uiManager.initialize();
-    this.uiManager.setStatus('Initializing...', 'info');
+    this.uiManager.setStatus(t('status.initializing'), 'info');
+    this.uiManager.setLocales(i18n.list(), i18n.locale);
+    this.initializeSpeech();
+    this.initializeHandsFree();
+    this.initializeVoiceInput();
+    this.initializeBargeIn();
+
+    // 自动显示当前角色的欢迎语
+    const persona = this.personaManager.getActive();
+    this.uiManager.setPersonas(this.personaManager.list(), persona?.id);
+    this.showGreeting(persona);
+
+    this.uiManager.on('localeSelect', (locale) => {
+      i18n.setLocale(locale);
+    });
 
-    // 自动显示欢迎语和功能介绍
-    setTimeout(() => {
-      this.uiManager.showRobotDialogue('Welcome! I am your AR assistant.');
-      setTimeout(() => {
-        this.uiManager.showRobotDialogue('You can chat with me, ask questions, or use the voice button below!');
-      }, 2500);
-    }, 600);
+    i18n.on('localeChange', () => {
+      this.applyLocale();
+    });
+
+    // The first puppet's persona is the one remembered for the next visit
+    this.uiManager.on('personaSelect', (personaId) => {
+      const member = this.cast.getSelected();
+      if (!member || member === this.cast.list()[0]) {
+        this.personaManager.setActive(personaId);
+        return;
+      }
+      const persona = this.personaManager.get(personaId);
+      if (persona && persona !== member.persona) {
+        this.applyPersona(persona, member);
+      }
+    });
+
+    this.personaManager.on('personaChange', ({ persona }) => {
+      this.applyPersona(persona, this.cast.list()[0]);
+    });
 
     this.uiManager.on('sendMessage', (text) => {
       this.handleUserMessage(text);
     });
 
-    this.uiManager.on('voiceInput', (text) => {
+    this.uiManager.on('stopRequest', () => {
+      this.skit?.stop();
+      this.cast.list().forEach(member => member.engine?.cancel());
+      this.speechOutput?.stop();
+    });
+
+    // The customizer restyles the selected puppet; looks are remembered per persona
+    this.uiManager.on('appearanceChange', (appearance) => {
+      this.customizeAppearance(appearance);
+    });
+    this.uiManager.on('appearanceReset', () => {
+      this.customizeAppearance(null);
+    });
+  }
+
+  /**
+   * Restyle the selected puppet and save the look for its persona; null resets it
+   */
+  customizeAppearance(appearance) {
+    const member = this.cast.getSelected();
+    if (!member) return;
+
+    const applied = member.puppet.setAppearance(appearance);
+    saveAppearance(member.persona?.id, appearance ? applied : null);
+    if (!appearance) {
+      this.showAppearance(member);
+    }
+  }
+
+  /**
+   * Show a member's appearance in the customizer
+   */
+  showAppearance(member) {
+    this.uiManager.setAppearance(member.puppet.getAppearance(), member.puppet.getAppearanceColors());
+  }
+
+  /**
+   * Initialize spoken replies
+   */
+  initializeSpeech() {
+    this.speechOutput = new SpeechOutput({ enabled: this.config.enableVoiceOutput });
+    if (!this.speechOutput.isSupported()) {
+      this.log('Speech output not supported in this browser');
+    }
+
+    this.speechOutput.setVoice(this.getPersonaVoice(this.personaManager.getActive()));
+    this.uiManager.setMuted(this.speechOutput.muted);
+
+    this.uiManager.on('muteToggle', () => {
+      this.speechOutput.toggleMute();
+    });
+
+    this.speechOutput.on('muteChange', (muted) => {
+      this.uiManager.setMuted(muted);
+    });
+
+    this.speechOutput.on('speechStart', ({ id }) => {
+      this.uiManager.setSpeaking(id, true);
+      const puppet = this.getSpeakingPuppet(id);
+      if (puppet) {
+        puppet.setSpeaking(true);
+        puppet.playAnimation('talking');
+      }
+    });
+
+    // Lip sync: analyse played audio and shape the mouth for each spoken word
+    this.speechOutput.on('speechAudio', ({ id, audio }) => {
+      this.getSpeakingPuppet(id)?.attachSpeechAudio(audio);
+    });
+
+    this.speechOutput.on('speechBoundary', (boundary) => {
+      this.getSpeakingPuppet(boundary.id)?.speakWord(boundary);
+    });
+
+    this.speechOutput.on('speechEnd', ({ id }) => {
+      this.uiManager.setSpeaking(id, false);
+      // The puppet's next queued reply may start right away; only settle when none follows
+      const puppet = this.getSpeakingPuppet(id);
+      const next = this.speechOutput.queue[0];
+      if (puppet && !(next && this.getSpeakingPuppet(next.id) === puppet)) {
+        puppet.setSpeaking(false);
+        puppet.playAnimation(this.userTalking ? 'listening' : 'idle');
+      }
+    });
+  }
+
+  /**
+   * Initialize hands-free voice conversation
+   */
+  initializeHandsFree() {
+    this.handsFree = new HandsFreeListener({
+      lang: i18n.getSpeechLanguage(),
+      wakePhrase: this.config.wakePhrase,
+      silenceTimeout: this.config.voiceSilenceTimeout
+    });
+
+    this.uiManager.on('handsFreeToggle', () => {
+      if (this.handsFree.active) {
+        this.handsFree.stop();
+        this.showReadyStatus();
+      } else {
+        this.voiceUsed = true;
+        this.handsFree.start();
+      }
+    });
+
+    this.handsFree.on('stateChange', ({ state }) => {
+      this.uiManager.setHandsFreeState(state);
+      if (state === 'listening') {
+        this.updateStatus(t('status.listening'), 'listening');
+      } else if (state === 'waiting') {
+        this.updateStatus(t('status.sayWakePhrase', { phrase: this.config.wakePhrase }), 'info');
+      }
+    });
+
+    this.handsFree.on('wake', () => {
+      this.puppetModel?.playAnimation('listening');
+    });
+
+    this.handsFree.on('interim', ({ text }) => {
+      this.uiManager.showInterimTranscript(text);
+    });
+
+    this.handsFree.on('utterance', ({ text }) => {
+      this.uiManager.updateLastSentMessage(text);
       this.handleUserMessage(text);
     });
+
+    this.handsFree.on('error', ({ error, message }) => {
+      this.updateStatus(this.translateError('voiceErrors', error, message), 'error');
+    });
+
+    // Don't transcribe the robot's own voice
+    this.speechOutput.on('speechStart', () => {
+      this.handsFree.pause();
+    });
+
+    this.speechOutput.on('speechEnd', () => {
+      this.resumeHandsFree();
+    });
+  }
+
+  /**
+   * Initialize push-to-talk voice input
+   */
+  initializeVoiceInput() {
+    this.speechInput = new SpeechToText({
+      lang: i18n.getSpeechLanguage()
+    });
+
+    this.uiManager.on('voiceStart', () => {
+      // Talking over the robot means it should stop and listen
+      this.voiceUsed = true;
+      this.speechOutput?.stop();
+      this.handsFree?.pause();
+      this.speechInput.start();
+    });
+
+    this.uiManager.on('voiceStop', () => {
+      this.speechInput.stop();
+    });
+
+    // Whether the recording ended with a message or an error the user has already seen
+    let handled = false;
+
+    this.speechInput.on('start', () => {
+      handled = false;
+      this.uiManager.setRecording('recording');
+      this.updateStatus(t('status.listening'), 'listening');
+      this.puppetModel?.playAnimation('listening');
+    });
+
+    this.speechInput.on('level', ({ level }) => {
+      this.uiManager.setVoiceLevel(level);
+    });
+
+    this.speechInput.on('interim', ({ text }) => {
+      this.uiManager.showInterimTranscript(text);
+    });
+
+    this.speechInput.on('maxDuration', () => {
+      this.updateStatus(t('status.recordingLimit'), 'info');
+    });
+
+    this.speechInput.on('processing', () => {
+      this.uiManager.setRecording('transcribing');
+      this.updateStatus(t('status.transcribing'), 'info');
+    });
+
+    this.speechInput.on('result', ({ text }) => {
+      handled = true;
+      this.uiManager.showInterimTranscript('');
+      this.uiManager.updateLastSentMessage(text);
+      this.handleUserMessage(text);
+    });
+
+    this.speechInput.on('error', ({ error, message }) => {
+      handled = true;
+      this.updateStatus(this.translateError('voiceErrors', error, message), 'error');
+    });
+
+    this.speechInput.on('end', () => {
+      this.uiManager.setRecording('idle');
+      this.handsFree?.resume();
+      if (!handled) {
+        this.uiManager.showInterimTranscript('');
+        this.updateStatus(t('status.notHeard'), 'info');
+        this.puppetModel?.playAnimation('idle');
+      }
+    });
+  }
+
+  /**
+   * Initialize barge-in: talking while the robot answers interrupts it
+   */
+  initializeBargeIn() {
+    if (!this.config.enableBargeIn || !VoiceActivityDetector.isSupported()) return;
+
+    this.vad = new VoiceActivityDetector({ threshold: this.config.bargeInThreshold });
+
+    this.vad.on('speechStart', () => {
+      this.userTalking = true;
+      this.bargeIn();
+    });
+
+    this.vad.on('speechEnd', () => {
+      this.userTalking = false;
+    });
+
+    this.vad.on('error', ({ message }) => {
+      this.log(message);
+      this.vad.dispose();
+      this.vad = null;
+    });
+
+    this.speechOutput.on('speechStart', () => this.updateBargeIn());
+    this.speechOutput.on('speechEnd', () => this.updateBargeIn());
+  }
+
+  /**
+   * Keep the barge-in microphone open only while the robot is answering or speaking
+   */
+  updateBargeIn() {
+    if (!this.vad) return;
+
+    const busy = this.isProcessing() || this.speechOutput?.isSpeaking;
+    if (this.voiceUsed && busy) {
+      this.vad.start();
+    } else {
+      this.vad.stop();
+    }
+  }
+
+  /**
+   * The user started talking over the robot: stop speaking, abort the reply and listen
+   */
+  bargeIn() {
+    const speaking = this.speechOutput?.isSpeaking;
+    const processing = this.cast.list().filter(member => member.engine?.isProcessing);
+    if (!speaking && processing.length === 0) return;
+
+    this.log('Barge-in: user interrupted the robot');
+    const cutOff = this.speechOutput?.stop();
+    const speaker = cutOff ? this.speechOwners.get(cutOff.id) : null;
+    speaker?.engine.interrupt({
+      messageId: cutOff.id,
+      spokenText: cutOff.spokenText || ''
+    });
+    processing
+      .filter(member => member !== speaker)
+      .forEach(member => member.engine.interrupt());
+    this.skit?.stop();
+
+    this.puppetModel?.playAnimation('listening');
+    this.updateStatus(t('status.listening'), 'listening');
+  }
+
+  /**
+   * Voice settings for a persona, speaking the locale's language by default
+   */
+  getPersonaVoice(persona) {
+    return {
+      lang: i18n.getSpeechLanguage(),
+      ...persona?.voice
+    };
+  }
+
+  /**
+   * Switch UI strings, speech and the robot's reply language to the active locale
+   */
+  applyLocale() {
+    const lang = i18n.getSpeechLanguage();
+    this.log(`Switching locale to ${i18n.locale}`);
+
+    this.uiManager.applyTranslations();
+    const selected = this.cast.getSelected()?.persona || this.personaManager.getActive();
+    this.uiManager.setPersonas(this.personaManager.list(), selected?.id);
+    this.speechOutput?.setVoice(this.getPersonaVoice(this.personaManager.getActive()));
+    this.handsFree?.setLanguage(lang);
+    this.speechInput?.setLanguage(lang);
+    this.cast.list().forEach(member => member.engine?.setReplyLanguage(i18n.getReplyLanguage()));
+
+    if (!this.isProcessing()) {
+      this.showReadyStatus();
+    }
+  }
+
+  /**
+   * Ready status, or the offline demo warning while replies come from the mock provider
+   */
+  showReadyStatus(key = 'status.ready') {
+    if (this.offlineDemo) {
+      this.updateStatus(t('status.offlineDemo'), 'error');
+      return;
+    }
+    this.updateStatus(t(key), 'success');
+  }
+
+  /**
+   * Localized message for an error code, or the module's own message
+   */
+  translateError(group, code, fallback) {
+    const key = `${group}.${code}`;
+    return i18n.has(key) ? t(key) : fallback;
+  }
+
+  /**
+   * Show a persona's greeting lines one after another in the speech bubble
+   * member is the cast member greeting, once the cast is loaded
+   */
+  showGreeting(persona, member = null) {
+    this.greetingTimers.forEach(timer => clearTimeout(timer));
+    this.greetingTimers = [];
+    const greetings = i18n.localize(persona?.greetings) || [];
+
+    greetings.forEach((line, index) => {
+      this.greetingTimers.push(setTimeout(() => {
+        this.uiManager.showRobotDialogue(line, { speaker: this.describeSpeaker(member) });
+        this.speakAs(member, line);
+      }, 600 + index * 2500));
+    });
+  }
+
+  /**
+   * Switch a cast member (the first one by default) to a persona
+   */
+  applyPersona(persona, member = this.cast.list()[0]) {
+    if (!member) return;
+
+    this.log(`Switching ${member.persona?.name || member.id} to ${persona.name}`);
+    member.persona = persona;
+    if (member === this.cast.getSelected()) {
+      this.uiManager.setActivePersona(persona);
+    }
+    if (member === this.cast.list()[0]) {
+      i18n.usePersonaLanguage(persona.language);
+      this.speechOutput?.setVoice(this.getPersonaVoice(persona));
+    }
+
+    this.skit?.stop();
+    this.speechOutput?.stop();
+
+    member.puppet.setBodyColor(persona.bodyColor);
+    member.puppet.setAppearance(loadSavedAppearance(persona.id));
+    if (member === this.cast.getSelected()) {
+      this.showAppearance(member);
+    }
+    member.puppet.playAnimation('greeting');
+
+    // A reply still streaming belongs to the previous character
+    member.engine.cancel();
+    const { historyReset } = member.engine.applyPersona(persona);
+    // The chat is shared by the whole cast; only a lone puppet starts it over
+    if (historyReset && this.cast.size === 1) {
+      this.uiManager.clearChatHistory();
+    }
+
+    this.showGreeting(persona, member);
+  }
+
+  /**
+   * Speak text in a cast member's voice and lip-sync its puppet
+   * Without a member the default voice is used and the selected puppet talks
+   */
+  speakAs(member, text, id = `speech-${Date.now()}`) {
+    if (!this.speechOutput) return Promise.resolve(false);
+
+    if (member) {
+      this.speechOwners.set(id, member);
+    }
+    return this.speechOutput
+      .speak(text, { id, voice: member ? this.getPersonaVoice(member.persona) : null })
+      .finally(() => this.speechOwners.delete(id));
+  }
+
+  /**
+   * Puppet saying a speech item
+   */
+  getSpeakingPuppet(id) {
+    return this.speechOwners.get(id)?.puppet || this.puppetModel;
+  }
+
+  /**
+   * Who said something, for chat labels and the speech bubble; null while the puppet is alone
+   */
+  describeSpeaker(member) {
+    if (!member || this.cast.size < 2) return null;
+
+    const head = member.puppet.getHeadPosition();
+    return {
+      name: member.persona?.name,
+      color: member.persona?.bodyColor,
+      x: head ? this.toScreenPosition(head).x : undefined
+    };
+  }
+
+  /**
+   * Whether any puppet is working on a reply
+   */
+  isProcessing() {
+    return this.cast.list().some(member => member.engine?.isProcessing);
+  }
+
+  /**
+   * Let hands-free listen again once no puppet is thinking or speaking
+   * The speech queue drains between streamed sentences, so it alone is not enough
+   */
+  resumeHandsFree() {
+    if (this.isProcessing() || this.speechOutput?.isSpeaking || this.speechOutput?.queue.length > 0) return;
+    if (this.speechInput && this.speechInput.state !== 'idle') return;
+    this.handsFree?.resume();
   }
 
   /**
@@ -213,64 +706,388 @@ class ARPuppetApp {
   }
 
   /**
-   * Initialize Puppet Model
+   * Load the cast: the active persona's puppet plus any configured in config.cast
    */
-  async initializePuppet() {
-    this.puppetModel = new PuppetModel({
-      modelUrl: this.config.puppetModelUrl || '/models/puppet.gltf'
+  async initializeCast() {
+    const personas = [this.personaManager.getActive()];
+    this.config.cast.forEach(id => {
+      const persona = this.personaManager.get(id);
+      if (!persona) {
+        console.warn(`[ARPuppetApp] Unknown cast persona: ${id}`);
+      } else if (!personas.includes(persona)) {
+        personas.push(persona);
+      }
+    });
+    personas.splice(this.cast.config.maxMembers);
+
+    this.cast.on('selectionChange', ({ member }) => this.onMemberSelected(member));
+    this.cast.on('memberAdd', () => {
+      this.gestures?.setPuppets(this.cast.list().map(member => member.puppet));
     });
 
-    const result = await this.puppetModel.initialize(this.scene);
+    const puppets = [];
+    for (const [index, persona] of personas.entries()) {
+      puppets.push(await this.createPuppet(persona, this.cast.getPosition(index, personas.length)));
+    }
+    this.updateStatus(t('status.initializingConversation'), 'info');
+
+    for (const [index, persona] of personas.entries()) {
+      const engine = await this.createConversation(persona, puppets[index]);
+      this.attachConversation(this.cast.add({ persona, puppet: puppets[index], engine }));
+    }
+
+    // Gaze: the camera by default, the pointer when it moves, the chat while the user types
+    window.addEventListener('pointermove', (event) => {
+      const { x, y } = this.toDeviceCoordinates(event.clientX, event.clientY);
+      this.cast.list().forEach(member => member.puppet.lookAtPointer(x, y));
+    });
+    this.uiManager.on('typing', (typing) => {
+      const center = typing ? this.uiManager.getChatPanelCenter() : null;
+      const point = center ? this.toDeviceCoordinates(center.x, center.y) : null;
+      this.cast.list().forEach(member => member.puppet.glanceAt(point));
+    });
+
+    this.initializeGestures();
+
+    globalState.setState({ puppetLoaded: true, conversationActive: true });
+    this.log(`Cast loaded: ${personas.map(persona => persona.name).join(', ')}`);
+  }
+
+  /**
+   * Bring another character on stage; the others step aside to make room
+   * Returns the new member, or null when the cast is full
+   */
+  async addCastMember(persona) {
+    if (!persona || this.cast.isFull()) return null;
+
+    const puppet = await this.createPuppet(persona, this.cast.getPosition(this.cast.size, this.cast.size + 1));
+    const engine = await this.createConversation(persona, puppet);
+    const member = this.cast.add({ persona, puppet, engine });
+    this.attachConversation(member);
+
+    this.cast.list().forEach((entry, index) => {
+      const position = this.cast.getPosition(index);
+      entry.puppet.setHomePosition(position);
+      entry.puppet.transitionTo({ position });
+    });
+    return member;
+  }
+
+  /**
+   * Load a puppet for a persona at a stage position
+   */
+  async createPuppet(persona, position) {
+    const puppet = new PuppetModel({
+      modelUrl: this.config.puppetModelUrl || ASSET_PATHS.defaultPuppetModel,
+      renderer: this.renderer,
+      animationManifest: this.config.puppetAnimationManifest,
+      bodyColor: persona?.bodyColor,
+      appearance: loadSavedAppearance(persona?.id),
+      position
+    });
+
+    puppet.on('loadProgress', (progress) => this.uiManager.setLoadProgress(progress));
+    const result = await puppet.initialize(this.scene);
+    this.uiManager.setLoadProgress(null);
     if (!result.success) {
       console.warn('[ARPuppetApp] Puppet model initialization had issues, but continuing with placeholder');
     }
+    if (puppet.loadError) {
+      this.reportModelFallback(puppet.loadError);
+    }
 
-    this.puppetModel.on('animationStart', (animationName) => {
-      globalState.setState({ puppetAnimationState: animationName });
+    // Only the selected puppet's state is tracked
+    puppet.on('animationStart', (animationName) => {
+      if (puppet === this.puppetModel) {
+        globalState.setState({ puppetAnimationState: animationName });
+      }
+    });
+    puppet.on('animationStop', () => {
+      if (puppet === this.puppetModel) {
+        globalState.setState({ puppetAnimationState: null });
+      }
+    });
+
+    puppet.setLookCamera(this.camera);
+    this.log(`Puppet loaded for ${persona?.name}`);
+    return puppet;
+  }
+
+  /**
+   * Tell the user why their model was replaced by the placeholder robot
+   * A missing default model is expected (none ships with the app) and stays in the console
+   */
+  reportModelFallback(error) {
+    if (!this.config.puppetModelUrl && error.type === MODEL_ERROR_TYPES.NOT_FOUND) return;
+
+    const reason = this.translateError('modelErrors', error.type, error.message);
+    this.uiManager.showModelNotice(t('modelErrors.fallback', { url: error.url, reason }));
+    this.log(`Model fell back to the placeholder (${error.type}): ${error.message}`);
+  }
+
+  /**
+   * The user now talks to this member
+   */
+  onMemberSelected(member) {
+    this.uiManager.setActivePersona(member.persona);
+    this.showAppearance(member);
+    this.gestures?.setTarget(member.puppet);
+    globalState.setState({
+      selectedPuppet: member.id,
+      // The greeting may have started during initialization
+      puppetAnimationState: member.puppet.getAnimationState()
+    });
+    this.saveTransform(member.puppet.getTransform());
+  }
+
+  /**
+   * Move, scale, turn and poke the puppets by touch or mouse
+   */
+  initializeGestures() {
+    this.gestures = new GestureController(this.renderer.domElement, this.camera, this.puppetModel);
+    this.gestures.setPuppets(this.cast.list().map(member => member.puppet));
+
+    // Touching a puppet selects it
+    const select = (puppet) => {
+      const member = this.cast.findByPuppet(puppet);
+      if (member) this.cast.select(member.id);
+    };
+
+    this.gestures.on('transformStart', select);
+    this.gestures.on('transformEnd', (transform) => this.saveTransform(transform));
+    this.gestures.on('poke', ({ reaction, puppetModel }) => {
+      select(puppetModel);
+      puppetModel.playAnimation(reaction);
     });
 
-    globalState.setState({ puppetLoaded: true });
-    this.log('Puppet model loaded');
+    this.saveTransform(this.puppetModel.getTransform());
+    this.gestures.attach();
   }
 
   /**
-   * Initialize Conversation Engine
+   * Remember the selected puppet's transform
    */
-  async initializeConversation() {
-    this.conversationEngine = new ConversationEngine({
+  saveTransform(transform) {
+    if (!transform) return;
+    globalState.setState({
+      puppetPosition: transform.position,
+      puppetRotation: transform.rotation,
+      puppetScale: transform.scale
+    });
+  }
+
+  /**
+   * Create a conversation engine for a persona, with tools acting on its own puppet
+   */
+  async createConversation(persona, puppet) {
+    // Tools the LLM can call to act on its own scene
+    const tools = registerSceneTools(new ToolRegistry(), {
+      puppetModel: puppet,
+      setBackgroundColor: (color) => this.setBackgroundColor(color)
+    });
+
+    const engine = new ConversationEngine({
+      tools,
       apiProvider: this.config.apiProvider,
-      maxHistoryLength: this.config.maxConversationHistory
+      mockFallback: this.config.mockFallback,
+      structuredResponses: this.config.structuredResponses,
+      maxHistoryLength: this.config.maxConversationHistory,
+      historyTokenBudget: this.config.historyTokenBudget,
+      replyLanguage: i18n.getReplyLanguage()
     });
 
-    const result = await this.conversationEngine.initialize(
+    // Without a key the mock provider answers; the status says so instead of looking ready
+    engine.on('providerFallback', () => {
+      this.offlineDemo = true;
+      this.log('No API key found - running in offline demo mode');
+      this.updateStatus(t('status.offlineDemo'), 'error');
+    });
+
+    if (persona) {
+      engine.applyPersona(persona);
+    }
+
+    const result = await engine.initialize(
       globalState.getState().userId
     );
 
     if (!result.success) {
       throw new Error(`Conversation engine initialization failed: ${result.message}`);
     }
+    return engine;
+  }
+
+  /**
+   * Show, speak and act out a cast member's replies
+   */
+  attachConversation(member) {
+    const { engine, puppet } = member;
 
-    this.conversationEngine.on('messageReceived', (message) => {
-      this.uiManager.addMessage(message);
+    engine.on('messageDelta', (message) => {
+      this.uiManager.addMessage({ ...message, streaming: true, speaker: this.describeSpeaker(member) });
+
+      // Start talking as soon as the first token arrives
+      if (message.index === 0) {
+        this.updateStatus(t('status.responding'), 'info');
+        puppet.playAnimation('talking');
+      }
+    });
+
+    engine.on('messageComplete', (message) => {
+      this.uiManager.addMessage({ ...message, speaker: this.describeSpeaker(member) });
       globalState.setState({ 
         messageCount: globalState.getState().messageCount + 1,
         lastMessageTime: Date.now()
       });
 
       if (message.sender === 'puppet') {
-        // Play animation based on message
-        const animationHint = message.metadata?.animationHint || 'talking';
-        this.puppetModel.playAnimation(animationHint);
+        this.speakAs(member, message.text, message.id);
+
+        // Play animation based on message (streamed replies are already talking)
+        const {
+          animationHint = 'talking',
+          emotion = null,
+          gestures = [],
+          streamed = false
+        } = message.metadata || {};
+
+        if (emotion) {
+          puppet.setEmotion(emotion);
+        }
+
+        if (gestures.length > 0) {
+          puppet.playGestureSequence(gestures, animationHint);
+        } else if (!streamed || animationHint !== 'talking') {
+          puppet.playAnimation(animationHint);
+        }
+      }
+    });
+
+    engine.on('processing', (isProcessing) => {
+      this.uiManager.setProcessing(this.isProcessing() || Boolean(this.skit?.running));
+      if (isProcessing) {
+        this.updateStatus(t('status.processing'), 'info');
+      } else {
+        this.resumeHandsFree();
       }
+      this.updateBargeIn();
+    });
+
+    engine.on('messageQueued', ({ position }) => {
+      this.updateStatus(t('status.queued', { position }), 'info');
+    });
+
+    engine.on('messageRejected', () => {
+      this.updateStatus(t('status.busy'), 'error');
+    });
+
+    engine.on('messageCancelled', ({ id }) => {
+      this.speechOutput.stop();
+      this.uiManager.markMessageCancelled(id);
+      puppet.playAnimation('idle');
+      this.updateStatus(t('status.stopped'), 'info');
+    });
+
+    engine.on('messageInterrupted', ({ id }) => {
+      this.uiManager.markMessageCancelled(id);
     });
 
-    this.conversationEngine.on('error', (error) => {
+    engine.on('toolCall', (call) => {
+      this.uiManager.showToolCall(call);
+    });
+
+    engine.on('toolResult', (call) => {
+      this.uiManager.showToolCall(call);
+    });
+
+    engine.on('retrying', ({ delay }) => {
+      this.updateStatus(t('status.retrying', { seconds: Math.ceil(delay / 1000) }), 'info');
+    });
+
+    engine.on('error', (error) => {
       console.error('[ARPuppetApp] Conversation error:', error);
-      this.updateStatus('Conversation error', 'error');
+      this.updateStatus(this.translateError('errors', error.type, error.userMessage || t('errors.unknown')), 'error');
+      puppet.playAnimation('confused');
     });
+  }
+
+  /**
+   * Puppet-to-puppet skits and debates
+   */
+  initializeSkit() {
+    this.skit = new SkitDirector({
+      waitForLine: (speaker, text) => this.waitForLine(text)
+    });
+
+    this.skit.on('start', ({ topic, members: [first, second] }) => {
+      globalState.setState({ skitActive: true });
+      this.uiManager.setProcessing(true);
+      this.updateStatus(t('status.skitStarted', {
+        first: first.persona.name,
+        second: second.persona.name,
+        topic
+      }), 'info');
+    });
+
+    // The two face each other while they talk
+    this.skit.on('turn', ({ speaker, listener }) => {
+      speaker.puppet.lookAtPoint(listener.puppet.getHeadPosition());
+      listener.puppet.lookAtPoint(speaker.puppet.getHeadPosition());
+    });
+
+    this.skit.on('end', ({ reason, members }) => {
+      members.forEach(member => member.puppet.lookAtPoint(null));
+      globalState.setState({ skitActive: false });
+      this.uiManager.setProcessing(this.isProcessing());
+      if (reason === 'finished') {
+        this.updateStatus(t('status.skitEnded'), 'success');
+      }
+    });
+  }
+
+  /**
+   * Start a skit between the selected puppet and the next one
+   * A second character joins the scene when the selected puppet is alone
+   */
+  async startSkit({ mode, turns, topic }) {
+    if (!topic) {
+      this.updateStatus(t('status.skitNeedsTopic'), 'error');
+      return;
+    }
+
+    if (this.skit.running) {
+      this.skit.stop();
+      this.speechOutput?.stop();
+      await this.skitRun;
+    }
+
+    const first = this.cast.getSelected();
+    const guest = this.personaManager.list().find(persona => !this.cast.findByPersona(persona.id));
+    const second = this.cast.next(first) || await this.addCastMember(guest);
+    if (!second) {
+      this.updateStatus(t('status.skitNoPartner'), 'error');
+      return;
+    }
+
+    this.skitRun = this.skit.run({ members: [first, second], topic, mode, turns })
+      .catch(error => {
+        console.error('[ARPuppetApp] Skit failed:', error);
+        this.updateStatus(t('status.error'), 'error');
+      });
+    await this.skitRun;
+  }
+
+  /**
+   * Wait until a skit line has been spoken, or read when the robots are not speaking aloud
+   */
+  waitForLine(text) {
+    const output = this.speechOutput;
+    if (output && output.isSupported() && output.config.enabled && !output.muted) {
+      return output.whenIdle();
+    }
 
-    globalState.setState({ conversationActive: true });
-    this.log('Conversation engine initialized');
+    const delay = Math.min(SKIT_READING_MS.max, SKIT_READING_MS.base + text.length * SKIT_READING_MS.perCharacter);
+    return new Promise(resolve => setTimeout(resolve, delay));
   }
 
   /**
@@ -306,29 +1123,43 @@ class ARPuppetApp {
 
     // 立即显示用户消息
     this.uiManager.addMessage({
-      id: `msg-${Date.now()}`,
+      id: `user-${Date.now()}`,
       sender: 'user',
       text: text,
       timestamp: Date.now(),
       type: 'text'
     });
 
-    this.uiManager.setInputEnabled(false);
-    this.updateStatus('Processing...', 'info');
+    // "/skit 6 topic" or "/debate topic": two puppets talk to each other
+    const skitCommand = parseSkitCommand(text);
+    if (skitCommand) {
+      await this.startSkit(skitCommand);
+      return;
+    }
+
+    // "@Captain Cog ..." or "Captain Cog, ..." talks to that puppet from now on
+    const addressed = this.cast.findAddressee(text);
+    if (addressed) {
+      this.cast.select(addressed.member.id);
+      if (!addressed.rest) {
+        this.puppetModel.playAnimation('greeting');
+        return;
+      }
+    }
+
+    // The user joining in ends a running skit
+    this.skit?.stop();
 
     try {
+      // Input stays enabled: messages sent mid-reply follow the engine's busy policy
       const response = await this.conversationEngine.sendMessage(text);
 
-      if (!response) {
-        this.updateStatus('Message failed', 'error');
-      } else {
-        this.updateStatus('Ready', 'success');
+      if (response && !this.isProcessing()) {
+        this.showReadyStatus();
       }
     } catch (error) {
       console.error('[ARPuppetApp] Error processing message:', error);
-      this.updateStatus('Error occurred', 'error');
-    } finally {
-      this.uiManager.setInputEnabled(true);
+      this.updateStatus(t('status.error'), 'error');
     }
   }
 
@@ -343,10 +1174,8 @@ class ARPuppetApp {
 
       const deltaTime = clock.getDelta();
 
-      // Update puppet
-      if (this.puppetModel) {
-        this.puppetModel.update(deltaTime);
-      }
+      // Update puppets
+      this.cast.list().forEach(member => member.puppet.update(deltaTime));
 
       // Render scene
       if (this.renderer && this.scene && this.camera) {
@@ -358,6 +1187,27 @@ class ARPuppetApp {
     this.log('Render loop started');
   }
 
+  /**
+   * Screen pixels to normalized device coordinates { x, y } (-1 to 1, y up)
+   */
+  toDeviceCoordinates(clientX, clientY) {
+    return {
+      x: (clientX / window.innerWidth) * 2 - 1,
+      y: -(clientY / window.innerHeight) * 2 + 1
+    };
+  }
+
+  /**
+   * World point to screen pixels { x, y }
+   */
+  toScreenPosition(point) {
+    const projected = point.clone().project(this.camera);
+    return {
+      x: (projected.x + 1) / 2 * window.innerWidth,
+      y: (1 - projected.y) / 2 * window.innerHeight
+    };
+  }
+
   /**
    * Handle window resize
    */
@@ -372,6 +1222,26 @@ class ARPuppetApp {
     this.renderer.setSize(width, height);
   }
 
+  /**
+   * Change the scene background colour (CSS colour name or hex)
+   * Returns the applied colour as hex
+   */
+  setBackgroundColor(color) {
+    if (!this.scene) {
+      throw new Error('Scene not ready');
+    }
+    if (!/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color) && !(color.toLowerCase() in THREE.Color.NAMES)) {
+      throw new Error(`Unsupported colour: ${color}`);
+    }
+
+    const threeColor = new THREE.Color(color.toLowerCase());
+    this.scene.background = threeColor;
+    if (this.scene.fog) {
+      this.scene.fog.color = threeColor.clone();
+    }
+    return `#${threeColor.getHexString()}`;
+  }
+
   /**
    * Enable AR background (transparent to show camera)
    */
@@ -385,7 +1255,7 @@ class ARPuppetApp {
     // 添加视频背景
     this.createVideoBackground();
     
-    this.updateStatus('AR mode enabled 📷', 'success');
+    this.updateStatus(t('status.arEnabled'), 'success');
   }
 
   /**
@@ -470,10 +1340,17 @@ class ARPuppetApp {
       cancelAnimationFrame(this.animationFrameId);
     }
 
-    if (this.puppetModel) {
-      this.puppetModel.dispose();
+    if (this.gestures) {
+      this.gestures.dispose();
+    }
+
+    if (this.skit) {
+      this.skit.dispose();
     }
 
+    // Puppets and their conversation engines
+    this.cast.dispose();
+
     if (this.arCamera) {
       await this.arCamera.dispose();
     }
@@ -482,8 +1359,20 @@ class ARPuppetApp {
       this.renderer.dispose();
     }
 
-    if (this.conversationEngine) {
-      this.conversationEngine.endSession();
+    if (this.speechOutput) {
+      this.speechOutput.dispose();
+    }
+
+    if (this.handsFree) {
+      this.handsFree.dispose();
+    }
+
+    if (this.speechInput) {
+      this.speechInput.dispose();
+    }
+
+    if (this.vad) {
+      this.vad.dispose();
     }
 
     if (this.uiManager) {
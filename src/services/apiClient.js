@@ -1,170 +1,443 @@
 /**
  * API Client Service - Abstracts all external API calls
- * Handles OpenAI, Claude, and other LLM providers
+ * Routes LLM requests through a registry of pluggable providers
+ *
+ * Modes:
+ *   direct  the browser calls the provider with a key it holds (local development)
+ *   proxy   requests go to the backend proxy (server/index.js) which adds the key,
+ *           so no key ever ships in the bundle. The proxy relays the provider's
+ *           response unchanged, so parsing stays with the provider here.
+ *
+ * Provider contract:
+ *   name                       unique id used in config (e.g. 'openai')
+ *   label                      human readable name
+ *   requiresApiKey             whether requests fail without a key
+ *   defaults                   { baseUrl, model, maxTokens, temperature, supportsJsonMode }
+ *   buildRequest(params, ctx)  -> { url, headers, body }
+ *       params: { messages, systemPrompt, model, temperature, maxTokens, stream, responseFormat, tools, toolChoice }
+ *       responseFormat 'json' asks for a JSON object when defaults.supportsJsonMode is set
+ *       tools are { name, description, parameters } with a JSON schema; toolChoice 'auto' | 'none'
+ *       ctx:    { apiKey, baseUrl }
+ *   parseResponse(data)        -> { text, usage, toolCalls? }
+ *   parseStreamEvent(event, state) -> { delta?, usage?, done?, error? }
+ *       state.toolCalls collects streamed tool calls as { id, name, argumentsText }
+ *   parseError(data, response) -> error message string
+ *   send(params, ctx, { onDelta, signal })  optional custom transport that
+ *       replaces the HTTP request entirely -> { text, usage, metadata? }
+ *
+ * Messages are { role: 'user' | 'assistant', content }, assistant messages may carry
+ * toolCalls: [{ id, name, arguments }] and tool results are { role: 'tool', toolCallId,
+ * name, content, isError }. The system prompt is passed separately and each provider
+ * places it (and converts tool messages) the way its API wants.
  */
 
 import { API_CONFIG, ENV } from '../config/constants.js';
+import { readSSEStream } from './sse.js';
+import {
+  APIError,
+  CircuitBreaker,
+  ERROR_TYPES,
+  parseRetryAfter,
+  withRetry
+} from './retry.js';
+import {
+  openaiProvider,
+  ollamaProvider,
+  lmStudioProvider,
+  createOpenAICompatibleProvider
+} from './providers/openai.js';
+import { claudeProvider } from './providers/claude.js';
+import { mockProvider } from './providers/mock.js';
+
+const providerRegistry = new Map();
+
+/**
+ * Register an LLM provider, replacing any provider with the same name
+ */
+export function registerProvider(provider) {
+  const required = ['name', 'buildRequest', 'parseResponse', 'parseStreamEvent'];
+  const missing = required.filter(key => !provider?.[key]);
+  if (missing.length > 0) {
+    throw new Error(`Invalid provider: missing ${missing.join(', ')}`);
+  }
+
+  providerRegistry.set(provider.name, {
+    label: provider.name,
+    requiresApiKey: false,
+    defaults: {},
+    parseError: (data, response) => `HTTP ${response.status}: ${response.statusText}`,
+    ...provider
+  });
+  return true;
+}
+
+/**
+ * Remove a provider from the registry
+ */
+export function unregisterProvider(name) {
+  return providerRegistry.delete(name);
+}
+
+/**
+ * Look up a registered provider
+ */
+export function getProvider(name) {
+  return providerRegistry.get(name) || null;
+}
+
+/**
+ * List registered providers
+ */
+export function listProviders() {
+  return Array.from(providerRegistry.values()).map(provider => ({
+    name: provider.name,
+    label: provider.label,
+    requiresApiKey: provider.requiresApiKey
+  }));
+}
+
+// Built-in providers
+registerProvider(openaiProvider);
+registerProvider(claudeProvider);
+registerProvider(ollamaProvider);
+registerProvider(lmStudioProvider);
+registerProvider(mockProvider);
+registerProvider(createOpenAICompatibleProvider({
+  name: 'custom',
+  label: 'OpenAI-compatible',
+  baseUrl: API_CONFIG.custom.baseUrl,
+  model: API_CONFIG.custom.model
+}));
 
 export class APIClient {
   constructor(config = {}) {
     this.config = {
-      provider: config.provider || import.meta.env.VITE_API_PROVIDER || 'openai',
-      apiKey: config.apiKey || import.meta.env.VITE_LLM_API_KEY,
+      provider: config.provider || ENV.apiProvider,
+      mode: config.mode || ENV.apiMode, // direct or proxy
+      proxyUrl: config.proxyUrl || ENV.proxyUrl,
+      apiKey: config.apiKey || ENV.apiKey,
+      baseUrl: config.baseUrl || null,
       timeout: config.timeout || 30000,
-      retries: config.retries || 3,
+      retries: config.retries || 3, // total attempts for recoverable errors
+      retryBaseDelay: config.retryBaseDelay || 1000,
+      retryMaxDelay: config.retryMaxDelay || 10000,
+      circuitThreshold: config.circuitThreshold || 5, // consecutive failures before pausing a provider
+      circuitResetTimeout: config.circuitResetTimeout || 30000,
       ...config
     };
 
-    if (!this.config.apiKey) {
+    this.breakers = new Map(); // provider name -> CircuitBreaker
+
+    // The configured key (VITE_LLM_API_KEY) belongs to the configured provider
+    this.apiKeys = {};
+    if (this.config.apiKey) {
+      this.apiKeys[this.config.provider] = this.config.apiKey;
+    }
+
+    if (this.isProxyMode()) {
+      console.log(`[APIClient] Using backend proxy at ${this.config.proxyUrl}`);
+    } else if (!this.hasCredentials(this.config.provider)) {
       console.warn('[APIClient] No API key configured');
     }
   }
 
   /**
-   * Send message to LLM API
+   * Whether requests go through the backend proxy
+   */
+  isProxyMode() {
+    return this.config.mode === 'proxy';
+  }
+
+  /**
+   * Whether requests to a provider can be authenticated
+   * In proxy mode the server holds the keys; providers with their own transport run locally
+   */
+  hasCredentials(providerName = this.config.provider) {
+    const provider = getProvider(providerName);
+    if (!provider) return false;
+    if (!provider.requiresApiKey) return true;
+    if (this.isProxyMode() && !provider.send) return true;
+    return Boolean(this.getAPIKey(providerName));
+  }
+
+  /**
+   * Send message to LLM API and wait for the full reply
    */
   async sendMessage(messages, options = {}) {
     try {
-      const {
-        systemPrompt = '',
-        temperature = 0.7,
-        maxTokens = 150
-      } = options;
-
-      // Format messages for API
-      const formattedMessages = [
-        { role: 'system', content: systemPrompt },
-        ...messages
-      ];
+      const { provider, params, context } = this.prepareRequest(messages, options, false);
 
-      let response;
-      if (this.config.provider === 'openai') {
-        response = await this.callOpenAI(formattedMessages, { temperature, maxTokens });
-      } else if (this.config.provider === 'claude') {
-        response = await this.callClaude(formattedMessages.slice(1), {
-          systemPrompt,
-          temperature,
-          maxTokens
-        });
-      } else {
-        throw new Error(`Unknown API provider: ${this.config.provider}`);
+      if (provider.send) {
+        return await this.withRetry(provider, options, async () => this.formatResult(
+          provider,
+          await provider.send(params, context, { signal: this.getAbortSignal(options.signal) })
+        ));
       }
 
-      return response;
+      return await this.withRetry(provider, options, async () => {
+        const response = await this.fetchProvider(provider, params, context, {
+          signal: this.getAbortSignal(options.signal)
+        });
+        const data = await response.json();
+        return this.formatResult(provider, provider.parseResponse(data));
+      });
     } catch (error) {
-      console.error('[APIClient] Error sending message:', error);
+      if (error.name !== 'AbortError') {
+        console.error('[APIClient] Error sending message:', error);
+      }
       throw error;
     }
   }
 
   /**
-   * Call OpenAI API with retry logic
+   * Stream message from LLM API, calling onDelta(delta, fullText) for every text chunk
    */
-  async callOpenAI(messages, options = {}) {
-    const { temperature, maxTokens } = options;
-    const config = API_CONFIG.openai;
+  async streamMessage(messages, options = {}) {
+    const { onDelta = () => {} } = options;
 
-    const makeRequest = async () => {
-      const response = await fetch(`${config.baseUrl}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.config.apiKey}`
-        },
-        body: JSON.stringify({
-          model: config.model,
-          messages: messages,
-          temperature: temperature || config.temperature,
-          max_tokens: maxTokens || config.maxTokens
-        }),
-        signal: this.getAbortSignal()
-      });
+    try {
+      const { provider, params, context } = this.prepareRequest(messages, options, true);
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`OpenAI API error: ${error.error?.message || response.statusText}`);
+      if (provider.send) {
+        return await this.withStreamRetry(provider, options, async (state) => this.formatResult(
+          provider,
+          await provider.send(params, context, {
+            signal: options.signal,
+            onDelta: (delta) => {
+              state.text += delta;
+              onDelta(delta, state.text);
+            }
+          })
+        ));
       }
 
-      const data = await response.json();
-      const text = data.choices[0]?.message?.content || '';
+      return await this.withStreamRetry(provider, options, async (state) => {
+        // No overall timeout - a long reply may legitimately stream for a while
+        const response = await this.fetchProvider(provider, params, context, {
+          signal: options.signal
+        });
+        const streamState = { toolCalls: [] };
+        let usage = {};
+
+        for await (const event of readSSEStream(response)) {
+          let result;
+          try {
+            result = provider.parseStreamEvent(event, streamState);
+          } catch (error) {
+            console.warn('[APIClient] Ignoring malformed stream event:', event.data);
+            continue;
+          }
 
-      return {
-        success: true,
-        text: text.trim(),
-        provider: 'openai',
-        usage: data.usage || {}
-      };
-    };
+          if (result.error) {
+            throw new APIError(`${provider.label} API error: ${result.error}`, {
+              type: ERROR_TYPES.SERVER,
+              provider: provider.name
+            });
+          }
+          if (result.usage) {
+            usage = { ...usage, ...result.usage };
+          }
+          if (result.delta) {
+            state.text += result.delta;
+            onDelta(result.delta, state.text);
+          }
+          if (result.done) break;
+        }
 
-    return this.withRetry(makeRequest);
+        return this.formatResult(provider, {
+          text: state.text,
+          usage,
+          toolCalls: this.finalizeToolCalls(streamState.toolCalls)
+        });
+      });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('[APIClient] Error streaming message:', error);
+      }
+      throw error;
+    }
   }
 
   /**
-   * Call Claude API with retry logic
+   * Normalise a provider result into the client's response shape
    */
-  async callClaude(messages, options = {}) {
-    const { systemPrompt, temperature, maxTokens } = options;
-    const config = API_CONFIG.claude;
-
-    const makeRequest = async () => {
-      const response = await fetch(`${config.baseUrl}/messages`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.config.apiKey,
-          'anthropic-version': config.version
-        },
-        body: JSON.stringify({
-          model: config.model,
-          max_tokens: maxTokens || config.maxTokens,
-          system: systemPrompt,
-          messages: messages,
-          temperature: temperature || 0.7
-        }),
-        signal: this.getAbortSignal()
-      });
+  formatResult(provider, result) {
+    return {
+      success: true,
+      text: (result.text || '').trim(),
+      provider: provider.name,
+      usage: result.usage || {},
+      toolCalls: (result.toolCalls || []).filter(call => call?.name),
+      metadata: result.metadata || {}
+    };
+  }
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Claude API error: ${error.error?.message || response.statusText}`);
+  /**
+   * Turn streamed tool call fragments into { id, name, arguments }
+   */
+  finalizeToolCalls(fragments) {
+    return fragments.filter(Boolean).map((call, index) => {
+      let args = {};
+      try {
+        args = call.argumentsText ? JSON.parse(call.argumentsText) : {};
+      } catch (error) {
+        console.warn(`[APIClient] Could not parse arguments for tool '${call.name}':`, call.argumentsText);
+        args = { _raw: call.argumentsText };
       }
 
-      const data = await response.json();
-      const text = data.content[0]?.text || '';
-
       return {
-        success: true,
-        text: text.trim(),
-        provider: 'claude',
-        usage: data.usage || {}
+        id: call.id || `call-${Date.now()}-${index}`,
+        name: call.name,
+        arguments: args
       };
+    });
+  }
+
+  /**
+   * Resolve provider, request params and connection context for a call
+   */
+  prepareRequest(messages, options, stream) {
+    const providerName = options.provider || this.config.provider;
+    const provider = getProvider(providerName);
+    if (!provider) {
+      throw new Error(`Unknown API provider: ${providerName}`);
+    }
+
+    const viaProxy = this.isProxyMode() && !provider.send;
+    const apiKey = viaProxy ? null : this.getAPIKey(providerName);
+    if (!this.hasCredentials(providerName)) {
+      throw new Error(`API Key not found for ${provider.label}. Please set VITE_LLM_API_KEY, use localStorage or VITE_API_MODE=proxy.`);
+    }
+
+    const params = {
+      messages,
+      systemPrompt: options.systemPrompt || '',
+      model: options.model || provider.defaults.model,
+      temperature: options.temperature ?? provider.defaults.temperature ?? 0.7,
+      maxTokens: options.maxTokens || provider.defaults.maxTokens || 150,
+      responseFormat: options.responseFormat || 'text',
+      tools: options.tools || [],
+      toolChoice: options.toolChoice || 'auto',
+      stream
     };
 
-    return this.withRetry(makeRequest);
+    return {
+      provider,
+      params,
+      context: {
+        apiKey,
+        baseUrl: this.getBaseUrl(provider, options),
+        proxyUrl: viaProxy ? this.config.proxyUrl : null
+      }
+    };
   }
 
   /**
-   * Retry logic with exponential backoff
+   * Perform the HTTP request described by a provider
+   * In proxy mode the neutral params go to the proxy, which builds the provider request itself
    */
-  async withRetry(fn, attempt = 1) {
-    try {
-      return await fn();
-    } catch (error) {
-      if (attempt < this.config.retries) {
-        const delay = Math.pow(2, attempt - 1) * 1000;
-        console.log(`[APIClient] Retry attempt ${attempt}/${this.config.retries} after ${delay}ms`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return this.withRetry(fn, attempt + 1);
+  async fetchProvider(provider, params, context, fetchOptions = {}) {
+    const { url, headers, body } = context.proxyUrl
+      ? {
+        url: `${context.proxyUrl}/chat`,
+        headers: { 'Content-Type': 'application/json' },
+        body: { provider: provider.name, ...params }
       }
+      : provider.buildRequest(params, context);
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      ...fetchOptions
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => null);
+      const error = new Error(`${provider.label} API error: ${provider.parseError(data, response)}`);
+      error.status = response.status;
+      error.retryAfter = parseRetryAfter(response.headers.get('retry-after'));
       throw error;
     }
+
+    return response;
+  }
+
+  /**
+   * Base URL for a provider: explicit option, client config, then provider default
+   */
+  getBaseUrl(provider, options = {}) {
+    if (options.baseUrl) return options.baseUrl;
+    if (this.config.baseUrl && provider.name === this.config.provider) return this.config.baseUrl;
+    return provider.defaults.baseUrl;
   }
 
   /**
-   * Get abort signal for timeout
+   * Retry a streaming request, but only while nothing has been streamed yet -
+   * once text has reached the caller a retry would duplicate it
    */
-  getAbortSignal() {
-    return AbortSignal.timeout(this.config.timeout);
+  async withStreamRetry(provider, options, fn) {
+    const state = { text: '' };
+    return this.withRetry(provider, options, async () => {
+      try {
+        return await fn(state);
+      } catch (error) {
+        if (state.text) {
+          error.partialText = state.text;
+          error.retryable = false;
+        }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Run a request under the shared retry policy and the provider's circuit breaker
+   * Failures reject with a classified APIError (see retry.js)
+   */
+  withRetry(provider, options, fn) {
+    return withRetry(fn, {
+      retries: this.config.retries,
+      baseDelay: this.config.retryBaseDelay,
+      maxDelay: this.config.retryMaxDelay,
+      signal: options.signal,
+      breaker: this.getCircuitBreaker(provider.name),
+      provider: provider.name,
+      onRetry: options.onRetry
+    });
+  }
+
+  /**
+   * Circuit breaker for a provider, created on first use
+   */
+  getCircuitBreaker(providerName) {
+    if (!this.breakers.has(providerName)) {
+      this.breakers.set(providerName, new CircuitBreaker({
+        name: providerName,
+        failureThreshold: this.config.circuitThreshold,
+        resetTimeout: this.config.circuitResetTimeout
+      }));
+    }
+    return this.breakers.get(providerName);
+  }
+
+  /**
+   * Get abort signal for timeout, combined with the caller's cancel signal
+   */
+  getAbortSignal(signal = null) {
+    const timeout = AbortSignal.timeout(this.config.timeout);
+    if (!signal) return timeout;
+
+    if (AbortSignal.any) {
+      return AbortSignal.any([signal, timeout]);
+    }
+
+    // Older browsers: forward the caller's abort by hand
+    const controller = new AbortController();
+    const forward = (source) => controller.abort(source.reason);
+    signal.addEventListener('abort', () => forward(signal), { once: true });
+    timeout.addEventListener('abort', () => forward(timeout), { once: true });
+    return controller.signal;
   }
 
   /**
@@ -178,7 +451,7 @@ export class APIClient {
         { role: 'user', content: 'ping' }
       ];
 
-      const response = await this.sendMessage(messages, {
+      await this.sendMessage(messages, {
         maxTokens: 10
       });
 
@@ -196,18 +469,33 @@ export class APIClient {
     }
   }
 
+  /**
+   * Get API key for a provider from config or localStorage
+   */
+  getAPIKey(providerName = this.config.provider) {
+    if (this.apiKeys[providerName]) {
+      return this.apiKeys[providerName];
+    }
+
+    try {
+      return localStorage.getItem(`${providerName}_api_key`);
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Set API key
    */
-  setAPIKey(apiKey) {
-    this.config.apiKey = apiKey;
+  setAPIKey(apiKey, providerName = this.config.provider) {
+    this.apiKeys[providerName] = apiKey;
   }
 
   /**
    * Set API provider
    */
   setProvider(provider) {
-    if (['openai', 'claude'].includes(provider)) {
+    if (providerRegistry.has(provider)) {
       this.config.provider = provider;
       return true;
     }
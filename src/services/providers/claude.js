@@ -0,0 +1,145 @@
+/**
+ * Claude Provider - Anthropic Messages API
+ */
+
+import { API_CONFIG } from '../../config/constants.js';
+
+/**
+ * Convert provider-neutral history (with toolCalls / tool results) to Claude messages
+ * Consecutive tool results are merged into a single user message
+ */
+function toClaudeMessages(messages) {
+  const result = [];
+
+  messages.forEach(msg => {
+    if (msg.role === 'tool') {
+      const block = {
+        type: 'tool_result',
+        tool_use_id: msg.toolCallId,
+        content: msg.content,
+        ...(msg.isError ? { is_error: true } : {})
+      };
+      const last = result[result.length - 1];
+      if (last?.role === 'user' && Array.isArray(last.content) && last.content.every(b => b.type === 'tool_result')) {
+        last.content.push(block);
+      } else {
+        result.push({ role: 'user', content: [block] });
+      }
+      return;
+    }
+
+    if (msg.role === 'assistant' && msg.toolCalls?.length) {
+      result.push({
+        role: 'assistant',
+        content: [
+          ...(msg.content ? [{ type: 'text', text: msg.content }] : []),
+          ...msg.toolCalls.map(call => ({
+            type: 'tool_use',
+            id: call.id,
+            name: call.name,
+            input: call.arguments || {}
+          }))
+        ]
+      });
+      return;
+    }
+
+    result.push({ role: msg.role, content: msg.content });
+  });
+
+  return result;
+}
+
+export const claudeProvider = {
+  name: 'claude',
+  label: 'Claude',
+  requiresApiKey: true,
+  defaults: {
+    baseUrl: API_CONFIG.claude.baseUrl,
+    model: API_CONFIG.claude.model,
+    maxTokens: API_CONFIG.claude.maxTokens,
+    temperature: 0.7
+  },
+
+  buildRequest(params, context) {
+    return {
+      url: `${context.baseUrl}/messages`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': context.apiKey,
+        'anthropic-version': API_CONFIG.claude.version,
+        // Required for calls made straight from the browser
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body: {
+        model: params.model,
+        max_tokens: params.maxTokens,
+        system: params.systemPrompt,
+        messages: toClaudeMessages(params.messages),
+        temperature: params.temperature,
+        stream: params.stream,
+        ...(params.tools?.length ? {
+          tools: params.tools.map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            input_schema: tool.parameters
+          })),
+          tool_choice: { type: params.toolChoice === 'none' ? 'none' : 'auto' }
+        } : {})
+      }
+    };
+  },
+
+  parseResponse(data) {
+    if (!Array.isArray(data.content)) {
+      throw new Error('Invalid API response: missing content');
+    }
+
+    return {
+      text: data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      usage: data.usage || {},
+      toolCalls: data.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }))
+    };
+  },
+
+  parseStreamEvent(event, state) {
+    const data = JSON.parse(event.data);
+
+    switch (data.type) {
+      case 'content_block_start':
+        if (data.content_block?.type === 'tool_use') {
+          state.toolCalls[data.index] = {
+            id: data.content_block.id,
+            name: data.content_block.name,
+            argumentsText: ''
+          };
+        }
+        return {};
+      case 'content_block_delta':
+        if (data.delta?.type === 'input_json_delta') {
+          state.toolCalls[data.index].argumentsText += data.delta.partial_json;
+          return {};
+        }
+        return { delta: data.delta?.type === 'text_delta' ? data.delta.text : '' };
+      case 'message_delta':
+        return { usage: data.usage || null };
+      case 'message_stop':
+        return { done: true };
+      case 'error':
+        return { error: data.error?.message || 'stream error' };
+      default:
+        return {};
+    }
+  },
+
+  parseError(data, response) {
+    return data?.error?.message || `HTTP ${response.status}: ${response.statusText}`;
+  }
+};
+
+export default claudeProvider;
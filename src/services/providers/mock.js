@@ -0,0 +1,170 @@
+/**
+ * Mock Provider - Deterministic offline LLM for development and demos
+ * Answers from a fixture of pattern -> reply rules without any network access
+ *
+ * Rule fields:
+ *   pattern    regular expression tested against the latest user message
+ *   flags      regex flags (default 'i')
+ *   replies    reply texts, used in turn; '{{message}}' is replaced by the user message
+ *   animation  animation hint for the puppet (see ANIMATION_CONFIG.animationStates)
+ *   emotion    emotion for structured replies (see ANIMATION_CONFIG.emotions)
+ *   gestures   gesture steps for structured replies, e.g. [{ "animation": "happy", "duration": 800 }]
+ *   delay      ms before the reply starts
+ *   tokenDelay ms between streamed tokens
+ *   error      { status, message, retryable, retryAfter (s) } to simulate a failed request
+ *   toolCalls  [{ name, arguments }] called first when the request offers tools;
+ *              the reply is sent once the tool results come back
+ */
+
+import defaultFixture from '../../config/mockReplies.json';
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Aborted', 'AbortError'));
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Split a reply into stream tokens, keeping whitespace attached to words
+ * and emitting CJK text character by character
+ */
+function tokenize(text) {
+  return text.match(/[\u3000-\u9fff\uff00-\uffef]|\S+\s*|\s+/g) || [];
+}
+
+/**
+ * Create a mock provider for a fixture
+ */
+export function createMockProvider(fixture = defaultFixture) {
+  const rules = (fixture.rules || []).map(rule => ({
+    ...rule,
+    regex: new RegExp(rule.pattern, rule.flags ?? 'i')
+  }));
+  const fallback = fixture.fallback || { replies: ['...'] };
+
+  // Per-rule reply counters so repeated questions cycle deterministically
+  const counters = new Map();
+
+  const match = (userText) => rules.find(rule => rule.regex.test(userText)) || fallback;
+
+  const pickReply = (rule, userText) => {
+    const replies = rule.replies || [];
+    if (replies.length === 0) return '';
+
+    const key = rule.id || rule.pattern || 'fallback';
+    const count = counters.get(key) || 0;
+    counters.set(key, count + 1);
+
+    return replies[count % replies.length].replace(/\{\{message\}\}/g, userText);
+  };
+
+  return {
+    name: 'mock',
+    label: 'Mock (offline)',
+    requiresApiKey: false,
+    defaults: { model: 'mock', maxTokens: 1000, temperature: 0 },
+
+    /**
+     * Custom transport - answers locally instead of building an HTTP request
+     */
+    async send(params, context, { onDelta = () => {}, signal } = {}) {
+      const lastUser = [...params.messages].reverse().find(msg => msg.role === 'user');
+      const userText = typeof lastUser?.content === 'string' ? lastUser.content : '';
+      const rule = match(userText);
+
+      await sleep(rule.delay ?? fixture.delay ?? 0, signal);
+
+      // Call the scripted tools first, answer after their results are in
+      const lastMessage = params.messages[params.messages.length - 1];
+      const offeredTools = new Set((params.tools || []).map(tool => tool.name));
+      const toolCalls = (rule.toolCalls || []).filter(call => offeredTools.has(call.name));
+      if (toolCalls.length > 0 && lastMessage?.role === 'user' && params.toolChoice !== 'none') {
+        return {
+          text: '',
+          usage: {},
+          toolCalls: toolCalls.map((call, index) => ({
+            id: `mock-call-${Date.now()}-${index}`,
+            name: call.name,
+            arguments: call.arguments || {}
+          }))
+        };
+      }
+
+      if (rule.error) {
+        const error = new Error(`Mock API error: ${rule.error.message || 'Simulated error'}`);
+        error.status = rule.error.status || 500;
+        if (rule.error.retryable !== undefined) {
+          error.retryable = rule.error.retryable;
+        }
+        if (rule.error.retryAfter !== undefined) {
+          error.retryAfter = rule.error.retryAfter * 1000;
+        }
+        throw error;
+      }
+
+      const reply = pickReply(rule, userText);
+      const metadata = rule.animation ? { animationHint: rule.animation } : {};
+
+      // Answer the way a real model would when structured output was requested
+      const text = params.responseFormat === 'json'
+        ? JSON.stringify({
+          reply,
+          emotion: rule.emotion || 'neutral',
+          animation: rule.animation || 'talking',
+          gestures: rule.gestures || []
+        })
+        : reply;
+
+      if (params.stream) {
+        const tokenDelay = rule.tokenDelay ?? fixture.tokenDelay ?? 0;
+        let streamed = '';
+        for (const token of tokenize(text)) {
+          await sleep(tokenDelay, signal);
+          streamed += token;
+          onDelta(token, streamed);
+        }
+      }
+
+      return {
+        text,
+        usage: { prompt_tokens: 0, completion_tokens: 0 },
+        metadata
+      };
+    },
+
+    // The mock never talks HTTP, but keeps the common contract complete
+    buildRequest() {
+      throw new Error('Mock provider does not make HTTP requests');
+    },
+
+    parseResponse(data) {
+      return { text: data.text || '', usage: {} };
+    },
+
+    parseStreamEvent() {
+      return {};
+    },
+
+    /**
+     * Forget reply counters so the scripted sequence starts over
+     */
+    reset() {
+      counters.clear();
+    }
+  };
+}
+
+export const mockProvider = createMockProvider();
+
+export default mockProvider;
@@ -0,0 +1,178 @@
+/**
+ * OpenAI Provider - Chat Completions API
+ * Also the base for any OpenAI-compatible server (Ollama, LM Studio, vLLM...)
+ */
+
+import { API_CONFIG } from '../../config/constants.js';
+
+/**
+ * Convert provider-neutral history (with toolCalls / tool results) to OpenAI messages
+ */
+function toOpenAIMessages(messages) {
+  return messages.map(msg => {
+    if (msg.role === 'tool') {
+      return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+    }
+
+    if (msg.role === 'assistant' && msg.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: msg.content || null,
+        tool_calls: msg.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }))
+      };
+    }
+
+    return { role: msg.role, content: msg.content };
+  });
+}
+
+/**
+ * Parse a JSON arguments string, tolerating empty or broken output
+ */
+function parseArguments(text) {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch (error) {
+    return { _raw: text };
+  }
+}
+
+/**
+ * Create a provider speaking the OpenAI /chat/completions protocol
+ */
+export function createOpenAICompatibleProvider({
+  name,
+  label = name,
+  baseUrl,
+  model,
+  maxTokens = 1000,
+  temperature = 0.7,
+  requiresApiKey = false,
+  supportsJsonMode = false // accepts response_format json_object; many compatible servers do not
+}) {
+  return {
+    name,
+    label,
+    requiresApiKey,
+    defaults: { baseUrl, model, maxTokens, temperature, supportsJsonMode },
+
+    buildRequest(params, context) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (context.apiKey) {
+        headers['Authorization'] = `Bearer ${context.apiKey}`;
+      }
+
+      const body = {
+        model: params.model,
+        messages: [
+          ...(params.systemPrompt ? [{ role: 'system', content: params.systemPrompt }] : []),
+          ...toOpenAIMessages(params.messages)
+        ],
+        temperature: params.temperature,
+        max_tokens: params.maxTokens,
+        stream: params.stream
+      };
+
+      // Elsewhere the system prompt asks for JSON and the parser copes with plain text
+      if (params.responseFormat === 'json' && supportsJsonMode) {
+        body.response_format = { type: 'json_object' };
+      }
+
+      if (params.tools?.length) {
+        body.tools = params.tools.map(tool => ({
+          type: 'function',
+          function: {
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters
+          }
+        }));
+        body.tool_choice = params.toolChoice === 'none' ? 'none' : 'auto';
+      }
+
+      return {
+        url: `${context.baseUrl}/chat/completions`,
+        headers,
+        body
+      };
+    },
+
+    parseResponse(data) {
+      if (!data.choices || !data.choices[0]) {
+        throw new Error('Invalid API response: missing choices');
+      }
+
+      const message = data.choices[0].message || {};
+      return {
+        text: message.content || '',
+        usage: data.usage || {},
+        toolCalls: (message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function?.name,
+          arguments: parseArguments(call.function?.arguments)
+        }))
+      };
+    },
+
+    parseStreamEvent(event, state) {
+      if (event.data === '[DONE]') {
+        return { done: true };
+      }
+
+      const data = JSON.parse(event.data);
+      if (data.error) {
+        return { error: data.error.message || 'stream error' };
+      }
+
+      const delta = data.choices?.[0]?.delta || {};
+
+      // Tool calls arrive in fragments keyed by index
+      (delta.tool_calls || []).forEach(fragment => {
+        const call = state.toolCalls[fragment.index ?? 0] ||= { id: '', name: '', argumentsText: '' };
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.name += fragment.function.name;
+        if (fragment.function?.arguments) call.argumentsText += fragment.function.arguments;
+      });
+
+      return {
+        delta: delta.content || '',
+        usage: data.usage || null
+      };
+    },
+
+    parseError(data, response) {
+      return data?.error?.message || `HTTP ${response.status}: ${response.statusText}`;
+    }
+  };
+}
+
+export const openaiProvider = createOpenAICompatibleProvider({
+  name: 'openai',
+  label: 'OpenAI',
+  baseUrl: API_CONFIG.openai.baseUrl,
+  model: API_CONFIG.openai.model,
+  maxTokens: API_CONFIG.openai.maxTokens,
+  temperature: API_CONFIG.openai.temperature,
+  requiresApiKey: true,
+  supportsJsonMode: true
+});
+
+export const ollamaProvider = createOpenAICompatibleProvider({
+  name: 'ollama',
+  label: 'Ollama (local)',
+  baseUrl: API_CONFIG.ollama.baseUrl,
+  model: API_CONFIG.ollama.model
+});
+
+export const lmStudioProvider = createOpenAICompatibleProvider({
+  name: 'lmstudio',
+  label: 'LM Studio (local)',
+  baseUrl: API_CONFIG.lmstudio.baseUrl,
+  model: API_CONFIG.lmstudio.model
+});
+
+export default openaiProvider;
@@ -0,0 +1,317 @@
+/**
+ * Retry Policy - Error classification, backoff and circuit breaking for API calls
+ *
+ * Errors are classified into types so only recoverable failures are retried:
+ *   auth, quota, invalid_request   never retried - retrying cannot fix them
+ *   rate_limit                     retried after Retry-After (or backoff)
+ *   server, network, timeout       retried with jittered exponential backoff
+ *   cancelled                      the caller aborted - never retried
+ *   circuit_open                   the provider failed repeatedly and is resting
+ */
+
+export const ERROR_TYPES = {
+  AUTH: 'auth',
+  QUOTA: 'quota',
+  RATE_LIMIT: 'rate_limit',
+  SERVER: 'server',
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  INVALID_REQUEST: 'invalid_request',
+  CANCELLED: 'cancelled',
+  CIRCUIT_OPEN: 'circuit_open',
+  UNKNOWN: 'unknown'
+};
+
+const RETRYABLE_TYPES = [
+  ERROR_TYPES.RATE_LIMIT,
+  ERROR_TYPES.SERVER,
+  ERROR_TYPES.NETWORK,
+  ERROR_TYPES.TIMEOUT
+];
+
+// Failures that say the provider itself is unhealthy and count towards the circuit breaker
+const CIRCUIT_TYPES = [ERROR_TYPES.SERVER, ERROR_TYPES.NETWORK, ERROR_TYPES.TIMEOUT];
+
+const USER_MESSAGES = {
+  [ERROR_TYPES.AUTH]: 'API key rejected - check your key',
+  [ERROR_TYPES.QUOTA]: 'API quota used up - check your plan or billing',
+  [ERROR_TYPES.RATE_LIMIT]: 'Too many requests - please wait a moment',
+  [ERROR_TYPES.SERVER]: 'The AI service is having trouble - try again shortly',
+  [ERROR_TYPES.NETWORK]: 'Network error - check your connection',
+  [ERROR_TYPES.TIMEOUT]: 'The AI service took too long to answer',
+  [ERROR_TYPES.INVALID_REQUEST]: 'The request was rejected by the AI service',
+  [ERROR_TYPES.CANCELLED]: 'Request cancelled',
+  [ERROR_TYPES.CIRCUIT_OPEN]: 'The AI service is unavailable - pausing requests briefly',
+  [ERROR_TYPES.UNKNOWN]: 'Something went wrong'
+};
+
+const QUOTA_PATTERN = /quota|billing|credit|insufficient_quota/i;
+
+/**
+ * Typed API error carrying everything the retry policy and the UI need
+ */
+export class APIError extends Error {
+  constructor(message, {
+    type = ERROR_TYPES.UNKNOWN,
+    status = null,
+    provider = null,
+    retryAfter = null, // ms
+    retryable = RETRYABLE_TYPES.includes(type),
+    cause = null
+  } = {}) {
+    super(message);
+    this.name = 'APIError';
+    this.type = type;
+    this.status = status;
+    this.provider = provider;
+    this.retryAfter = retryAfter;
+    this.retryable = retryable;
+    this.cause = cause;
+  }
+
+  /**
+   * Short message suitable for the status indicator
+   */
+  get userMessage() {
+    return USER_MESSAGES[this.type] || USER_MESSAGES[ERROR_TYPES.UNKNOWN];
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Error type for an HTTP status code
+ */
+function typeFromStatus(status, message) {
+  if (status === 401 || status === 403) return ERROR_TYPES.AUTH;
+  if (status === 402) return ERROR_TYPES.QUOTA;
+  if (status === 429) return QUOTA_PATTERN.test(message) ? ERROR_TYPES.QUOTA : ERROR_TYPES.RATE_LIMIT;
+  if (status === 408) return ERROR_TYPES.TIMEOUT;
+  if (status >= 500) return ERROR_TYPES.SERVER; // includes 529 overloaded
+  if (status >= 400) return ERROR_TYPES.INVALID_REQUEST;
+  return ERROR_TYPES.UNKNOWN;
+}
+
+/**
+ * Turn any thrown value into an APIError
+ * Fields already set on the error (status, retryAfter, retryable) are respected
+ */
+export function classifyError(error, provider = null) {
+  if (error instanceof APIError) return error;
+
+  const message = error?.message || String(error);
+  let type;
+
+  if (error?.name === 'AbortError') {
+    type = ERROR_TYPES.CANCELLED;
+  } else if (error?.name === 'TimeoutError') {
+    type = ERROR_TYPES.TIMEOUT;
+  } else if (error?.status) {
+    type = typeFromStatus(error.status, message);
+  } else if (error instanceof TypeError || /network|failed to fetch|ECONNREFUSED|ECONNRESET/i.test(message)) {
+    // fetch rejects with a TypeError when the connection itself fails
+    type = ERROR_TYPES.NETWORK;
+  } else {
+    type = ERROR_TYPES.UNKNOWN;
+  }
+
+  const classified = new APIError(message, {
+    type,
+    status: error?.status || null,
+    provider,
+    retryAfter: error?.retryAfter ?? null,
+    retryable: RETRYABLE_TYPES.includes(type) && error?.retryable !== false,
+    cause: error
+  });
+  if (error?.partialText) {
+    classified.partialText = error.partialText;
+  }
+  return classified;
+}
+
+/**
+ * Full-jitter exponential backoff delay for an attempt (1-based)
+ */
+export function getBackoffDelay(attempt, { baseDelay = 1000, maxDelay = 10000 } = {}) {
+  const ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Sleep that ends early when the signal aborts
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Circuit breaker - after repeated failures, fail fast for a while instead of
+ * hammering a provider that is down, then let a single trial request through
+ */
+export class CircuitBreaker {
+  constructor(config = {}) {
+    this.config = {
+      name: config.name || 'default',
+      failureThreshold: config.failureThreshold || 5,
+      resetTimeout: config.resetTimeout || 30000,
+      ...config
+    };
+
+    this.state = 'closed'; // closed, open, half-open
+    this.failures = 0;
+    this.openedAt = 0;
+    this.listeners = {};
+  }
+
+  /**
+   * Throw if requests are currently blocked
+   */
+  check(now = Date.now()) {
+    if (this.state !== 'open') return;
+
+    const remaining = this.openedAt + this.config.resetTimeout - now;
+    if (remaining <= 0) {
+      this.setState('half-open');
+      return;
+    }
+
+    throw new APIError(`Circuit open for ${this.config.name}`, {
+      type: ERROR_TYPES.CIRCUIT_OPEN,
+      provider: this.config.name,
+      retryAfter: remaining,
+      retryable: false
+    });
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    this.failures = 0;
+    if (this.state !== 'closed') {
+      this.setState('closed');
+    }
+  }
+
+  /**
+   * Record a failed request; only provider health failures count
+   */
+  recordFailure(error, now = Date.now()) {
+    if (!CIRCUIT_TYPES.includes(error.type)) return;
+
+    this.failures++;
+    if (this.state === 'half-open' || this.failures >= this.config.failureThreshold) {
+      this.openedAt = now;
+      this.setState('open');
+    }
+  }
+
+  setState(state) {
+    const previous = this.state;
+    this.state = state;
+    console.log(`[CircuitBreaker] ${this.config.name}: ${previous} -> ${state}`);
+    this.emit('stateChange', { name: this.config.name, state, previous });
+  }
+
+  /**
+   * Event emitter methods
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`[CircuitBreaker] Error in event listener for '${event}':`, error);
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Run fn with retries for recoverable errors
+ * Options: retries (total attempts), baseDelay, maxDelay, maxRetryAfter, signal,
+ *          breaker (CircuitBreaker), provider (name for errors), onRetry({ attempt, delay, error })
+ * Rejects with an APIError, or with the caller's AbortError when cancelled
+ */
+export async function withRetry(fn, {
+  retries = 3,
+  baseDelay = 1000,
+  maxDelay = 10000,
+  maxRetryAfter = 60000,
+  signal = null,
+  breaker = null,
+  provider = null,
+  onRetry = null
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    breaker?.check();
+
+    try {
+      const result = await fn(attempt);
+      breaker?.recordSuccess();
+      return result;
+    } catch (rawError) {
+      const error = classifyError(rawError, provider);
+      // Keep the AbortError itself so callers can tell a cancel from a failure
+      if (error.type === ERROR_TYPES.CANCELLED) throw rawError;
+
+      breaker?.recordFailure(error);
+
+      // A server asking us to wait longer than we are willing to is a final answer
+      const tooLong = error.retryAfter !== null && error.retryAfter > maxRetryAfter;
+      if (attempt >= retries || !error.retryable || tooLong || breaker?.state === 'open') {
+        throw error;
+      }
+
+      const delay = error.retryAfter ?? getBackoffDelay(attempt, { baseDelay, maxDelay });
+      console.log(`[Retry] ${error.type} error, attempt ${attempt}/${retries}, retrying in ${delay}ms`);
+      onRetry?.({ attempt, delay, error });
+      await wait(delay, signal);
+    }
+  }
+}
+
+export default withRetry;
@@ -0,0 +1,83 @@
+/**
+ * SSE Reader - Parses Server-Sent Events from a streaming fetch Response
+ * Used by the LLM providers for token-by-token replies
+ */
+
+/**
+ * Parse a single raw SSE block into { event, data }
+ */
+function parseEventBlock(block) {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split('\n').forEach(line => {
+    if (!line || line.startsWith(':')) return;
+
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    let value = separator === -1 ? '' : line.slice(separator + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'event') {
+      event = value;
+    } else if (field === 'data') {
+      dataLines.push(value);
+    }
+  });
+
+  if (dataLines.length === 0) return null;
+  return { event, data: dataLines.join('\n') };
+}
+
+/**
+ * Iterate over the events of an SSE response body
+ */
+export async function* readSSEStream(response) {
+  if (!response.body) {
+    throw new Error('Streaming not supported: response has no body');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      // Normalise line endings, leaving a trailing \r until its \n arrives
+      buffer = buffer.replace(/\r\n|\r(?!$)/g, '\n');
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const event = parseEventBlock(block);
+        if (event) yield event;
+      }
+    }
+
+    // Flush a trailing event without the final blank line
+    const event = parseEventBlock(buffer.replace(/\r/g, '').trim());
+    if (event) yield event;
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Parse the JSON payload of an SSE event, ignoring keep-alives and malformed chunks
+ */
+export function parseSSEData(event) {
+  try {
+    return JSON.parse(event.data);
+  } catch (error) {
+    console.warn('[SSE] Ignoring malformed event data:', event.data);
+    return null;
+  }
+}
+
+export default readSSEStream;
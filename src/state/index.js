@@ -107,6 +107,10 @@ export const globalState = new StateManager({
   puppetLoaded: false,
   puppetAnimationState: 'idle',
   puppetPosition: { x: 0, y: -0.5, z: -2 },
+  puppetRotation: { x: 0, y: 0, z: 0 },
+  puppetScale: 1,
+  selectedPuppet: null, // cast member the user is talking to
+  skitActive: false,
 
   // Conversation
   conversationActive: false,
@@ -1,7 +1,16 @@
 /**
  * UI Manager - Handles chat interface, message display, and input handling
+ * Static strings in index.html carry data-i18n / data-i18n-placeholder / data-i18n-title
+ * keys and are filled in from the active locale by applyTranslations()
  */
 
+import { i18n, t } from '../i18n/index.js';
+
+// Presses shorter than this are taps that toggle recording; longer ones are push-to-talk
+const PUSH_TO_TALK_HOLD_MS = 300;
+// The user counts as typing until this long after the last keystroke
+const TYPING_IDLE_MS = 1500;
+
 export class UIManager {
   constructor(config = {}) {
     this.config = {
@@ -17,17 +26,37 @@ export class UIManager {
     this.chatHistory = null;
     this.messageInput = null;
     this.sendButton = null;
+    this.stopButton = null;
     this.statusIndicator = null;
     this.chatFab = null;
     this.chatContainer = null;
     this.chatCloseBtn = null;
     this.robotDialogue = null;
+    this.loadProgress = null;
+    this.modelNotice = null;
+    this.personaSelect = null;
+    this.localeSelect = null;
+    this.muteButton = null;
+    this.appearanceButton = null;
+    this.appearancePanel = null;
+    this.appearance = null; // descriptor shown in the appearance panel
+    this.handsFreeButton = null;
+    this.voiceButton = null;
+    this.chatTitle = null;
+    this.puppetName = null; // active persona name; the generic robot label otherwise
     this.listeners = {};
     this.isListening = false;
+    this.muted = false;
+    this.handsFreeState = 'off';
+    this.recordingState = 'idle';
     this.dialogueTimeout = null;
+    this.typing = false;
+    this.typingTimeout = null;
     this.lastSentMessage = null;
     this.lastSentMessageElement = null;
     this.lastSentTextElement = null;
+    this.messageElements = new Map();
+    this.toolCallElements = new Map();
   }
 
   /**
@@ -42,6 +71,7 @@ export class UIManager {
       this.chatHistory = document.getElementById(this.config.chatHistoryId);
       this.messageInput = document.getElementById(this.config.messageInputId);
       this.sendButton = document.getElementById(this.config.sendButtonId);
+      this.stopButton = document.getElementById('stop-button');
       this.statusIndicator = document.getElementById(this.config.statusIndicatorId);
       
       // New UI elements
@@ -49,11 +79,22 @@ export class UIManager {
       this.chatContainer = document.getElementById('chat-container');
       this.chatCloseBtn = document.getElementById('chat-close-btn');
       this.robotDialogue = document.getElementById('robot-dialogue');
+      this.loadProgress = document.getElementById('load-progress');
+      this.modelNotice = document.getElementById('model-notice');
+      this.personaSelect = document.getElementById('persona-select');
+      this.localeSelect = document.getElementById('locale-select');
+      this.muteButton = document.getElementById('mute-button');
+      this.appearanceButton = document.getElementById('appearance-button');
+      this.appearancePanel = document.getElementById('appearance-panel');
+      this.handsFreeButton = document.getElementById('handsfree-button');
+      this.voiceButton = document.getElementById('voice-button');
+      this.chatTitle = document.querySelector('.chat-header-title');
       this.lastSentMessageElement = document.getElementById('last-sent-message');
       this.lastSentTextElement = document.getElementById('last-sent-text');
 
       // Attach event listeners
       this.attachEventListeners();
+      this.applyTranslations();
 
       console.log('[UIManager] UI initialized');
       return true;
@@ -81,6 +122,14 @@ export class UIManager {
       });
     }
 
+    // 模型提示关闭按钮
+    const noticeClose = this.modelNotice?.querySelector('.model-notice-close');
+    if (noticeClose) {
+      noticeClose.addEventListener('click', () => {
+        this.hideModelNotice();
+      });
+    }
+
     // 发送消息按钮
     if (this.sendButton) {
       this.sendButton.addEventListener('click', () => {
@@ -93,6 +142,13 @@ export class UIManager {
       });
     }
 
+    // 停止按钮
+    if (this.stopButton) {
+      this.stopButton.addEventListener('click', () => {
+        this.emit('stopRequest');
+      });
+    }
+
     // 输入框回车发送
     if (this.messageInput) {
       this.messageInput.addEventListener('keypress', (e) => {
@@ -102,18 +158,83 @@ export class UIManager {
             this.updateLastSentMessage(text);
             this.emit('sendMessage', text);
             this.clearMessageInput();
+            this.setTyping(false);
           }
         }
       });
+
+      this.messageInput.addEventListener('input', () => {
+        this.setTyping(true);
+      });
+
+      this.messageInput.addEventListener('blur', () => {
+        this.setTyping(false);
+      });
+    }
+
+    // 角色选择
+    if (this.personaSelect) {
+      this.personaSelect.addEventListener('change', () => {
+        this.emit('personaSelect', this.personaSelect.value);
+      });
+    }
+
+    // 语言选择
+    if (this.localeSelect) {
+      this.localeSelect.addEventListener('change', () => {
+        this.emit('localeSelect', this.localeSelect.value);
+      });
+    }
+
+    // 静音按钮
+    if (this.muteButton) {
+      this.muteButton.addEventListener('click', () => {
+        this.emit('muteToggle');
+      });
+    }
+
+    // 外观定制
+    if (this.appearanceButton) {
+      this.appearanceButton.addEventListener('click', () => {
+        this.toggleAppearancePanel();
+      });
+    }
+    if (this.appearancePanel) {
+      this.attachAppearanceListeners();
     }
 
-    // 语音按钮
-    const voiceBtn = document.getElementById('voice-button');
-    if (voiceBtn) {
-      voiceBtn.addEventListener('click', () => {
-        this.startVoiceRecognition();
+    // 免提模式按钮
+    if (this.handsFreeButton) {
+      this.handsFreeButton.addEventListener('click', () => {
+        this.emit('handsFreeToggle');
       });
     }
+
+    // 语音按钮：按住说话，松开发送；轻点则开始录音，再点一次结束
+    if (this.voiceButton) {
+      let pressedAt = 0;
+
+      this.voiceButton.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        if (this.isListening) {
+          this.emit('voiceStop');
+          return;
+        }
+        pressedAt = Date.now();
+        this.emit('voiceStart');
+      });
+
+      const release = () => {
+        if (!pressedAt) return;
+        const heldFor = Date.now() - pressedAt;
+        pressedAt = 0;
+        if (heldFor >= PUSH_TO_TALK_HOLD_MS) {
+          this.emit('voiceStop');
+        }
+      };
+      this.voiceButton.addEventListener('pointerup', release);
+      this.voiceButton.addEventListener('pointerleave', release);
+    }
   }
 
   /**
@@ -147,47 +268,334 @@ export class UIManager {
 
   /**
    * Add message to chat history
+   * Messages with an id that is already shown (streamed replies) are updated in place
+   * message.speaker ({ name, color, x? }) names the puppet that said it when several share the scene
    */
   addMessage(message) {
     if (!this.chatHistory) return;
 
-    const messageEl = document.createElement('div');
-    messageEl.className = `message message-${message.sender}`;
-    messageEl.innerHTML = `
-      <div class="message-content">
-        <span class="message-sender">${message.sender === 'user' ? 'You' : 'Robot'}</span>
-        <p class="message-text">${this.escapeHtml(message.text)}</p>
-        <span class="message-time">${this.formatTime(message.timestamp)}</span>
-      </div>
-    `;
-
-    this.chatHistory.appendChild(messageEl);
+    const existing = message.id ? this.messageElements.get(message.id) : null;
+    if (existing) {
+      existing.textEl.textContent = message.text;
+      existing.messageEl.classList.toggle('message-streaming', Boolean(message.streaming));
+    } else {
+      const messageEl = document.createElement('div');
+      messageEl.className = `message message-${message.sender}`;
+      if (message.streaming) {
+        messageEl.classList.add('message-streaming');
+      }
+      messageEl.innerHTML = `
+        <div class="message-content">
+          <span class="message-sender">${message.sender === 'user' ? t('ui.you') : this.escapeHtml(message.speaker?.name || this.puppetName || t('ui.robot'))}</span>
+          <p class="message-text">${this.escapeHtml(message.text)}</p>
+          <span class="message-time" data-timestamp="${Number(message.timestamp) || Date.now()}">${this.formatTime(message.timestamp)}</span>
+        </div>
+      `;
+
+      this.chatHistory.appendChild(messageEl);
+      if (message.id) {
+        this.messageElements.set(message.id, {
+          messageEl,
+          textEl: messageEl.querySelector('.message-text')
+        });
+      }
+    }
+
     this.scrollToBottom();
     
     // 如果是机器人消息，在头顶显示对话框
     if (message.sender === 'puppet') {
-      this.showRobotDialogue(message.text);
+      this.showRobotDialogue(message.text, {
+        streaming: Boolean(message.streaming),
+        speaker: message.speaker
+      });
+    }
+  }
+
+  /**
+   * Show a tool call made by the robot in the chat, updating it in place
+   * as it goes from running to success or error
+   */
+  showToolCall(call) {
+    if (!this.chatHistory) return;
+
+    let entry = this.toolCallElements.get(call.id);
+    if (!entry) {
+      const callEl = document.createElement('div');
+      callEl.className = 'message message-tool';
+      callEl.innerHTML = `
+        <div class="tool-call">
+          <span class="tool-call-icon">🔧</span>
+          <span class="tool-call-name">${this.escapeHtml(call.name)}</span>
+          <span class="tool-call-args">${this.escapeHtml(this.formatToolArguments(call.arguments))}</span>
+          <span class="tool-call-status"></span>
+        </div>
+      `;
+
+      this.chatHistory.appendChild(callEl);
+      entry = {
+        callEl,
+        statusEl: callEl.querySelector('.tool-call-status')
+      };
+      this.toolCallElements.set(call.id, entry);
     }
+
+    const labels = { running: '…', success: '✓', error: '✗' };
+    entry.callEl.dataset.status = call.status;
+    entry.statusEl.textContent = labels[call.status] || '';
+    entry.statusEl.title = call.status === 'error' ? call.error || '' : '';
+
+    this.scrollToBottom();
+  }
+
+  /**
+   * Format tool arguments as a short "key: value" list
+   */
+  formatToolArguments(args = {}) {
+    return Object.entries(args)
+      .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+      .join(', ');
   }
 
   /**
    * 在机器人头顶显示对话框（显示全部文本）
+   * While streaming the same bubble is updated in place on every token
+   * speaker ({ name, color, x? }) labels the bubble and moves it over that puppet (x in px)
    */
-  showRobotDialogue(text) {
+  showRobotDialogue(text, options = {}) {
     if (!this.robotDialogue) return;
 
-    console.log(`[UIManager] showRobotDialogue - Text length: ${text.length} chars`);
-    console.log(`[UIManager] Text content: "${text}"`);
+    const { streaming = false, speaker = null } = options;
+
+    const nameDiv = this.robotDialogue.querySelector('.robot-dialogue-name');
+    if (nameDiv) {
+      nameDiv.textContent = speaker?.name || '';
+      nameDiv.style.display = speaker ? '' : 'none';
+      nameDiv.style.backgroundColor = speaker?.color || '';
+    }
+    this.robotDialogue.style.left = Number.isFinite(speaker?.x) ? `${Math.round(speaker.x)}px` : '';
 
     const contentDiv = this.robotDialogue.querySelector('.robot-dialogue-content');
     if (contentDiv) {
       contentDiv.textContent = text;
-      console.log(`[UIManager] Displayed in bubble - Length: ${contentDiv.textContent.length} chars`);
+      // Keep the latest tokens visible in long replies
+      contentDiv.scrollTop = contentDiv.scrollHeight;
+    }
+
+    if (!streaming) {
+      console.log(`[UIManager] showRobotDialogue - Text length: ${text.length} chars`);
     }
 
+    this.robotDialogue.classList.toggle('streaming', streaming);
     this.robotDialogue.style.display = 'block';
   }
 
+  /**
+   * Fill the persona selector
+   */
+  setPersonas(personas, activeId) {
+    if (!this.personaSelect) return;
+
+    this.personaSelect.innerHTML = '';
+    personas.forEach(persona => {
+      const option = document.createElement('option');
+      option.value = persona.id;
+      option.textContent = persona.name;
+      option.title = i18n.localize(persona.description) || '';
+      this.personaSelect.appendChild(option);
+    });
+
+    this.setActivePersona(personas.find(persona => persona.id === activeId));
+  }
+
+  /**
+   * Fill the language selector: [{ code, name }]
+   */
+  setLocales(locales, activeCode) {
+    if (!this.localeSelect) return;
+
+    this.localeSelect.innerHTML = '';
+    locales.forEach(locale => {
+      const option = document.createElement('option');
+      option.value = locale.code;
+      option.textContent = locale.name;
+      this.localeSelect.appendChild(option);
+    });
+    this.localeSelect.value = activeCode;
+  }
+
+  /**
+   * Re-render every translated string for the active locale
+   */
+  applyTranslations() {
+    document.documentElement.lang = i18n.locale;
+    document.title = t('app.title');
+
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = t(el.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+      el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-i18n-title]').forEach(el => {
+      el.title = t(el.dataset.i18nTitle);
+    });
+
+    if (this.localeSelect) {
+      this.localeSelect.value = i18n.locale;
+    }
+
+    // Stateful labels and messages already in the chat
+    this.setMuted(this.muted);
+    this.setHandsFreeState(this.handsFreeState);
+    this.setRecording(this.recordingState);
+    if (this.chatHistory) {
+      this.chatHistory.querySelectorAll('.message-user .message-sender').forEach(el => {
+        el.textContent = t('ui.you');
+      });
+      this.chatHistory.querySelectorAll('.message-time[data-timestamp]').forEach(el => {
+        el.textContent = this.formatTime(Number(el.dataset.timestamp));
+      });
+    }
+  }
+
+  /**
+   * Reflect the active persona in the chat panel
+   */
+  setActivePersona(persona) {
+    if (!persona) return;
+
+    this.puppetName = persona.name;
+    if (this.personaSelect) {
+      this.personaSelect.value = persona.id;
+    }
+    if (this.chatTitle) {
+      this.chatTitle.textContent = persona.name;
+    }
+  }
+
+  /**
+   * Appearance panel controls edit this.appearance and emit appearanceChange with a copy
+   */
+  attachAppearanceListeners() {
+    const panel = this.appearancePanel;
+    const change = (update) => {
+      if (!this.appearance) return;
+      update(this.appearance);
+      this.emit('appearanceChange', {
+        ...this.appearance,
+        colors: { ...this.appearance.colors },
+        accessories: [...this.appearance.accessories]
+      });
+    };
+
+    panel.querySelectorAll('input[data-region]').forEach(input => {
+      input.addEventListener('input', () => change(appearance => {
+        appearance.colors[input.dataset.region] = input.value;
+      }));
+    });
+
+    panel.querySelector('.appearance-material')?.addEventListener('change', (event) => {
+      change(appearance => {
+        appearance.material = event.target.value || null;
+      });
+    });
+
+    panel.querySelectorAll('input[data-accessory]').forEach(input => {
+      input.addEventListener('change', () => change(appearance => {
+        const type = input.dataset.accessory;
+        appearance.accessories = appearance.accessories.filter(accessory => accessory.type !== type);
+        if (input.checked) {
+          appearance.accessories.push({ type });
+        }
+      }));
+    });
+
+    panel.querySelector('.appearance-reset')?.addEventListener('click', () => {
+      this.emit('appearanceReset');
+    });
+  }
+
+  toggleAppearancePanel(open = this.appearancePanel?.style.display === 'none') {
+    if (!this.appearancePanel) return;
+    this.appearancePanel.style.display = open ? 'flex' : 'none';
+  }
+
+  /**
+   * Show the selected puppet's appearance in the panel
+   * colors are the colours the puppet shows now, for regions the descriptor leaves unset
+   */
+  setAppearance(appearance, colors = {}) {
+    this.appearance = appearance;
+    if (!this.appearancePanel || !appearance) return;
+
+    this.appearancePanel.querySelectorAll('input[data-region]').forEach(input => {
+      input.value = appearance.colors[input.dataset.region] || colors[input.dataset.region] || '#ffffff';
+    });
+    const material = this.appearancePanel.querySelector('.appearance-material');
+    if (material) {
+      material.value = appearance.material || '';
+    }
+    this.appearancePanel.querySelectorAll('input[data-accessory]').forEach(input => {
+      input.checked = appearance.accessories.some(accessory => accessory.type === input.dataset.accessory);
+    });
+  }
+
+  /**
+   * Reflect the robot voice mute state on the mute button
+   */
+  setMuted(muted) {
+    this.muted = muted;
+    if (!this.muteButton) return;
+
+    this.muteButton.textContent = muted ? '🔇' : '🔊';
+    this.muteButton.title = muted ? t('ui.unmute') : t('ui.mute');
+    this.muteButton.setAttribute('aria-pressed', String(muted));
+  }
+
+  /**
+   * Reflect the hands-free listener state: off, listening, waiting or paused
+   */
+  setHandsFreeState(state) {
+    this.handsFreeState = state;
+    if (!this.handsFreeButton) return;
+
+    const labels = {
+      off: t('ui.handsFree'),
+      listening: t('ui.handsFreeListening'),
+      waiting: t('ui.handsFreeWaiting'),
+      paused: t('ui.handsFreePaused')
+    };
+    this.handsFreeButton.textContent = labels[state] || labels.off;
+    this.handsFreeButton.classList.toggle('active', state === 'listening' || state === 'waiting');
+    this.handsFreeButton.classList.toggle('paused', state === 'paused');
+    this.handsFreeButton.setAttribute('aria-pressed', String(state !== 'off'));
+  }
+
+  /**
+   * Show a live transcript in the input box; an empty text clears it
+   */
+  showInterimTranscript(text) {
+    if (!this.messageInput) return;
+
+    this.messageInput.value = text;
+    this.messageInput.classList.toggle('interim', Boolean(text));
+  }
+
+  /**
+   * Highlight the message (and speech bubble) being read aloud
+   */
+  setSpeaking(messageId, speaking) {
+    const entry = this.messageElements.get(messageId);
+    if (entry) {
+      entry.messageEl.classList.toggle('message-speaking', speaking);
+    }
+
+    if (this.robotDialogue) {
+      this.robotDialogue.classList.toggle('speaking', speaking);
+    }
+  }
+
   /**
    * Update status indicator
    */
@@ -205,6 +613,50 @@ export class UIManager {
     this.statusIndicator.className = `status-indicator status-${type}`;
   }
 
+  /**
+   * Show model download progress ({ loaded, total, fraction }), or hide it with null
+   * Without a known size the bar slides and the text shows the bytes received
+   */
+  setLoadProgress(progress) {
+    if (!this.loadProgress) return;
+    if (!progress) {
+      this.loadProgress.style.display = 'none';
+      return;
+    }
+
+    const known = progress.fraction !== null && progress.fraction !== undefined;
+    const text = this.loadProgress.querySelector('.load-progress-text');
+    const fill = this.loadProgress.querySelector('.load-progress-fill');
+
+    this.loadProgress.style.display = 'block';
+    this.loadProgress.classList.toggle('indeterminate', !known);
+    if (known) {
+      const percent = Math.round(progress.fraction * 100);
+      if (text) text.textContent = t('ui.loadingModel', { percent });
+      if (fill) fill.style.width = `${percent}%`;
+    } else {
+      const size = `${(progress.loaded / (1024 * 1024)).toFixed(1)} MB`;
+      if (text) text.textContent = t('ui.loadingModelBytes', { size });
+      if (fill) fill.style.width = '';
+    }
+  }
+
+  /**
+   * Explain a model problem until the user closes the notice
+   */
+  showModelNotice(text) {
+    if (!this.modelNotice) return;
+    const noticeText = this.modelNotice.querySelector('.model-notice-text');
+    if (noticeText) noticeText.textContent = text;
+    this.modelNotice.style.display = 'flex';
+  }
+
+  hideModelNotice() {
+    if (this.modelNotice) {
+      this.modelNotice.style.display = 'none';
+    }
+  }
+
   /**
    * Enable/disable input
    */
@@ -217,6 +669,30 @@ export class UIManager {
     }
   }
 
+  /**
+   * Show the stop button while a reply is in progress
+   */
+  setProcessing(isProcessing) {
+    if (this.stopButton) {
+      this.stopButton.style.display = isProcessing ? '' : 'none';
+    }
+  }
+
+  /**
+   * Mark a (partially) streamed reply as stopped by the user
+   */
+  markMessageCancelled(messageId) {
+    const entry = this.messageElements.get(messageId);
+    if (entry) {
+      entry.messageEl.classList.remove('message-streaming');
+      entry.messageEl.classList.add('message-cancelled');
+    }
+
+    if (this.robotDialogue) {
+      this.robotDialogue.classList.remove('streaming');
+    }
+  }
+
   /**
    * Get message input value
    */
@@ -234,48 +710,33 @@ export class UIManager {
   }
 
   /**
-   * Start voice recognition
+   * Reflect push-to-talk state on the voice button: idle, recording or transcribing
    */
-  startVoiceRecognition() {
-    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-      alert('Your browser does not support voice recognition');
-      return;
-    }
-
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    const recognition = new SpeechRecognition();
-
-    recognition.language = 'zh-CN';
-    recognition.continuous = false;
-    recognition.interimResults = false;
-
-    recognition.onstart = () => {
-      console.log('[UIManager] Voice recognition started');
-      this.setStatus('Listening...', 'listening');
-    };
-
-    recognition.onresult = (event) => {
-      const transcript = Array.from(event.results)
-        .map(result => result[0].transcript)
-        .join('');
-
-      console.log('[UIManager] Voice input:', transcript);
-      if (transcript.trim()) {
-        this.emit('voiceInput', transcript);
-      }
-    };
-
-    recognition.onerror = (event) => {
-      console.error('[UIManager] Voice recognition error:', event.error);
-      this.setStatus('Voice recognition error', 'error');
-    };
-
-    recognition.onend = () => {
-      console.log('[UIManager] Voice recognition ended');
-      this.setStatus('Ready', 'ready');
+  setRecording(state) {
+    this.isListening = state === 'recording';
+    this.recordingState = state;
+    if (!this.voiceButton) return;
+
+    const labels = {
+      idle: t('ui.voice'),
+      recording: t('ui.voiceRecording'),
+      transcribing: t('ui.voiceTranscribing')
     };
+    this.voiceButton.textContent = labels[state] || labels.idle;
+    this.voiceButton.classList.toggle('recording', state === 'recording');
+    this.voiceButton.disabled = state === 'transcribing';
+    if (state !== 'recording') {
+      this.setVoiceLevel(0);
+    }
+  }
 
-    recognition.start();
+  /**
+   * Show the microphone level (0-1) on the voice button
+   */
+  setVoiceLevel(level) {
+    if (this.voiceButton) {
+      this.voiceButton.style.setProperty('--voice-level', level.toFixed(2));
+    }
   }
 
   /**
@@ -288,11 +749,10 @@ export class UIManager {
   }
 
   /**
-   * Format timestamp to readable time
+   * Format timestamp to readable time in the active locale
    */
   formatTime(timestamp) {
-    const date = new Date(timestamp);
-    return date.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' });
+    return i18n.formatTime(timestamp);
   }
 
   /**
@@ -311,6 +771,8 @@ export class UIManager {
     if (this.chatHistory) {
       this.chatHistory.innerHTML = '';
     }
+    this.messageElements.clear();
+    this.toolCallElements.clear();
   }
 
   /**
@@ -328,6 +790,30 @@ export class UIManager {
     }
   }
 
+  /**
+   * Track whether the user is typing; emits typing (boolean) on changes
+   */
+  setTyping(typing) {
+    clearTimeout(this.typingTimeout);
+    if (typing) {
+      this.typingTimeout = setTimeout(() => this.setTyping(false), TYPING_IDLE_MS);
+    }
+
+    if (this.typing === typing) return;
+    this.typing = typing;
+    this.emit('typing', typing);
+  }
+
+  /**
+   * Centre of the chat panel on screen, or null while it is closed
+   */
+  getChatPanelCenter() {
+    if (!this.chatContainer || !this.chatContainer.classList.contains('open')) return null;
+
+    const rect = this.chatContainer.getBoundingClientRect();
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+  }
+
   /**
    * Event emitter methods
    */
@@ -364,6 +850,7 @@ export class UIManager {
     if (this.dialogueTimeout) {
       clearTimeout(this.dialogueTimeout);
     }
+    clearTimeout(this.typingTimeout);
     console.log('[UIManager] UI disposed');
   }
 }
@@ -1,10 +1,55 @@
 import { defineConfig } from 'vite';
+import { readFileSync, readdirSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+// three.js decoders for compressed models, served from <base>decoders/ (see ASSET_PATHS.decoders)
+const DECODER_SOURCES = {
+  draco: 'node_modules/three/examples/jsm/libs/draco/gltf',
+  basis: 'node_modules/three/examples/jsm/libs/basis'
+};
+const DECODER_TYPES = { '.js': 'text/javascript', '.wasm': 'application/wasm' };
+
+function decoderFiles(dir) {
+  // The encoder is only needed to write DRACO files, not to load them
+  return readdirSync(resolve(dir)).filter(file => /\.(js|wasm)$/.test(file) && !file.includes('encoder'));
+}
+
+function threeDecoders() {
+  return {
+    name: 'three-decoders',
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const match = req.url?.match(/\/decoders\/(draco|basis)\/([\w.-]+)$/);
+        if (!match || !decoderFiles(DECODER_SOURCES[match[1]]).includes(match[2])) return next();
+        const extension = match[2].slice(match[2].lastIndexOf('.'));
+        res.setHeader('Content-Type', DECODER_TYPES[extension]);
+        res.end(readFileSync(resolve(DECODER_SOURCES[match[1]], match[2])));
+      });
+    },
+    generateBundle() {
+      for (const [name, dir] of Object.entries(DECODER_SOURCES)) {
+        for (const file of decoderFiles(dir)) {
+          this.emitFile({
+            type: 'asset',
+            fileName: `decoders/${name}/${file}`,
+            source: readFileSync(resolve(dir, file))
+          });
+        }
+      }
+    }
+  };
+}
 
 export default defineConfig({
   base: '/arbot-puppet/',
+  plugins: [threeDecoders()],
   server: {
     host: '0.0.0.0',
-    port: 5173
+    port: 5173,
+    // VITE_API_MODE=proxy in development: forward /api to `npm run server`
+    proxy: {
+      '/api': 'http://localhost:8787'
+    }
   },
   build: {
     outDir: 'dist',